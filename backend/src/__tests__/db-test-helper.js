@@ -1,14 +1,14 @@
 /**
  * Database Testing Helper
- * 
+ *
  * Provides utilities for managing test database state:
  * - Transaction support for test isolation
  * - Consistent test fixtures
  * - Data reset between tests
- * - Separate pools for different test types
  */
 
-const { testPool } = require('../config/database');
+// The application's pool, so fixtures and the code under test share one connection config
+const { pool: appPool } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
 const { MOCK_TENANT_ID } = require('./test-utils');
 
@@ -16,25 +16,29 @@ const { MOCK_TENANT_ID } = require('./test-utils');
  * Database test helper that provides transaction support and consistent test data
  */
 class DbTestHelper {
-  constructor(pool = testPool) {
+  constructor(pool = appPool) {
     this.pool = pool;
     this.client = null;
     this.transactionActive = false;
+    this.routedPool = null;
   }
 
   /**
    * Start a transaction for test isolation
    * Call this in beforeEach() to isolate database changes for each test
+   * @param {string} [isolationLevel] - e.g. 'SERIALIZABLE' when the code under test requires it
    */
-  async startTransaction() {
+  async startTransaction(isolationLevel = null) {
     if (this.transactionActive) {
       throw new Error('Transaction already started');
     }
-    
+
     this.client = await this.pool.connect();
-    await this.client.query('BEGIN');
+    await this.client.query(
+      isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel}` : 'BEGIN'
+    );
     this.transactionActive = true;
-    
+
     return this.client;
   }
 
@@ -46,13 +50,119 @@ class DbTestHelper {
     if (!this.transactionActive || !this.client) {
       return;
     }
-    
+
+    if (this.routedPool) {
+      const { pool, query, connect, end } = this.routedPool;
+      pool.query = query;
+      pool.connect = connect;
+      this.routedPool = null;
+      // Let queries the code under test is still running (e.g. after sending its response) finish first
+      await end();
+    }
+
     await this.client.query('ROLLBACK');
     this.client.release();
     this.client = null;
     this.transactionActive = false;
   }
 
+  /**
+   * Route another pool (e.g. the application's pool from config/db) through the test transaction,
+   * so the code under test sees the fixtures created in it and its changes are rolled back with it.
+   * The code's own transactions become savepoints, and every other query runs in a savepoint of its own
+   * so that an expected database error does not abort the test transaction.
+   * Call after startTransaction(); rollbackTransaction() restores the pool.
+   * @param {Object} pool - The pg pool to route
+   */
+  routePoolThroughTransaction(pool) {
+    if (!this.transactionActive || !this.client) {
+      throw new Error('Transaction not started');
+    }
+
+    const client = this.client;
+    let savepointCount = 0;
+    const nextSavepoint = () => `test_sp_${++savepointCount}`;
+
+    // Queries are chained one after another, as concurrent ones (Promise.all) would interleave their savepoints.
+    // Once the transaction ends, late queries are refused instead of running on a client that was released.
+    let queue = Promise.resolve();
+    let ended = false;
+    const enqueue = (run) => {
+      const result = queue.then(() => {
+        if (ended) {
+          throw new Error('Test transaction has ended');
+        }
+        return run();
+      });
+      queue = result.catch(() => {});
+      return result;
+    };
+
+    // Runs a query in its own savepoint, rolling back to it if the query fails
+    const queryInSavepoint = (text, params) => {
+      return enqueue(async () => {
+        const savepoint = nextSavepoint();
+        await client.query(`SAVEPOINT ${savepoint}`);
+        try {
+          const result = await client.query(text, params);
+          await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+          return result;
+        } catch (error) {
+          await client.query(
+            `ROLLBACK TO SAVEPOINT ${savepoint}; RELEASE SAVEPOINT ${savepoint}`
+          );
+          throw error;
+        }
+      });
+    };
+
+    // A checked-out client whose BEGIN / COMMIT / ROLLBACK map to a savepoint of the test transaction
+    const createTransactionClient = () => {
+      let savepoint = null;
+      return {
+        query: (text, params) => {
+          const command =
+            typeof text === 'string' ? text.trim().toUpperCase() : '';
+          if (command.startsWith('BEGIN')) {
+            savepoint = nextSavepoint();
+            return enqueue(() => client.query(`SAVEPOINT ${savepoint}`));
+          }
+          if (command === 'COMMIT' || command === 'ROLLBACK') {
+            const endedSavepoint = savepoint;
+            savepoint = null;
+            if (!endedSavepoint) {
+              return Promise.resolve({ rows: [], rowCount: 0 });
+            }
+            return enqueue(() =>
+              client.query(
+                command === 'COMMIT'
+                  ? `RELEASE SAVEPOINT ${endedSavepoint}`
+                  : `ROLLBACK TO SAVEPOINT ${endedSavepoint}; RELEASE SAVEPOINT ${endedSavepoint}`
+              )
+            );
+          }
+          return savepoint
+            ? enqueue(() => client.query(text, params))
+            : queryInSavepoint(text, params);
+        },
+        release: () => {},
+      };
+    };
+
+    this.routedPool = {
+      pool,
+      query: pool.query,
+      connect: pool.connect,
+      enqueue,
+      end: async () => {
+        await queue;
+        ended = true;
+      },
+    };
+    pool.query = (text, params) => queryInSavepoint(text, params);
+    pool.connect = async () => createTransactionClient();
+  }
+
   /**
    * Execute a query within the transaction if active, or using the pool if not
    * @param {string} text - SQL query text
@@ -61,6 +171,10 @@ class DbTestHelper {
    */
   async query(text, params = []) {
     if (this.transactionActive && this.client) {
+      // In turn with the routed pool's queries, so a test sees what the code under test wrote before it
+      if (this.routedPool) {
+        return this.routedPool.enqueue(() => this.client.query(text, params));
+      }
       return this.client.query(text, params);
     }
     return this.pool.query(text, params);
@@ -73,27 +187,26 @@ class DbTestHelper {
   async resetAllData() {
     // Use a specific client for resetting data, not the transaction client
     const resetClient = await this.pool.connect();
-    
+
     try {
       // Disable foreign key checks before truncating
       await resetClient.query('SET session_replication_role = replica;');
-      
+
       // Get all tables
       const tablesResult = await resetClient.query(
         "SELECT tablename FROM pg_tables WHERE schemaname = 'public';"
       );
-      
+
       // Truncate each table in reverse order to handle dependencies
       for (const row of tablesResult.rows.reverse()) {
         await resetClient.query(`TRUNCATE TABLE "${row.tablename}" CASCADE;`);
       }
-      
+
       // Re-enable foreign key checks
       await resetClient.query('SET session_replication_role = DEFAULT;');
-      
+
       // Seed test data
       await this.seedTestData(resetClient);
-      
     } finally {
       resetClient.release();
     }
@@ -105,7 +218,7 @@ class DbTestHelper {
    */
   async seedTestData(client) {
     const queryClient = client || this.client || this.pool;
-    
+
     // Insert default tenant
     await queryClient.query(
       `INSERT INTO tenants (tenant_id, name, currency, timezone) 
@@ -113,7 +226,7 @@ class DbTestHelper {
        ON CONFLICT (tenant_id) DO NOTHING`,
       [MOCK_TENANT_ID]
     );
-    
+
     // Insert default admin user
     const adminId = uuidv4();
     await queryClient.query(
@@ -122,10 +235,10 @@ class DbTestHelper {
        ON CONFLICT (tenant_id, email) WHERE deleted_at IS NULL DO NOTHING`,
       [adminId, MOCK_TENANT_ID]
     );
-    
+
     // More seed data can be added as needed
   }
-  
+
   /**
    * Create a test tenant with optional custom properties
    * @param {Object} overrides - Properties to override
@@ -141,13 +254,13 @@ class DbTestHelper {
         tenantId,
         overrides.name || 'Test Tenant',
         overrides.currency || 'USD',
-        overrides.timezone || 'America/New_York'
+        overrides.timezone || 'America/New_York',
       ]
     );
-    
+
     return result.rows[0];
   }
-  
+
   /**
    * Create a test user with optional custom properties
    * @param {string} role - User role (admin or employee)
@@ -158,7 +271,7 @@ class DbTestHelper {
     const userId = overrides.user_id || uuidv4();
     const tenantId = overrides.tenant_id || MOCK_TENANT_ID;
     const email = overrides.email || `test-${userId.slice(0, 8)}@example.com`;
-    
+
     const result = await this.query(
       `INSERT INTO user_accounts (
         user_id, tenant_id, auth0_user_id, email, name, role, status
@@ -169,15 +282,16 @@ class DbTestHelper {
         tenantId,
         overrides.auth0_user_id || `auth0|${userId.slice(0, 8)}`,
         email,
-        overrides.name || `Test ${role.charAt(0).toUpperCase() + role.slice(1)}`,
+        overrides.name ||
+          `Test ${role.charAt(0).toUpperCase() + role.slice(1)}`,
         role,
-        overrides.status || 'active'
+        overrides.status || 'active',
       ]
     );
-    
+
     return result.rows[0];
   }
-  
+
   /**
    * Create a test employee with optional custom properties
    * @param {Object} overrides - Properties to override
@@ -186,12 +300,13 @@ class DbTestHelper {
   async createTestEmployee(overrides = {}) {
     const employeeId = overrides.employee_id || uuidv4();
     const tenantId = overrides.tenant_id || MOCK_TENANT_ID;
-    const email = overrides.email || `employee-${employeeId.slice(0, 8)}@example.com`;
-    
+    const email =
+      overrides.email || `employee-${employeeId.slice(0, 8)}@example.com`;
+
     const result = await this.query(
       `INSERT INTO employees (
-        employee_id, tenant_id, email, first_name, last_name, status
-      ) VALUES ($1, $2, $3, $4, $5, $6)
+        employee_id, tenant_id, email, first_name, last_name, status, user_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *`,
       [
         employeeId,
@@ -199,13 +314,14 @@ class DbTestHelper {
         email,
         overrides.first_name || 'Test',
         overrides.last_name || 'Employee',
-        overrides.status || 'active'
+        overrides.status || 'active',
+        overrides.user_id || null,
       ]
     );
-    
+
     return result.rows[0];
   }
-  
+
   /**
    * Create a test equity pool with optional custom properties
    * @param {Object} overrides - Properties to override
@@ -214,20 +330,22 @@ class DbTestHelper {
   async createTestEquityPool(overrides = {}) {
     const poolId = overrides.pool_id || uuidv4();
     const tenantId = overrides.tenant_id || MOCK_TENANT_ID;
+    const name = overrides.name || `Test Pool ${poolId.slice(0, 8)}`;
     const initialAmount = overrides.initial_amount || '1000.000';
-    const createdBy = overrides.created_by || (await this.getOrCreateAdminUser()).user_id;
-    
+    const createdBy =
+      overrides.created_by || (await this.getOrCreateAdminUser()).user_id;
+
     const result = await this.query(
       `INSERT INTO equity_pools (
-        pool_id, tenant_id, initial_amount, total_pool, created_by
-      ) VALUES ($1, $2, $3, $3, $4)
+        pool_id, tenant_id, name, initial_amount, total_pool, created_by
+      ) VALUES ($1, $2, $3, $4, $4, $5)
       RETURNING *`,
-      [poolId, tenantId, initialAmount, createdBy]
+      [poolId, tenantId, name, initialAmount, createdBy]
     );
-    
+
     return result.rows[0];
   }
-  
+
   /**
    * Get an existing admin user or create one if none exists
    * @returns {Promise<Object>} - Admin user record
@@ -239,7 +357,7 @@ class DbTestHelper {
        LIMIT 1`,
       [MOCK_TENANT_ID]
     );
-    
+
     if (result.rows.length === 0) {
       result = await this.query(
         `INSERT INTO user_accounts (
@@ -253,11 +371,11 @@ class DbTestHelper {
           'admin@test.com',
           'Test Admin',
           'admin',
-          'active'
+          'active',
         ]
       );
     }
-    
+
     return result.rows[0];
   }
 }
@@ -4,6 +4,7 @@
  */
 const request = require('supertest');
 const app = require('../index');
+const { pool: appPool } = require('../config/db');
 const DbTestHelper = require('./db-test-helper');
 const { MOCK_TENANT_ID } = require('./test-utils');
 
@@ -24,15 +25,18 @@ class IntegrationTestBase {
     this.defaultEmployeeId = '22222222-2222-2222-2222-222222222222';
     this.MOCK_TENANT_ID = MOCK_TENANT_ID;
   }
-  
+
   /**
    * Set up the test environment with a transaction
    * Call this in beforeEach() to isolate each test
+   * Requests to the app run inside the same transaction, so they see the test's fixtures.
+   * It is SERIALIZABLE because sp_adjust_pool requires the pool changes to run at that level
    */
   async setup() {
-    await this.dbHelper.startTransaction();
+    await this.dbHelper.startTransaction('SERIALIZABLE');
+    this.dbHelper.routePoolThroughTransaction(appPool);
   }
-  
+
   /**
    * Clean up the test environment by rolling back the transaction
    * Call this in afterEach() to clean up after each test
@@ -40,7 +44,14 @@ class IntegrationTestBase {
   async cleanup() {
     await this.dbHelper.rollbackTransaction();
   }
-  
+
+  /**
+   * Alias of cleanup() for suites that pair setup() with teardown()
+   */
+  async teardown() {
+    await this.cleanup();
+  }
+
   /**
    * Helper method to get authenticated supertest instance
    * @param {string} userId - The user ID for authentication
@@ -52,7 +63,7 @@ class IntegrationTestBase {
     this.mockAuthMiddleware(userId, role, tenantId);
     return request(app);
   }
-  
+
   /**
    * Mock the authentication middleware
    * @param {string} userId - The user ID for authentication
@@ -61,45 +72,47 @@ class IntegrationTestBase {
    */
   mockAuthMiddleware(userId, role, tenantId = MOCK_TENANT_ID) {
     checkJwt.mockImplementation((req, res, next) => {
-      req.auth = { 
-        payload: { 
+      req.auth = {
+        payload: {
           sub: `auth0|${userId}`,
           'https://api.domain.com/tenant_id': tenantId,
           'https://api.domain.com/roles': role,
           'https://api.domain.com/email': `${role}@test.com`,
-          'https://api.domain.com/name': `Test ${role.charAt(0).toUpperCase() + role.slice(1)}`
-        } 
+          'https://api.domain.com/name': `Test ${role.charAt(0).toUpperCase() + role.slice(1)}`,
+        },
       };
       next();
     });
-    
+
     syncUser.mockImplementation((req, res, next) => {
-      req.user = { 
-        id: userId, 
-        tenantId: tenantId, 
+      req.user = {
+        id: userId,
+        tenantId: tenantId,
         role: role,
-        auth0Id: `auth0|${userId}`
+        auth0Id: `auth0|${userId}`,
       };
       next();
     });
-    
+
     // Handle both string and array roles
     authorizeRole.mockImplementation((requiredRoles) => (req, res, next) => {
-      const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+      const roles = Array.isArray(requiredRoles)
+        ? requiredRoles
+        : [requiredRoles];
       if (roles.includes(req.user.role)) {
         next();
       } else {
-        res.status(403).json({ 
-          success: false, 
-          error: { 
-            code: 'FORBIDDEN', 
-            message: 'User does not have the required role' 
-          } 
+        res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'User does not have the required role',
+          },
         });
       }
     });
   }
-  
+
   /**
    * Create test equity pool in the database
    * @param {Object} overrides - Properties to override
@@ -108,7 +121,7 @@ class IntegrationTestBase {
   async createTestPool(overrides = {}) {
     return this.dbHelper.createTestEquityPool(overrides);
   }
-  
+
   /**
    * Create test employee in the database
    * @param {Object} overrides - Properties to override
@@ -117,7 +130,7 @@ class IntegrationTestBase {
   async createTestEmployee(overrides = {}) {
     return this.dbHelper.createTestEmployee(overrides);
   }
-  
+
   /**
    * Create test user in the database
    * @param {string} role - User role
@@ -127,7 +140,7 @@ class IntegrationTestBase {
   async createTestUser(role = 'admin', overrides = {}) {
     return this.dbHelper.createTestUser(role, overrides);
   }
-  
+
   /**
    * Helper to execute direct database query in the transaction
    * @param {string} text - SQL query
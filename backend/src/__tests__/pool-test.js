@@ -5,15 +5,23 @@ const { checkJwt } = require('../middleware/auth');
 
 const { pool } = require('../config/db');
 const { MOCK_TENANT_ID, MOCK_POOL_ID } = require('./test-utils');
+// The admin user seeded by jest.global-setup.js
+const MOCK_ADMIN_USER_ID = '11111111-1111-1111-1111-111111111111';
 
 describe('Pool API', () => {
     // Seed the equity_pools table before all tests
   beforeAll(async () => {
     await pool.query(
-      `INSERT INTO equity_pools (pool_id, tenant_id, initial_amount, total_pool, created_by, created_at)
-       VALUES ($1, $2, $3, $3, $4, NOW())
+      `INSERT INTO equity_pools (pool_id, tenant_id, name, initial_amount, total_pool, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $4, $5, NOW())
        ON CONFLICT (pool_id) DO NOTHING`,
-      [MOCK_POOL_ID, MOCK_TENANT_ID, '100000.000', 'test-user-id-123']
+      [
+        MOCK_POOL_ID,
+        MOCK_TENANT_ID,
+        'Equity Pool',
+        '100000.000',
+        MOCK_ADMIN_USER_ID,
+      ]
     );
   });
 
@@ -40,11 +48,13 @@ describe('Pool API', () => {
       expect(res.body.data).toBeDefined();
       
       // Validate basic pool metrics
-      expect(res.body.data.initial_amount).toBeDefined();
-      expect(res.body.data.total_pool).toBeDefined();
-      expect(res.body.data.granted_shares).toBeDefined();
-      expect(res.body.data.returned_shares).toBeDefined();
-      expect(res.body.data.available_shares).toBeDefined();
+      const [equityPool] = res.body.data.items;
+      expect(equityPool.initial_amount).toBeDefined();
+      expect(equityPool.total_pool).toBeDefined();
+      expect(equityPool.granted_shares).toBeDefined();
+      expect(equityPool.returned_shares).toBeDefined();
+      expect(equityPool.available_shares).toBeDefined();
+      expect(res.body.data.totals).toBeDefined();
     });
   });
   
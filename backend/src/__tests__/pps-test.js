@@ -2,10 +2,28 @@ const request = require('supertest');
 const app = require('../test-index');
 const { checkJwt } = require('../middleware/auth');
 
+const { pool } = require('../config/db');
+const { MOCK_TENANT_ID } = require('./test-utils');
+// The admin user seeded by jest.global-setup.js
+const MOCK_ADMIN_USER_ID = '11111111-1111-1111-1111-111111111111';
+
 // Tell Jest to use the mock for the auth middleware
 jest.mock('../middleware/auth');
 
 describe('PPS API', () => {
+  let ppsId;
+
+  // Seed a PPS entry in effect so /current has a price to return
+  beforeAll(async () => {
+    const result = await pool.query(
+      `INSERT INTO pps_history (tenant_id, effective_date, price_per_share, created_by)
+       VALUES ($1, '2020-01-01', '10.000', $2)
+       RETURNING pps_id`,
+      [MOCK_TENANT_ID, MOCK_ADMIN_USER_ID]
+    );
+    ppsId = result.rows[0].pps_id;
+  });
+
   // Reset mocks before each test
   beforeEach(() => {
     // Ensure checkJwt is set to successful authentication mode
@@ -18,13 +36,13 @@ describe('PPS API', () => {
         .get('/api/pps')
         .set('Authorization', 'Bearer mock-token')
         .expect(200);
-      
+
       // Verify response structure
       expect(res.body.success).toBe(true);
       expect(res.body.data).toBeDefined();
       expect(res.body.data.items).toBeDefined();
       expect(Array.isArray(res.body.data.items)).toBe(true);
-      
+
       // Check pagination structure
       expect(res.body.data.pagination).toBeDefined();
       expect(res.body.data.pagination.total_items).toBeDefined();
@@ -40,22 +58,24 @@ describe('PPS API', () => {
         .get('/api/pps/current')
         .set('Authorization', 'Bearer mock-token')
         .expect(200);
-      
+
       // Verify response structure
       expect(res.body.success).toBe(true);
       expect(res.body.data).toBeDefined();
-      
+
       // Validate basic PPS data
       expect(res.body.data.price_per_share).toBeDefined();
       expect(res.body.data.effective_date).toBeDefined();
     });
   });
-  
+
   // Close database connections after all tests
   afterAll(async () => {
+    await pool.query('DELETE FROM pps_history WHERE pps_id = $1', [ppsId]);
+
     // Close database connections if necessary
     if (app.locals.pool) {
       await app.locals.pool.end();
     }
   });
-}); 
\ No newline at end of file
+});
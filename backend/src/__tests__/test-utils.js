@@ -76,6 +76,7 @@ function validateEquityPoolStructure(equityPool) {
   expect(equityPool).toBeDefined();
   expect(equityPool.pool_id).toBeDefined();
   expect(equityPool.tenant_id).toBeDefined();
+  expect(equityPool.name).toBeDefined();
   expect(equityPool.initial_amount).toBeDefined();
   expect(equityPool.total_pool).toBeDefined();
   expect(equityPool.granted_shares).toBeDefined();
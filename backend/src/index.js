@@ -16,6 +16,8 @@ const ppsRoutes = require('./routes/pps'); // Import PPS routes
 const constantsRoutes = require('./routes/constants'); // Import Constants routes
 const employeeRoutes = require('./routes/employee'); // Import Employee routes
 const grantRoutes = require('./routes/grant'); // Import Grant routes
+const vestingRoutes = require('./routes/vesting'); // Import Vesting routes
+const meRoutes = require('./routes/me'); // Import self-service routes
 
 const app = express();
 const port = process.env.BACKEND_PORT || 3001; // Example port
@@ -108,6 +110,10 @@ app.use('/api/constants', constantsRoutes);
 app.use('/api/employees', employeeRoutes);
 // Mount Grant routes (already protected by checkJwt, syncUser)
 app.use('/api/grants', grantRoutes);
+// Mount Vesting routes (already protected by checkJwt, syncUser)
+app.use('/api/vesting', vestingRoutes);
+// Mount the caller's own (self-service) routes (already protected by checkJwt, syncUser)
+app.use('/api/me', meRoutes);
 
 // Mount Audit Logs routes (already protected by checkJwt, syncUser)
 const auditRoutes = require('./routes/audit');
@@ -13,8 +13,8 @@ const mockCheckJwt = jest.fn((req, res, next) => {
       'https://api.domain.com/tenant_id': MOCK_TENANT_ID,
       'https://api.domain.com/roles': ['admin'],
       'https://api.domain.com/email': 'testuser@example.com',
-      'https://api.domain.com/name': 'Test User'
-    }
+      'https://api.domain.com/name': 'Test User',
+    },
   };
   next();
 });
@@ -24,7 +24,7 @@ mockCheckJwt.simulateAuthFailure = (code = 'UNAUTHORIZED') => {
   mockCheckJwt.mockImplementation((req, res, next) => {
     return res.status(401).json({
       success: false,
-      error: { code, message: 'Authentication failed' }
+      error: { code, message: 'Authentication failed' },
     });
   });
 };
@@ -38,8 +38,8 @@ mockCheckJwt.resetToSuccess = () => {
         'https://api.domain.com/tenant_id': MOCK_TENANT_ID,
         'https://api.domain.com/roles': ['admin'],
         'https://api.domain.com/email': 'testuser@example.com',
-        'https://api.domain.com/name': 'Test User'
-      }
+        'https://api.domain.com/name': 'Test User',
+      },
     };
     next();
   });
@@ -51,10 +51,13 @@ const mockSyncUser = jest.fn((req, res, next) => {
   if (!req.auth || !req.auth.payload) {
     return res.status(401).json({
       success: false,
-      error: { code: 'UNAUTHORIZED', message: 'Auth payload missing after JWT check' }
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Auth payload missing after JWT check',
+      },
     });
   }
-  
+
   // Add mock user to req.user based on the JWT payload
   req.user = {
     id: 'test-user-id-123',
@@ -62,9 +65,9 @@ const mockSyncUser = jest.fn((req, res, next) => {
     auth0Id: req.auth.payload.sub,
     role: req.auth.payload['https://api.domain.com/roles'][0],
     email: req.auth.payload['https://api.domain.com/email'],
-    name: req.auth.payload['https://api.domain.com/name']
+    name: req.auth.payload['https://api.domain.com/name'],
   };
-  
+
   next();
 });
 
@@ -75,29 +78,38 @@ const mockAuthorizeRole = jest.fn((requiredRole) => {
     if (!req.user) {
       return res.status(403).json({
         success: false,
-        error: { code: 'FORBIDDEN', message: 'User information missing for authorization' }
+        error: {
+          code: 'FORBIDDEN',
+          message: 'User information missing for authorization',
+        },
       });
     }
-    
+
     const userRole = req.user.role;
     const hasRole = Array.isArray(requiredRole)
       ? requiredRole.includes(userRole)
       : userRole === requiredRole;
-      
+
     if (!hasRole) {
       return res.status(403).json({
         success: false,
-        error: { code: 'FORBIDDEN', message: 'Insufficient permissions' }
+        error: { code: 'FORBIDDEN', message: 'Insufficient permissions' },
       });
     }
-    
+
     next();
   };
 });
 
+// Mirrors checkRoleAdmin = authorizeRole('admin'), resolved per request so tests can re-mock authorizeRole
+const mockCheckRoleAdmin = jest.fn((req, res, next) =>
+  mockAuthorizeRole('admin')(req, res, next)
+);
+
 module.exports = {
   checkJwt: mockCheckJwt,
   syncUser: mockSyncUser,
   authorizeRole: mockAuthorizeRole,
-  MOCK_TENANT_ID
-}; 
\ No newline at end of file
+  checkRoleAdmin: mockCheckRoleAdmin,
+  MOCK_TENANT_ID,
+};
@@ -1,5 +1,6 @@
 const { auth, requiredScopes, claimEquals } = require('express-oauth2-jwt-bearer');
 const logger = require('../config/logger');
+const { linkEmployeeByEmail } = require('../utils/employeeAccess');
 
 // Auth0 configuration from environment variables
 const auth0Domain = process.env.AUTH0_DOMAIN;
@@ -150,6 +151,17 @@ const syncUser = async (req, res, next) => {
       return res.status(403).json({ success: false, error: { code: 'FORBIDDEN', message: 'User account is inactive in this application' } });
     }
 
+    // Link the user to the employee record with the same email, unless one is already linked
+    try {
+      await linkEmployeeByEmail(user);
+    } catch (linkError) {
+      // Linking can be done by an admin instead, so a failure must not block the request
+      logger.error(
+        `Failed to link user ${user.user_id} to an employee record: ${linkError.message}`,
+        { stack: linkError.stack }
+      );
+    }
+
     // Attach necessary user info to req.user for downstream route handlers
     req.user = {
       id: user.user_id,
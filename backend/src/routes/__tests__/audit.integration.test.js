@@ -0,0 +1,430 @@
+/**
+ * Integration test for Audit Log API endpoints
+ * Uses transaction rollbacks for test isolation
+ */
+const IntegrationTestBase = require('../../__tests__/integration-test-base');
+
+class AuditLogApiTest extends IntegrationTestBase {
+  constructor() {
+    super();
+    this.basePath = '/api/audit-logs';
+  }
+
+  /**
+   * Insert an audit log entry for the test tenant
+   * @param {Object} overrides - Properties to override
+   * @returns {Promise<Object>} - Created audit log row
+   */
+  async createTestAuditLog(overrides = {}) {
+    const result = await this.query(
+      `INSERT INTO audit_logs (tenant_id, user_id, action_type, entity_type, entity_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        this.MOCK_TENANT_ID,
+        overrides.user_id || this.defaultAdminId,
+        overrides.action_type || 'GRANT_CREATE',
+        overrides.entity_type || 'grant',
+        overrides.entity_id || null,
+        overrides.details || {
+          before: null,
+          after: { share_amount: '100.000' },
+        },
+      ]
+    );
+    return result.rows[0];
+  }
+}
+
+// Collects a streamed response body as text, whatever its content type
+const collectText = (res, callback) => {
+  let data = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => {
+    data += chunk;
+  });
+  res.on('end', () => callback(null, data));
+};
+
+// Create test instance
+const testBase = new AuditLogApiTest();
+
+describe('Audit Log API', () => {
+  // Start transaction before each test for isolation
+  beforeEach(async () => {
+    await testBase.setup();
+  });
+
+  // Roll back transaction after each test
+  afterEach(async () => {
+    await testBase.cleanup();
+  });
+
+  describe('audit_logs details structure', () => {
+    it('should reject details without before and after', async () => {
+      await expect(
+        testBase.createTestAuditLog({ details: { request: { name: 'x' } } })
+      ).rejects.toThrow(/chk_audit_log_details_structure/);
+    });
+  });
+
+  describe('GET /api/audit-logs', () => {
+    it('should filter audit logs and page through them with a cursor', async () => {
+      for (let i = 0; i < 3; i++) {
+        await testBase.createTestAuditLog({
+          action_type: 'PPS_UPDATE',
+          entity_type: 'pps_history',
+        });
+      }
+
+      const firstPage = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(testBase.basePath)
+        .query({ action_type: 'PPS_UPDATE', limit: 2 })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(firstPage.body.data.items).toHaveLength(2);
+      expect(firstPage.body.data.items[0]).toHaveProperty('user_email');
+      expect(firstPage.body.data.pagination.has_more).toBe(true);
+
+      const secondPage = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(testBase.basePath)
+        .query({
+          action_type: 'PPS_UPDATE',
+          limit: 2,
+          cursor: firstPage.body.data.pagination.next_cursor,
+        })
+        .expect(200);
+
+      const logIds = [
+        ...firstPage.body.data.items,
+        ...secondPage.body.data.items,
+      ].map((log) => log.log_id);
+      expect(new Set(logIds).size).toBe(logIds.length);
+      secondPage.body.data.items.forEach((log) =>
+        expect(log.action_type).toBe('PPS_UPDATE')
+      );
+    });
+
+    it('should only show an employee the entries about their own grants', async () => {
+      const employeeUser = await testBase.createTestUser('employee');
+      const employee = await testBase.createTestEmployee({
+        user_id: employeeUser.user_id,
+      });
+      const otherEmployee = await testBase.createTestEmployee();
+      const equityPool = await testBase.createTestPool();
+      const grantIds = [];
+      for (const employeeId of [
+        employee.employee_id,
+        otherEmployee.employee_id,
+      ]) {
+        const grantResult = await testBase.query(
+          `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, created_by)
+           VALUES (gen_random_uuid(), $1, $2, $3, CURRENT_DATE, 10, $4)
+           RETURNING grant_id`,
+          [
+            testBase.MOCK_TENANT_ID,
+            equityPool.pool_id,
+            employeeId,
+            testBase.defaultAdminId,
+          ]
+        );
+        grantIds.push(grantResult.rows[0].grant_id);
+        await testBase.createTestAuditLog({
+          entity_id: grantResult.rows[0].grant_id,
+        });
+      }
+
+      const response = await testBase
+        .getAuthenticatedRequest(employeeUser.user_id, 'employee')
+        .get(testBase.basePath)
+        .expect(200);
+
+      expect(response.body.data.items).toHaveLength(1);
+      expect(response.body.data.items[0].entity_id).toBe(grantIds[0]);
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(testBase.basePath)
+        .query({ cursor: 'not-a-cursor' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 400 for a date filter that is not a calendar date', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(testBase.basePath)
+        .query({ from_date: '2026-02-30' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
+  describe('GET /api/audit-logs/entities/:entity_type/:entity_id/history', () => {
+    it('should return the diffed timeline and the state as of a timestamp', async () => {
+      const employee = await testBase.createTestEmployee();
+      const snapshot = { employee_id: employee.employee_id, first_name: 'A' };
+      await testBase.createTestAuditLog({
+        action_type: 'EMPLOYEE_CREATE',
+        entity_type: 'employee',
+        entity_id: employee.employee_id,
+        details: { before: null, after: snapshot },
+      });
+      await testBase.query(
+        `UPDATE audit_logs SET created_at = NOW() - INTERVAL '1 day' WHERE entity_id = $1`,
+        [employee.employee_id]
+      );
+      await testBase.createTestAuditLog({
+        action_type: 'EMPLOYEE_UPDATE',
+        entity_type: 'employee',
+        entity_id: employee.employee_id,
+        details: { before: snapshot, after: { ...snapshot, first_name: 'B' } },
+      });
+      const path = `${testBase.basePath}/entities/employee/${employee.employee_id}/history`;
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(path)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.data.timeline.map((item) => item.change)).toEqual([
+        'create',
+        'update',
+      ]);
+      expect(response.body.data.timeline[1].changes).toEqual([
+        { field: 'first_name', before: 'A', after: 'B' },
+      ]);
+      const [created, updated] = response.body.data.timeline;
+      expect(typeof created.chain_seq).toBe('number');
+      expect(updated.chain_seq).toBe(created.chain_seq + 1);
+      expect(response.body.data.state.first_name).toBe('B');
+
+      const asOf = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const asOfResponse = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(path)
+        .query({ as_of: asOf })
+        .expect(200);
+
+      expect(asOfResponse.body.data.timeline).toHaveLength(1);
+      expect(asOfResponse.body.data.state.first_name).toBe('A');
+    });
+
+    it('should return 404 for an entity without audit entries', async () => {
+      const employee = await testBase.createTestEmployee();
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(
+          `${testBase.basePath}/entities/employee/${employee.employee_id}/history`
+        )
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('should return 400 for an unsupported entity type', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(
+          `${testBase.basePath}/entities/pool_event/${testBase.defaultAdminId}/history`
+        )
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 400 for an as_of that is not a calendar date', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(
+          `${testBase.basePath}/entities/user/${testBase.defaultAdminId}/history`
+        )
+        .query({ as_of: '2026-02-30T10:00:00Z' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
+  describe('GET /api/audit-logs/verify', () => {
+    // The tenant's chain also holds entries committed by other suites, which can have changed since
+    // (e.g. user_id set to null when their user was deleted), so each test starts a chain of its own.
+    // Both deletes are rolled back with the test transaction.
+    beforeEach(async () => {
+      await testBase.query('DELETE FROM audit_logs WHERE tenant_id = $1', [
+        testBase.MOCK_TENANT_ID,
+      ]);
+      await testBase.query(
+        'DELETE FROM audit_log_chain_heads WHERE tenant_id = $1',
+        [testBase.MOCK_TENANT_ID]
+      );
+    });
+
+    it('should report an intact hash chain', async () => {
+      const first = await testBase.createTestAuditLog();
+      const second = await testBase.createTestAuditLog();
+      expect(second.prev_hash).toBe(first.row_hash);
+      expect(Number(second.chain_seq)).toBe(Number(first.chain_seq) + 1);
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/verify`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.data.valid).toBe(true);
+      expect(response.body.data.checked_count).toBe(2);
+      expect(response.body.data.last_seq).toBe(2);
+      expect(response.body.data.head_hash).toBe(second.row_hash);
+      expect(response.body.data.first_broken_link).toBeNull();
+    });
+
+    it('should report the first entry whose content was modified', async () => {
+      await testBase.createTestAuditLog();
+      const tampered = await testBase.createTestAuditLog();
+      await testBase.createTestAuditLog();
+      await testBase.query(
+        `UPDATE audit_logs SET details = $2 WHERE log_id = $1`,
+        [tampered.log_id, { before: null, after: { share_amount: '1.000' } }]
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/verify`)
+        .expect(200);
+
+      expect(response.body.data.valid).toBe(false);
+      expect(response.body.data.first_broken_link).toMatchObject({
+        log_id: tampered.log_id,
+        reason: 'content_modified',
+      });
+    });
+
+    it('should report entries deleted from the chain', async () => {
+      await testBase.createTestAuditLog();
+      const deleted = await testBase.createTestAuditLog();
+      const next = await testBase.createTestAuditLog();
+      await testBase.query(`DELETE FROM audit_logs WHERE log_id = $1`, [
+        deleted.log_id,
+      ]);
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/verify`)
+        .expect(200);
+
+      expect(response.body.data.valid).toBe(false);
+      expect(response.body.data.first_broken_link).toMatchObject({
+        log_id: next.log_id,
+        reason: 'entries_missing',
+      });
+    });
+
+    it('should return 403 for an employee user', async () => {
+      await testBase
+        .getAuthenticatedRequest(testBase.defaultEmployeeId, 'employee')
+        .get(`${testBase.basePath}/verify`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/audit-logs/download', () => {
+    it('should stream audit logs as CSV for an admin user', async () => {
+      await testBase.createTestAuditLog({
+        details: { before: null, after: { note: 'contains, a comma' } },
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/download`)
+        .buffer(true)
+        .parse(collectText)
+        .expect('Content-Type', /text\/csv/)
+        .expect(
+          'Content-Disposition',
+          /attachment; filename="audit-logs-.*\.csv"/
+        )
+        .expect(200);
+
+      const lines = response.body.trim().split('\r\n');
+      expect(lines[0]).toBe(
+        'log_id,created_at,user_id,user_email,user_name,action_type,entity_type,entity_id,details'
+      );
+      expect(lines.length).toBeGreaterThan(1);
+    });
+
+    it('should stream filtered audit logs as NDJSON and record the export', async () => {
+      await testBase.createTestAuditLog({
+        action_type: 'PPS_CREATE',
+        entity_type: 'pps_history',
+      });
+      await testBase.createTestAuditLog({ action_type: 'GRANT_CREATE' });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/download`)
+        .query({ format: 'ndjson', action_type: 'PPS_CREATE' })
+        .buffer(true)
+        .parse(collectText)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+
+      const rows = response.body
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(rows.length).toBeGreaterThan(0);
+      rows.forEach((row) => expect(row.action_type).toBe('PPS_CREATE'));
+
+      const exportResult = await testBase.query(
+        `SELECT details FROM audit_logs WHERE tenant_id = $1 AND action_type = 'AUDIT_EXPORT' ORDER BY created_at DESC LIMIT 1`,
+        [testBase.MOCK_TENANT_ID]
+      );
+      expect(exportResult.rows[0].details.format).toBe('ndjson');
+      expect(exportResult.rows[0].details.filters.action_type).toBe(
+        'PPS_CREATE'
+      );
+    });
+
+    it('should return 400 for an unsupported format', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/download`)
+        .query({ format: 'xml' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 400 for a date filter that is not a calendar date', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/download`)
+        .query({ to_date: '2026-02-30' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 403 for an employee user', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultEmployeeId, 'employee')
+        .get(`${testBase.basePath}/download`)
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+  });
+});
@@ -42,7 +42,7 @@ describe('Decimal Precision Tests', () => {
     // Get pool via API
     const response = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
-      .get(testBase.poolsBasePath)
+      .get(`${testBase.poolsBasePath}/${pool.pool_id}`)
       .expect(200);
     
     // Verify precision is maintained
@@ -51,11 +51,11 @@ describe('Decimal Precision Tests', () => {
     
     // Verify via direct database query
     const poolQuery = await testBase.query(
-      `SELECT total_shares FROM equity_pools WHERE pool_id = $1`,
+      `SELECT total_pool FROM equity_pools WHERE pool_id = $1`,
       [pool.pool_id]
     );
     
-    expect(poolQuery.rows[0].total_shares.toString()).toBe(maxPrecisionValue);
+    expect(poolQuery.rows[0].total_pool.toString()).toBe(maxPrecisionValue);
   });
 
   /**
@@ -83,7 +83,7 @@ describe('Decimal Precision Tests', () => {
     // Get updated pool via API
     const response = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
-      .get(testBase.poolsBasePath)
+      .get(`${testBase.poolsBasePath}/${pool.pool_id}`)
       .expect(200);
     
     // Expected result should be 0.001 + 0.001 = 0.002
@@ -121,13 +121,16 @@ describe('Decimal Precision Tests', () => {
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
       .post(testBase.poolsBasePath)
       .send({
+        name: 'Precision Pool',
+        share_class: 'Common',
         initial_amount: invalidPrecisionValue,
-        created_by: testBase.defaultAdminId
+        effective_date: '2025-01-01',
+        notes: 'Testing invalid value'
       })
       .expect(400); // Should fail validation
     
     // Check error code
-    expect(poolResponse.body.error.code).toBe('VALIDATION_ERROR');
+    expect(poolResponse.body.error.code).toBe('BAD_REQUEST');
     
     // Create valid pool for next test
     const pool = await testBase.createTestPool({ initial_amount: '1.000' });
@@ -145,7 +148,7 @@ describe('Decimal Precision Tests', () => {
       .expect(400); // Should fail validation
     
     // Check error code
-    expect(eventResponse.body.error.code).toBe('VALIDATION_ERROR');
+    expect(eventResponse.body.error.code).toBe('BAD_REQUEST');
   });
 
   /**
@@ -238,7 +241,7 @@ describe('Decimal Precision Tests', () => {
     // Get updated pool via API
     const response = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
-      .get(testBase.poolsBasePath)
+      .get(`${testBase.poolsBasePath}/${pool.pool_id}`)
       .expect(200);
     
     // Verify precision is maintained through multiple operations
@@ -254,19 +257,15 @@ describe('Decimal Precision Tests', () => {
     
     // Create grant with value that would cause decimal division
     // 1000/48 = 20.833... per month
+    // Inserted directly: creating it through the API would already vest every tranche due today
     const grantAmount = '1000.000';
-    const grantResponse = await testBase
-      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
-      .post(testBase.grantsBasePath)
-      .send({
-        employee_id: employee.employee_id,
-        grant_date: '2024-01-01', // 1 year ago to pass cliff
-        share_amount: grantAmount,
-        notes: 'Testing vesting precision'
-      })
-      .expect(201);
-    
-    const grantId = grantResponse.body.data.grant_id;
+    const equityPool = await testBase.createTestPool({ initial_amount: '10000.000' });
+    const grantId = uuidv4();
+    await testBase.query(
+      `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, notes, created_by)
+       VALUES ($1, $2, $3, $4, '2024-01-01', $5, 'Testing vesting precision', $6)`,
+      [grantId, testBase.MOCK_TENANT_ID, equityPool.pool_id, employee.employee_id, grantAmount, testBase.defaultAdminId]
+    );
     
     // Calculate vesting at cliff (12 months)
     const vestingResponse = await testBase
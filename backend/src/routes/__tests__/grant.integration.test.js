@@ -96,13 +96,14 @@ class GrantApiTest extends IntegrationTestBase {
     // Insert grant
     const result = await this.query(
       `INSERT INTO grants (
-        grant_id, tenant_id, employee_id, grant_date, share_amount, vested_amount,
+        grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, vested_amount,
         status, notes, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *`,
       [
         grantId,
         this.MOCK_TENANT_ID,
+        poolId,
         employee.employee_id,
         grantDate,
         shareAmount,
@@ -156,16 +157,18 @@ describe('Grant API', () => {
       
       // Verify response format
       expect(response.body.success).toBe(true);
-      expect(Array.isArray(response.body.data)).toBe(true);
-      expect(response.body.data.length).toBeGreaterThanOrEqual(2);
+      expect(Array.isArray(response.body.data.items)).toBe(true);
+      expect(response.body.data.items.length).toBeGreaterThanOrEqual(2);
       
       // Verify the returned grants include our test grants
-      const grantIds = response.body.data.map(g => g.grant_id);
+      const grantIds = response.body.data.items.map((g) => g.grant_id);
       expect(grantIds).toContain(grant1.grant_id);
       expect(grantIds).toContain(grant2.grant_id);
       
       // Validate first grant structure
-      const returnedGrant = response.body.data.find(g => g.grant_id === grant1.grant_id);
+      const returnedGrant = response.body.data.items.find(
+        (g) => g.grant_id === grant1.grant_id
+      );
       expect(returnedGrant).toBeDefined();
       if (validateGrantStructure) {
         validateGrantStructure(returnedGrant);
@@ -202,11 +205,19 @@ describe('Grant API', () => {
       
       // Verify filtered response
       expect(response.body.success).toBe(true);
-      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(Array.isArray(response.body.data.items)).toBe(true);
       
       // Verify only grants for employee1 are returned
-      expect(response.body.data.every(g => g.employee_id === employee1.employee_id)).toBe(true);
-      expect(response.body.data.some(g => g.employee_id === employee2.employee_id)).toBe(false);
+      expect(
+        response.body.data.items.every(
+          (g) => g.employee_id === employee1.employee_id
+        )
+      ).toBe(true);
+      expect(
+        response.body.data.items.some(
+          (g) => g.employee_id === employee2.employee_id
+        )
+      ).toBe(false);
     });
     
     it('should return only active grants when status=active is specified', async () => {
@@ -240,16 +251,44 @@ describe('Grant API', () => {
       
       // Verify filtered response
       expect(response.body.success).toBe(true);
-      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(Array.isArray(response.body.data.items)).toBe(true);
       
       // Verify only active grants are returned
-      expect(response.body.data.every(g => g.status === 'active')).toBe(true);
+      expect(response.body.data.items.every((g) => g.status === 'active')).toBe(
+        true
+      );
       
       // Verify active grant is included and inactive is not
-      const returnedGrantIds = response.body.data.map(g => g.grant_id);
+      const returnedGrantIds = response.body.data.items.map((g) => g.grant_id);
       expect(returnedGrantIds).toContain(activeGrant.grant_id);
       expect(returnedGrantIds).not.toContain(inactiveGrant.grant_id);
     });
+
+    it('should only return the grants of the employee linked to a non-admin user', async () => {
+      // Create an employee linked to an employee user, with an email that differs from the user's
+      const employeeUser = await testBase.createTestUser('employee');
+      const linkedEmployee = await testBase.createTestEmployee({
+        user_id: employeeUser.user_id,
+      });
+      const otherEmployee = await testBase.createTestEmployee({
+        email: employeeUser.email,
+      });
+
+      const ownGrant = await testBase.createTestGrant(linkedEmployee);
+      const otherGrant = await testBase.createTestGrant(otherEmployee);
+
+      // Make authenticated request as the employee user
+      const response = await testBase
+        .getAuthenticatedRequest(employeeUser.user_id, 'employee')
+        .get(testBase.basePath)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      // Verify only the linked employee's grant is returned
+      const returnedGrantIds = response.body.data.items.map((g) => g.grant_id);
+      expect(returnedGrantIds).toEqual([ownGrant.grant_id]);
+      expect(returnedGrantIds).not.toContain(otherGrant.grant_id);
+    });
   });
   
   describe('POST /api/grants', () => {
@@ -265,7 +304,7 @@ describe('Grant API', () => {
       
       // Prepare grant data
       const grantData = testBase.createTestGrantData(employee, {
-        grant_date: '2025-03-15',
+        grant_date: '2021-03-15',
         share_amount: '150.000',
         notes: 'New hire equity grant'
       });
@@ -286,9 +325,10 @@ describe('Grant API', () => {
       const createdGrant = response.body.data;
       expect(createdGrant.employee_id).toBe(employee.employee_id);
       expect(createdGrant.share_amount).toBe('150.000');
-      expect(createdGrant.vested_amount).toBe('0.000');
+      // Backdated past the whole 48-month schedule, so every tranche vests on creation
+      expect(createdGrant.vested_amount).toBe('150.000');
       expect(createdGrant.status).toBe('active');
-      expect(formatDate(createdGrant.grant_date)).toBe('2025-03-15');
+      expect(formatDate(createdGrant.grant_date)).toBe('2021-03-15');
       expect(createdGrant.notes).toBe('New hire equity grant');
       
       // Verify grant is in the database
@@ -299,6 +339,31 @@ describe('Grant API', () => {
       
       expect(dbResult.rows.length).toBe(1);
     });
+
+    it('should record the new grant in a GRANT_CREATE audit entry', async () => {
+      const employee = await testBase.createTestEmployee();
+      await testBase.createTestPool({
+        initial_amount: '1000.000',
+        created_by: testBase.defaultAdminId,
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(testBase.basePath)
+        .send(
+          testBase.createTestGrantData(employee, { share_amount: '25.000' })
+        )
+        .expect(201);
+
+      const auditResult = await testBase.query(
+        `SELECT user_id, details FROM audit_logs WHERE entity_id = $1 AND action_type = 'GRANT_CREATE'`,
+        [response.body.data.grant_id]
+      );
+      expect(auditResult.rows.length).toBe(1);
+      expect(auditResult.rows[0].user_id).toBe(testBase.defaultAdminId);
+      expect(auditResult.rows[0].details.before).toBeNull();
+      expect(auditResult.rows[0].details.after.share_amount).toBe('25.000');
+    });
     
     it('should return 403 for employee trying to create a grant', async () => {
       // Create test employee
@@ -349,7 +414,428 @@ describe('Grant API', () => {
       expect(response.body.error).toBeDefined();
       expect(response.body.error.code).toBe('INSUFFICIENT_SHARES');
     });
+
+    it('should require pool_id when the tenant has multiple pools', async () => {
+      const employee = await testBase.createTestEmployee();
+      await testBase.createTestPool({ name: '2025 ESOP' });
+      await testBase.createTestPool({ name: 'Advisor pool' });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(testBase.basePath)
+        .send(
+          testBase.createTestGrantData(employee, { share_amount: '10.000' })
+        )
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('POOL_REQUIRED');
+    });
+
+    it('should draw the grant from the pool named by pool_id', async () => {
+      const employee = await testBase.createTestEmployee();
+      const esopPool = await testBase.createTestPool({
+        name: '2025 ESOP',
+        initial_amount: '1000.000',
+      });
+      const advisorPool = await testBase.createTestPool({
+        name: 'Advisor pool',
+        initial_amount: '100.000',
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(testBase.basePath)
+        .send({
+          ...testBase.createTestGrantData(employee, { share_amount: '40.000' }),
+          pool_id: advisorPool.pool_id,
+        })
+        .expect(201);
+      expect(response.body.data.pool_id).toBe(advisorPool.pool_id);
+
+      const metricsResult = await testBase.query(
+        'SELECT ep.name, m.available_shares FROM equity_pools ep CROSS JOIN LATERAL func_pool_metrics(ep.pool_id) m WHERE ep.pool_id = ANY($1::uuid[]) ORDER BY ep.name',
+        [[esopPool.pool_id, advisorPool.pool_id]]
+      );
+      expect(metricsResult.rows.map((row) => row.available_shares)).toEqual([
+        '1000.000',
+        '60.000',
+      ]);
+    });
+  });
+
+
+  describe('POST /api/grants/:grant_id/terminate', () => {
+    it('should return all shares when terminated on the grant date', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        {
+          grant_date: '2025-01-01',
+          share_amount: '20.000',
+        }
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/terminate`)
+        .send({ termination_date: '2025-01-01', reason: 'Resigned' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('inactive');
+      expect(response.body.data.vested_amount).toBe('0.000');
+      expect(response.body.data.unvested_shares_returned).toBe('20.000');
+      expect(response.body.data.termination_date).toBe('2025-01-01');
+      expect(response.body.data.terminated_by).toBe(testBase.defaultAdminId);
+
+      // Audit entry is written for the termination
+      const auditResult = await testBase.query(
+        `SELECT * FROM audit_logs WHERE entity_id = $1 AND action_type = 'GRANT_TERMINATE'`,
+        [grant.grant_id]
+      );
+      expect(auditResult.rows.length).toBe(1);
+    });
+
+    it('should keep the cliff tranche vested when terminated on the cliff day', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        {
+          grant_date: '2025-01-01',
+          share_amount: '100.000',
+        }
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/terminate`)
+        .send({ termination_date: '2026-01-01', reason: 'Laid off' })
+        .expect(200);
+
+      expect(response.body.data.vested_amount).toBe('25.000');
+      expect(response.body.data.unvested_shares_returned).toBe('75.000');
+
+      // Vesting stops once the grant is inactive
+      const calculateResponse = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/calculate-vesting`)
+        .send({})
+        .expect(200);
+
+      expect(calculateResponse.body.data.vested_amount).toBe('25.000');
+      expect(calculateResponse.body.data.vesting_events.length).toBe(0);
+    });
+
+    it('should return 400 when terminating an inactive grant', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        { grant_date: '2025-01-01' }
+      );
+      await testBase.query(
+        `UPDATE grants SET status = 'inactive', termination_date = '2025-01-01' WHERE grant_id = $1`,
+        [grant.grant_id]
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/terminate`)
+        .send({ reason: 'Resigned' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
   });
   
+  describe('GET /api/grants/:grant_id/vesting-events', () => {
+    it('should return 400 when grant_id is not a UUID', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .get(`${testBase.basePath}/not-a-uuid/vesting-events`)
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 400 when from_date or to_date is not a valid date', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        { grant_date: '2025-01-01' }
+      );
+
+      for (const query of [
+        { from_date: '2026-02-30' },
+        { to_date: 'garbage' },
+        { from_date: '2026-03-01', to_date: '2026-01-01' },
+      ]) {
+        const response = await testBase
+          .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+          .get(`${testBase.basePath}/${grant.grant_id}/vesting-events`)
+          .query(query)
+          .expect('Content-Type', /json/)
+          .expect(400);
+
+        expect(response.body.error.code).toBe('BAD_REQUEST');
+      }
+    });
+  });
+
+  describe('POST /api/grants/bulk', () => {
+    it('should create all grants in all_or_nothing mode with one audit entry each', async () => {
+      const employeeA = await testBase.createTestEmployee();
+      const employeeB = await testBase.createTestEmployee();
+      await testBase.createTestPool({
+        initial_amount: '1000.000',
+        created_by: testBase.defaultAdminId,
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/bulk`)
+        .send({
+          grants: [
+            testBase.createTestGrantData(employeeA, {
+              grant_date: '2099-01-01',
+              share_amount: '100.000',
+            }),
+            testBase.createTestGrantData(employeeB, {
+              grant_date: '2099-01-01',
+              share_amount: '200.000',
+            }),
+          ],
+        })
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.created_count).toBe(2);
+      expect(response.body.data.errors).toBeUndefined();
+
+      const auditResult = await testBase.query(
+        `SELECT entity_id FROM audit_logs WHERE action_type = 'GRANT_CREATE' AND entity_id = ANY($1::uuid[])`,
+        [response.body.data.grants.map((grant) => grant.grant_id)]
+      );
+      expect(auditResult.rows.length).toBe(2);
+    });
+
+    it('should create nothing in all_or_nothing mode when the total exceeds Available', async () => {
+      const employee = await testBase.createTestEmployee();
+      await testBase.createTestPool({
+        initial_amount: '100.000',
+        created_by: testBase.defaultAdminId,
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/bulk`)
+        .send({
+          grants: [
+            testBase.createTestGrantData(employee, { share_amount: '60.000' }),
+            testBase.createTestGrantData(employee, { share_amount: '60.000' }),
+          ],
+        })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.details).toEqual([
+        expect.objectContaining({ index: 1, code: 'INSUFFICIENT_SHARES' }),
+      ]);
+
+      const dbResult = await testBase.query(
+        'SELECT 1 FROM grants WHERE employee_id = $1',
+        [employee.employee_id]
+      );
+      expect(dbResult.rows.length).toBe(0);
+    });
+
+    it('should skip failing rows in partial mode and report them', async () => {
+      const employee = await testBase.createTestEmployee();
+      await testBase.createTestPool({
+        initial_amount: '100.000',
+        created_by: testBase.defaultAdminId,
+      });
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/bulk`)
+        .send({
+          mode: 'partial',
+          grants: [
+            testBase.createTestGrantData(employee, { share_amount: '60.000' }),
+            testBase.createTestGrantData(employee, { share_amount: '60.000' }),
+            {
+              employee_id: uuidv4(),
+              grant_date: '2025-01-01',
+              share_amount: '10.000',
+            },
+            testBase.createTestGrantData(employee, {
+              grant_date: '2026-02-30',
+              share_amount: '10.000',
+            }),
+          ],
+        })
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      expect(response.body.data.created_count).toBe(1);
+      expect(response.body.data.errors.map((error) => error.index)).toEqual([
+        1, 2, 3,
+      ]);
+      expect(response.body.data.errors[1].code).toBe('NOT_FOUND');
+      expect(response.body.data.errors[2]).toMatchObject({
+        code: 'BAD_REQUEST',
+        message: 'grant_date must be a valid date (YYYY-MM-DD).',
+      });
+    });
+  });
+
+  describe('PATCH /api/grants/:grant_id', () => {
+    it('should update notes and share_amount of an un-vested grant', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        {
+          grant_date: '2099-01-01',
+          share_amount: '100.000',
+        }
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .patch(`${testBase.basePath}/${grant.grant_id}`)
+        .set('If-Match', `"${grant.version}"`)
+        .send({ share_amount: '120.000', notes: 'Resized after review' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.share_amount).toBe('120.000');
+      expect(response.body.data.notes).toBe('Resized after review');
+      expect(response.body.data.version).toBe(grant.version + 1);
+
+      const auditResult = await testBase.query(
+        `SELECT details FROM audit_logs WHERE entity_id = $1 AND action_type = 'GRANT_UPDATE'`,
+        [grant.grant_id]
+      );
+      expect(auditResult.rows.length).toBe(1);
+      expect(auditResult.rows[0].details.before.share_amount).toBe('100.000');
+    });
+
+    it('should return 409 when the version does not match', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        { grant_date: '2099-01-01' }
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .patch(`${testBase.basePath}/${grant.grant_id}`)
+        .send({ notes: 'Stale edit', version: grant.version + 1 })
+        .expect('Content-Type', /json/)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('VERSION_CONFLICT');
+    });
+
+    it('should return 400 when grant_id is not a UUID', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .patch(`${testBase.basePath}/not-a-uuid`)
+        .send({ notes: 'Edit', version: 1 })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should only allow notes to change once vesting has occurred', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        { grant_date: '2025-01-01' }
+      );
+
+      const calculateResponse = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/calculate-vesting`)
+        .send({})
+        .expect(200);
+      const { version } = calculateResponse.body.data;
+
+      await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .patch(`${testBase.basePath}/${grant.grant_id}`)
+        .send({ share_amount: '50.000', version })
+        .expect(400);
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .patch(`${testBase.basePath}/${grant.grant_id}`)
+        .send({ notes: 'Still editable', version })
+        .expect(200);
+
+      expect(response.body.data.notes).toBe('Still editable');
+    });
+  });
+
+  describe('DELETE /api/grants/:grant_id', () => {
+    it('should soft delete an un-vested grant and return its shares', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        {
+          grant_date: '2099-01-01',
+          share_amount: '40.000',
+        }
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .delete(`${testBase.basePath}/${grant.grant_id}`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.returned_shares).toBe('40.000');
+      expect(response.body.data.available_shares).toBe('1000.000');
+
+      const dbResult = await testBase.query(
+        'SELECT deleted_at FROM grants WHERE grant_id = $1',
+        [grant.grant_id]
+      );
+      expect(dbResult.rows[0].deleted_at).not.toBeNull();
+    });
+
+    it('should return 400 when the grant has vested shares', async () => {
+      const grant = await testBase.createTestGrant(
+        {},
+        { grant_date: '2025-01-01' }
+      );
+
+      await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .post(`${testBase.basePath}/${grant.grant_id}/calculate-vesting`)
+        .send({})
+        .expect(200);
+
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .delete(`${testBase.basePath}/${grant.grant_id}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should return 400 when grant_id is not a UUID', async () => {
+      const response = await testBase
+        .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+        .delete(`${testBase.basePath}/not-a-uuid`)
+        .set('If-Match', '"1"')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
   // Additional test scenarios would follow the same pattern
 });
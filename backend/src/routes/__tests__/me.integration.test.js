@@ -0,0 +1,100 @@
+/**
+ * Integration test for the self-service (/api/me) endpoints
+ * Uses transaction rollbacks for test isolation
+ */
+const IntegrationTestBase = require('../../__tests__/integration-test-base');
+
+// Create test instance
+const testBase = new IntegrationTestBase();
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  return date.toISOString().split('T')[0];
+};
+
+describe('Self-service API', () => {
+  // Start transaction before each test for isolation
+  beforeEach(async () => {
+    await testBase.setup();
+  });
+
+  // Roll back transaction after each test
+  afterEach(async () => {
+    await testBase.cleanup();
+  });
+
+  describe('GET /api/me/equity', () => {
+    it("should return the caller's grants, totals, next vest and forecast", async () => {
+      const employeeUser = await testBase.createTestUser('employee');
+      const employee = await testBase.createTestEmployee({
+        user_id: employeeUser.user_id,
+      });
+      const otherEmployee = await testBase.createTestEmployee();
+      const equityPool = await testBase.createTestPool();
+      for (const employeeId of [
+        employee.employee_id,
+        otherEmployee.employee_id,
+      ]) {
+        await testBase.query(
+          `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, created_by)
+           VALUES (gen_random_uuid(), $1, $2, $3, $4, 48, $5)`,
+          [
+            testBase.MOCK_TENANT_ID,
+            equityPool.pool_id,
+            employeeId,
+            monthsAgo(6),
+            testBase.defaultAdminId,
+          ]
+        );
+      }
+
+      const response = await testBase
+        .getAuthenticatedRequest(employeeUser.user_id, 'employee')
+        .get('/api/me/equity')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.employee.employee_id).toBe(employee.employee_id);
+      expect(data.grants).toHaveLength(1);
+      expect(data.totals.granted_shares).toBe('48.000');
+      expect(data.totals.unvested_shares).toBe('48.000');
+      // The 12-month cliff tranche is the next vest
+      expect(data.next_vest.shares).toBe('12.000');
+      expect(data.forecast).toHaveLength(12);
+    });
+
+    it('should value the equity at the PPS in effect today, not a scheduled one', async () => {
+      const employeeUser = await testBase.createTestUser('employee');
+      await testBase.createTestEmployee({ user_id: employeeUser.user_id });
+      await testBase.query(
+        `INSERT INTO pps_history (tenant_id, effective_date, price_per_share, created_by)
+         SELECT t.tenant_id, (NOW() AT TIME ZONE t.timezone)::date + offset_days, price, $2
+         FROM tenants t, (VALUES (0, 2.5), (30, 9)) AS entries(offset_days, price)
+         WHERE t.tenant_id = $1`,
+        [testBase.MOCK_TENANT_ID, testBase.defaultAdminId]
+      );
+
+      const response = await testBase
+        .getAuthenticatedRequest(employeeUser.user_id, 'employee')
+        .get('/api/me/equity')
+        .expect(200);
+
+      expect(response.body.data.current_pps).toBe('2.500');
+      expect(response.body.data.pps_effective_date).not.toBeNull();
+    });
+
+    it('should return 404 when no employee is linked to the user', async () => {
+      const employeeUser = await testBase.createTestUser('employee');
+
+      const response = await testBase
+        .getAuthenticatedRequest(employeeUser.user_id, 'employee')
+        .get('/api/me/equity')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+});
@@ -67,9 +67,9 @@ describe('Equity Pool API', () => {
     // Create the initial equity pool for the tenant
     const initialPoolAmount = 1000.000;
     const poolResult = await pool.query(
-      `INSERT INTO equity_pools (tenant_id, initial_amount, total_pool, created_by)
-       VALUES ($1, $2, $2, $3) RETURNING pool_id`,
-      [MOCK_TENANT_ID, initialPoolAmount, mockAdminUserId]
+      `INSERT INTO equity_pools (tenant_id, name, initial_amount, total_pool, created_by)
+       VALUES ($1, $2, $3, $3, $4) RETURNING pool_id`,
+      [MOCK_TENANT_ID, 'Equity Pool', initialPoolAmount, mockAdminUserId]
     );
     poolId = poolResult.rows[0].pool_id;
 
@@ -117,7 +117,7 @@ describe('Equity Pool API', () => {
   });
   
   describe('GET /api/pools', () => {
-    it('should return the equity pool with metrics for an admin user', async () => {
+    it('should list the equity pools with metrics for an admin user', async () => {
       // Mock middleware for admin user
       mockAuthMiddleware(mockAdminUserId, 'admin');
       
@@ -128,21 +128,24 @@ describe('Equity Pool API', () => {
       
       // Verify response format
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeDefined();
+      expect(response.body.data.items).toHaveLength(1);
       
       // Validate pool structure
-      validateEquityPoolStructure(response.body.data);
+      const [equityPool] = response.body.data.items;
+      validateEquityPoolStructure(equityPool);
       
       // Verify the returned data matches what we expect
-      expect(response.body.data.tenant_id).toBe(MOCK_TENANT_ID);
-      expect(response.body.data.initial_amount).toBe("1000.000");
-      expect(response.body.data.total_pool).toBe("1000.000");
-      expect(response.body.data.granted_shares).toBe('0.000');
-      expect(response.body.data.returned_shares).toBe('0.000');
-      expect(response.body.data.available_shares).toBe("1000.000");
+      expect(equityPool.tenant_id).toBe(MOCK_TENANT_ID);
+      expect(equityPool.name).toBe('Equity Pool');
+      expect(equityPool.initial_amount).toBe('1000.000');
+      expect(equityPool.total_pool).toBe('1000.000');
+      expect(equityPool.granted_shares).toBe('0.000');
+      expect(equityPool.returned_shares).toBe('0.000');
+      expect(equityPool.available_shares).toBe('1000.000');
+      expect(response.body.data.totals.available_shares).toBe('1000.000');
     });
     
-    it('should return the equity pool with metrics for an employee user', async () => {
+    it('should return the equity pools with metrics for an employee user', async () => {
       // Mock middleware for employee user
       mockAuthMiddleware(mockEmployeeUserId, 'employee');
       
@@ -153,10 +156,154 @@ describe('Equity Pool API', () => {
       
       // Verify response format
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeDefined();
+      expect(response.body.data.items).toHaveLength(1);
       
       // Validate pool structure
-      validateEquityPoolStructure(response.body.data);
+      validateEquityPoolStructure(response.body.data.items[0]);
+    });
+
+    it('should reconstruct the metrics at a historical as_of_date', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      // The pool's initial event is effective today, so it did not exist in 2000
+      const response = await request(app)
+        .get('/api/pools?as_of_date=2000-01-01')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      const [equityPool] = response.body.data.items;
+      validateEquityPoolStructure(equityPool);
+      expect(equityPool.as_of_date).toBe('2000-01-01');
+      expect(equityPool.total_pool).toBe('0.000');
+      expect(equityPool.granted_shares).toBe('0.000');
+      expect(equityPool.available_shares).toBe('0.000');
+      expect(response.body.data.totals.total_pool).toBe('0.000');
+    });
+
+    it('should return 404 with a setup hint until a pool is initialized', async () => {
+      mockAuthMiddleware(
+        mockAdminUserId,
+        'admin',
+        '33333333-3333-3333-3333-333333333333'
+      );
+
+      const response = await request(app)
+        .get('/api/pools')
+        .expect('Content-Type', /json/)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('POOL_NOT_INITIALIZED');
+      expect(response.body.error.message).toContain('POST /api/pools');
+      const poolResult = await pool.query(
+        'SELECT 1 FROM equity_pools WHERE tenant_id = $1',
+        ['33333333-3333-3333-3333-333333333333']
+      );
+      expect(poolResult.rows.length).toBe(0);
+    });
+
+    it('should return 400 for an invalid as_of_date', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const response = await request(app)
+        .get('/api/pools?as_of_date=not-a-date')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
+  describe('POST /api/pools', () => {
+    it('should create a named pool that is counted separately and in the tenant roll-up', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const createResponse = await request(app)
+        .post('/api/pools')
+        .send({
+          name: 'Advisor pool',
+          initial_amount: '250',
+          effective_date: '2025-01-01',
+          notes: 'Board resolution 2025-01',
+        })
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      const advisorPool = createResponse.body.data;
+      validateEquityPoolStructure(advisorPool);
+      expect(advisorPool.name).toBe('Advisor pool');
+      expect(advisorPool.share_class).toBe('common');
+      expect(advisorPool.total_pool).toBe('250.000');
+
+      const initialEvent = await pool.query(
+        "SELECT amount, effective_date::text AS effective_date FROM pool_events WHERE pool_id = $1 AND event_type = 'initial'",
+        [advisorPool.pool_id]
+      );
+      expect(initialEvent.rows[0].effective_date).toBe('2025-01-01');
+
+      const detailResponse = await request(app)
+        .get(`/api/pools/${advisorPool.pool_id}`)
+        .expect(200);
+      expect(detailResponse.body.data.available_shares).toBe('250.000');
+
+      const listResponse = await request(app).get('/api/pools').expect(200);
+      expect(listResponse.body.data.items).toHaveLength(2);
+      expect(listResponse.body.data.totals.pool_count).toBe(2);
+      expect(listResponse.body.data.totals.total_pool).toBe('1250.000');
+
+      await pool.query('DELETE FROM pool_events WHERE pool_id = $1', [
+        advisorPool.pool_id,
+      ]);
+      await pool.query('DELETE FROM equity_pools WHERE pool_id = $1', [
+        advisorPool.pool_id,
+      ]);
+    });
+
+    it('should require the effective date and notes of the board approval', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const response = await request(app)
+        .post('/api/pools')
+        .send({
+          name: 'Unapproved pool',
+          initial_amount: '10',
+          effective_date: '2025-01-01',
+        })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should reject a duplicate pool name', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const response = await request(app)
+        .post('/api/pools')
+        .send({
+          name: 'equity pool',
+          initial_amount: '10',
+          effective_date: '2025-01-01',
+          notes: 'Duplicate',
+        })
+        .expect('Content-Type', /json/)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+
+    it('should not allow employees to create pools', async () => {
+      mockAuthMiddleware(mockEmployeeUserId, 'employee');
+
+      await request(app)
+        .post('/api/pools')
+        .send({
+          name: 'Employee pool',
+          initial_amount: '10',
+          effective_date: '2025-01-01',
+          notes: 'Not allowed',
+        })
+        .expect(403);
     });
   });
   
@@ -272,6 +419,31 @@ describe('Equity Pool API', () => {
       expect(response.body.error).toBeDefined();
       expect(response.body.error.code).toBe('FORBIDDEN');
     });
+
+    it('should return 400 for an invalid pool_id or effective_date', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const eventData = {
+        amount: '500.000',
+        event_type: 'top_up',
+        effective_date: '2023-06-01',
+        notes: 'Additional shares for employee grants',
+      };
+
+      const idResponse = await request(app)
+        .post('/api/pools/not-a-uuid/events')
+        .send(eventData)
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(idResponse.body.error.code).toBe('BAD_REQUEST');
+
+      const dateResponse = await request(app)
+        .post(`/api/pools/${poolId}/events`)
+        .send({ ...eventData, effective_date: '2023-02-30' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(dateResponse.body.error.code).toBe('BAD_REQUEST');
+    });
   });
   
   describe('GET /api/pools/:pool_id/events', () => {
@@ -386,6 +558,193 @@ describe('Equity Pool API', () => {
   });
 
   // New Test Suite: Direct Function Call
+  describe('POST /api/pools/:pool_id/events/:event_id/reverse', () => {
+    it('should reverse a top-up once and link the pair in the events list', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const topUpResponse = await request(app)
+        .post(`/api/pools/${poolId}/events`)
+        .send({
+          event_type: 'top_up',
+          amount: '75.000',
+          effective_date: '2025-02-01',
+          notes: 'Entered twice',
+        })
+        .expect(201);
+      const topUpId = topUpResponse.body.data.event_id;
+
+      const reverseResponse = await request(app)
+        .post(`/api/pools/${poolId}/events/${topUpId}/reverse`)
+        .send({ reason: 'Duplicate top-up' })
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      const reversal = reverseResponse.body.data;
+      expect(reversal.event_type).toBe('reduction');
+      expect(reversal.amount).toBe('-75.000');
+      expect(reversal.effective_date).toBe('2025-02-01');
+      expect(reversal.reverses_event_id).toBe(topUpId);
+
+      const secondResponse = await request(app)
+        .post(`/api/pools/${poolId}/events/${topUpId}/reverse`)
+        .send({ reason: 'Again' })
+        .expect(409);
+      expect(secondResponse.body.error.code).toBe('ALREADY_REVERSED');
+
+      const eventsResponse = await request(app)
+        .get(`/api/pools/${poolId}/events?limit=100`)
+        .expect(200);
+      const events = eventsResponse.body.data.items;
+      expect(
+        events.find((event) => event.event_id === topUpId).reversed_by_event_id
+      ).toBe(reversal.event_id);
+      expect(
+        events.find((event) => event.event_id === reversal.event_id)
+          .reverses_event_id
+      ).toBe(topUpId);
+    });
+
+    it('should refuse to reverse the initial event', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const initialResult = await pool.query(
+        "SELECT event_id FROM pool_events WHERE pool_id = $1 AND event_type = 'initial'",
+        [poolId]
+      );
+
+      const response = await request(app)
+        .post(
+          `/api/pools/${poolId}/events/${initialResult.rows[0].event_id}/reverse`
+        )
+        .send({ reason: 'Wrong plan size' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
+  describe('GET /api/pools/:pool_id/reconcile', () => {
+    it('should report and repair a total_pool that drifted from the ledger', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const consistentResponse = await request(app)
+        .get(`/api/pools/${poolId}/reconcile`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+      expect(consistentResponse.body.data.consistent).toBe(true);
+
+      await pool.query(
+        'UPDATE equity_pools SET total_pool = total_pool + 10 WHERE pool_id = $1',
+        [poolId]
+      );
+
+      const driftResponse = await request(app)
+        .get(`/api/pools/${poolId}/reconcile`)
+        .expect(200);
+      expect(driftResponse.body.data.consistent).toBe(false);
+      expect(driftResponse.body.data.differences.total_pool).toBe('-10.000');
+      expect(driftResponse.body.data.discrepancies[0].type).toBe(
+        'total_pool_mismatch'
+      );
+
+      const repairResponse = await request(app)
+        .post(`/api/pools/${poolId}/reconcile/repair`)
+        .send({ reason: 'Manual update found during reconciliation' })
+        .expect(200);
+      expect(repairResponse.body.data.repaired).toBe(true);
+      expect(repairResponse.body.data.adjustment.difference).toBe('-10.000');
+      expect(repairResponse.body.data.reconciliation.consistent).toBe(true);
+
+      const auditResult = await pool.query(
+        "SELECT details FROM audit_logs WHERE entity_id = $1 AND action_type = 'POOL_RECONCILE_REPAIR'",
+        [poolId]
+      );
+      expect(auditResult.rows.length).toBe(1);
+    });
+
+    it('should not allow employees to reconcile or repair a pool', async () => {
+      mockAuthMiddleware(mockEmployeeUserId, 'employee');
+
+      await request(app).get(`/api/pools/${poolId}/reconcile`).expect(403);
+
+      await request(app)
+        .post(`/api/pools/${poolId}/reconcile/repair`)
+        .send({ reason: 'Not allowed' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/pools/:pool_id/timeseries', () => {
+    it('should return the pool metrics for each day of the range', async () => {
+      mockAuthMiddleware(mockEmployeeUserId, 'employee');
+      const from = '2020-01-01';
+      const to = '2020-01-03';
+
+      const response = await request(app)
+        .get(`/api/pools/${poolId}/timeseries`)
+        .query({ from, to, interval: 'day' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.interval).toBe('day');
+      expect(
+        response.body.data.points.map((point) => point.as_of_date)
+      ).toEqual(['2020-01-01', '2020-01-02', '2020-01-03']);
+      // The pool was initialized today, so it held nothing back then
+      expect(response.body.data.points[0]).toHaveProperty(
+        'total_pool',
+        '0.000'
+      );
+      expect(response.body.data.points[0]).toHaveProperty(
+        'available_shares',
+        '0.000'
+      );
+    });
+
+    it('should group monthly buckets by calendar month ending at to', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const response = await request(app)
+        .get(`/api/pools/${poolId}/timeseries`)
+        .query({ from: '2020-01-15', to: '2020-03-10', interval: 'month' })
+        .expect(200);
+
+      expect(
+        response.body.data.points.map((point) => [
+          point.bucket_start,
+          point.as_of_date,
+        ])
+      ).toEqual([
+        ['2020-01-01', '2020-01-31'],
+        ['2020-02-01', '2020-02-29'],
+        ['2020-03-01', '2020-03-10'],
+      ]);
+    });
+
+    it('should reject an invalid interval or range', async () => {
+      mockAuthMiddleware(mockAdminUserId, 'admin');
+
+      const intervalResponse = await request(app)
+        .get(`/api/pools/${poolId}/timeseries`)
+        .query({ from: '2020-01-01', to: '2020-02-01', interval: 'week' })
+        .expect(400);
+      expect(intervalResponse.body.error.code).toBe('BAD_REQUEST');
+
+      await request(app)
+        .get(`/api/pools/${poolId}/timeseries`)
+        .query({ from: '2020-02-01', to: '2020-01-01' })
+        .expect(400);
+
+      const dateResponse = await request(app)
+        .get(`/api/pools/${poolId}/timeseries`)
+        .query({ from: '2026-02-01', to: '2026-02-30' })
+        .expect(400);
+      expect(dateResponse.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
   describe('Direct Function Call Test', () => {
     it('should call func_adjust_pool_v3 directly via pool client', async () => {
       const client = await pool.connect();
@@ -19,12 +19,30 @@ class PoolCalculationTest extends IntegrationTestBase {
   /**
    * Helper to get current pool metrics
    */
-  async getPoolMetrics() {
-    const res = await this
-      .getAuthenticatedRequest(this.defaultAdminId, 'admin')
-      .get(this.poolsBasePath)
+  async getPoolMetrics(poolId) {
+    const res = await this.getAuthenticatedRequest(this.defaultAdminId, 'admin')
+      .get(`${this.poolsBasePath}/${poolId}`)
       .expect(200);
-    
+
+    return res.body.data;
+  }
+
+  /**
+   * Helper to create a grant from a pool through the API
+   */
+  async createTestGrant(poolId, employee, overrides = {}) {
+    const res = await this.getAuthenticatedRequest(this.defaultAdminId, 'admin')
+      .post(this.grantsBasePath)
+      .send({
+        employee_id: employee.employee_id,
+        pool_id: poolId,
+        grant_date: '2025-01-01',
+        share_amount: '100.000',
+        notes: 'Test grant',
+        ...overrides,
+      })
+      .expect(201);
+
     return res.body.data;
   }
 
@@ -32,12 +50,11 @@ class PoolCalculationTest extends IntegrationTestBase {
    * Helper to create a pool event
    */
   async createPoolEvent(poolId, eventData) {
-    const res = await this
-      .getAuthenticatedRequest(this.defaultAdminId, 'admin')
+    const res = await this.getAuthenticatedRequest(this.defaultAdminId, 'admin')
       .post(this.poolEventsBasePath(poolId))
       .send(eventData)
       .expect(201);
-    
+
     return res.body.data;
   }
 }
@@ -63,55 +80,63 @@ describe('Pool Calculation Invariants', () => {
   it('should maintain Total Pool = initial_amount + Σ(pool_events.amount)', async () => {
     // Create a new pool with known initial amount
     const initialAmount = '1000.000';
-    const pool = await testBase.createTestPool({ initial_amount: initialAmount });
-    
+    const pool = await testBase.createTestPool({
+      initial_amount: initialAmount,
+    });
+
     // Verify initial pool metrics
-    let metrics = await testBase.getPoolMetrics();
+    let metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.total_pool).toBe(initialAmount);
     expect(metrics.available_shares).toBe(initialAmount); // No grants yet
-    
+
     // Add top-up event
     const topUpAmount = '500.000';
     await testBase.createPoolEvent(pool.pool_id, {
       event_type: 'top_up',
       amount: topUpAmount,
       effective_date: '2025-01-01',
-      notes: 'Test top-up'
+      notes: 'Test top-up',
     });
-    
+
     // Verify pool metrics after top-up
-    metrics = await testBase.getPoolMetrics();
-    const expectedTotal = (parseFloat(initialAmount) + parseFloat(topUpAmount)).toFixed(3);
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
+    const expectedTotal = (
+      parseFloat(initialAmount) + parseFloat(topUpAmount)
+    ).toFixed(3);
     expect(metrics.total_pool).toBe(expectedTotal);
     expect(metrics.available_shares).toBe(expectedTotal); // Still no grants
-    
+
     // Add reduction event
     const reductionAmount = '200.000';
     await testBase.createPoolEvent(pool.pool_id, {
       event_type: 'reduction',
       amount: reductionAmount,
       effective_date: '2025-01-02',
-      notes: 'Test reduction'
+      notes: 'Test reduction',
     });
-    
+
     // Verify pool metrics after reduction
-    metrics = await testBase.getPoolMetrics();
-    const expectedTotalAfterReduction = (parseFloat(expectedTotal) - parseFloat(reductionAmount)).toFixed(3);
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
+    const expectedTotalAfterReduction = (
+      parseFloat(expectedTotal) - parseFloat(reductionAmount)
+    ).toFixed(3);
     expect(metrics.total_pool).toBe(expectedTotalAfterReduction);
     expect(metrics.available_shares).toBe(expectedTotalAfterReduction);
-    
+
     // Verify via direct database query to confirm integrity
     const poolEventsQuery = await testBase.query(
-      `SELECT SUM(CASE WHEN event_type = 'initial' OR event_type = 'top_up' THEN amount 
-              WHEN event_type = 'reduction' THEN -amount
-              ELSE 0 END) as calculated_total
-       FROM pool_events 
-       WHERE pool_id = $1`,
+      `SELECT ep.initial_amount + COALESCE(SUM(pe.amount) FILTER (WHERE pe.event_type <> 'initial'), 0) as calculated_total
+       FROM equity_pools ep
+       LEFT JOIN pool_events pe ON pe.pool_id = ep.pool_id
+       WHERE ep.pool_id = $1
+       GROUP BY ep.initial_amount`,
       [pool.pool_id]
     );
-    
+
     // Compare the API-reported total with the database-calculated total
-    const dbCalculatedTotal = parseFloat(poolEventsQuery.rows[0].calculated_total).toFixed(3);
+    const dbCalculatedTotal = parseFloat(
+      poolEventsQuery.rows[0].calculated_total
+    ).toFixed(3);
     expect(metrics.total_pool).toBe(dbCalculatedTotal);
   });
 
@@ -121,34 +146,46 @@ describe('Pool Calculation Invariants', () => {
   it('should maintain Available = TotalPool - Granted + Returned', async () => {
     // Create a new pool with known initial amount
     const initialAmount = '1000.000';
-    const pool = await testBase.createTestPool({ initial_amount: initialAmount });
-    
+    const pool = await testBase.createTestPool({
+      initial_amount: initialAmount,
+    });
+
     // Create test employees for grants
     const employee1 = await testBase.createTestEmployee();
     const employee2 = await testBase.createTestEmployee();
-    
+
     // Create first grant
     const grant1Amount = '250.000';
-    const grant1 = await testBase.createTestGrant(employee1, { share_amount: grant1Amount });
-    
+    const grant1 = await testBase.createTestGrant(pool.pool_id, employee1, {
+      share_amount: grant1Amount,
+    });
+
     // Verify pool metrics after first grant
-    let metrics = await testBase.getPoolMetrics();
+    let metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.total_pool).toBe(initialAmount);
     expect(metrics.granted_shares).toBe(grant1Amount);
-    const expectedAvailable1 = (parseFloat(initialAmount) - parseFloat(grant1Amount)).toFixed(3);
+    const expectedAvailable1 = (
+      parseFloat(initialAmount) - parseFloat(grant1Amount)
+    ).toFixed(3);
     expect(metrics.available_shares).toBe(expectedAvailable1);
-    
+
     // Create second grant
     const grant2Amount = '350.000';
-    const grant2 = await testBase.createTestGrant(employee2, { share_amount: grant2Amount });
-    
+    const grant2 = await testBase.createTestGrant(pool.pool_id, employee2, {
+      share_amount: grant2Amount,
+    });
+
     // Verify pool metrics after second grant
-    metrics = await testBase.getPoolMetrics();
-    const totalGranted = (parseFloat(grant1Amount) + parseFloat(grant2Amount)).toFixed(3);
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
+    const totalGranted = (
+      parseFloat(grant1Amount) + parseFloat(grant2Amount)
+    ).toFixed(3);
     expect(metrics.granted_shares).toBe(totalGranted);
-    const expectedAvailable2 = (parseFloat(initialAmount) - parseFloat(totalGranted)).toFixed(3);
+    const expectedAvailable2 = (
+      parseFloat(initialAmount) - parseFloat(totalGranted)
+    ).toFixed(3);
     expect(metrics.available_shares).toBe(expectedAvailable2);
-    
+
     // Terminate first grant to simulate returning unvested shares
     const returnedAmount = '150.000';
     await testBase.query(
@@ -159,20 +196,20 @@ describe('Pool Calculation Invariants', () => {
        WHERE grant_id = $2`,
       [returnedAmount, grant1.grant_id]
     );
-    
+
     // Verify pool metrics after termination
-    metrics = await testBase.getPoolMetrics();
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.returned_shares).toBe(returnedAmount);
-    
+
     // Final available calculation: TotalPool - Granted + Returned
     const expectedFinalAvailable = (
-      parseFloat(initialAmount) - 
-      parseFloat(totalGranted) + 
+      parseFloat(initialAmount) -
+      parseFloat(totalGranted) +
       parseFloat(returnedAmount)
     ).toFixed(3);
-    
+
     expect(metrics.available_shares).toBe(expectedFinalAvailable);
-    
+
     // Verify the invariant 0 ≤ Available ≤ TotalPool
     const availableNum = parseFloat(metrics.available_shares);
     const totalPoolNum = parseFloat(metrics.total_pool);
@@ -186,14 +223,16 @@ describe('Pool Calculation Invariants', () => {
   it('should reject grants when Available < requested share_amount', async () => {
     // Create a pool with limited shares
     const initialAmount = '100.000';
-    await testBase.createTestPool({ initial_amount: initialAmount });
-    
+    const pool = await testBase.createTestPool({
+      initial_amount: initialAmount,
+    });
+
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Try to create a grant for more shares than available
     const excessiveAmount = '150.000'; // More than pool total
-    
+
     // Attempt to create grant
     const response = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
@@ -202,15 +241,15 @@ describe('Pool Calculation Invariants', () => {
         employee_id: employee.employee_id,
         grant_date: '2025-01-01',
         share_amount: excessiveAmount,
-        notes: 'This should fail'
+        notes: 'This should fail',
       })
       .expect(400); // Expect failure
-    
+
     // Verify error code
     expect(response.body.error.code).toBe('INSUFFICIENT_SHARES');
-    
+
     // Verify pool remained unchanged
-    const metrics = await testBase.getPoolMetrics();
+    const metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.total_pool).toBe(initialAmount);
     expect(metrics.granted_shares).toBe('0.000'); // No shares granted
     expect(metrics.available_shares).toBe(initialAmount); // All shares still available
@@ -222,21 +261,25 @@ describe('Pool Calculation Invariants', () => {
   it('should reject pool reductions that would make Available < 0', async () => {
     // Create a pool
     const initialAmount = '500.000';
-    const pool = await testBase.createTestPool({ initial_amount: initialAmount });
-    
+    const pool = await testBase.createTestPool({
+      initial_amount: initialAmount,
+    });
+
     // Create a grant using half the pool
     const grantAmount = '250.000';
     const employee = await testBase.createTestEmployee();
-    await testBase.createTestGrant(employee, { share_amount: grantAmount });
-    
+    await testBase.createTestGrant(pool.pool_id, employee, {
+      share_amount: grantAmount,
+    });
+
     // Verify current metrics
-    let metrics = await testBase.getPoolMetrics();
+    let metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.granted_shares).toBe(grantAmount);
     expect(metrics.available_shares).toBe('250.000'); // 500 - 250
-    
+
     // Try to reduce the pool by more than available (which would make Available < 0)
     const excessiveReduction = '300.000'; // More than available
-    
+
     // Attempt pool reduction
     const response = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
@@ -245,61 +288,117 @@ describe('Pool Calculation Invariants', () => {
         event_type: 'reduction',
         amount: excessiveReduction,
         effective_date: '2025-01-01',
-        notes: 'This should fail'
+        notes: 'This should fail',
       })
       .expect(400); // Expect failure
-    
+
     // Verify error code
     expect(response.body.error.code).toBe('INSUFFICIENT_AVAILABLE_SHARES');
-    
+
     // Verify pool remained unchanged
-    metrics = await testBase.getPoolMetrics();
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
     expect(metrics.total_pool).toBe(initialAmount);
     expect(metrics.granted_shares).toBe(grantAmount);
     expect(metrics.available_shares).toBe('250.000'); // Still 250 available
   });
 
   /**
-   * Verifies the immutability of historical pool events
+   * Verifies that terminating a grant on day one restores Available (SPECIFICATION.md §12, step 6)
+   */
+  it('should restore Available when a grant is terminated on its grant date', async () => {
+    const initialAmount = '100.000';
+    const pool = await testBase.createTestPool({
+      initial_amount: initialAmount,
+    });
+    const employee = await testBase.createTestEmployee();
+    // Granted today, so no tranche has vested when it is terminated
+    const today = new Date().toISOString().split('T')[0];
+
+    const grantResponse = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(testBase.grantsBasePath)
+      .send({
+        employee_id: employee.employee_id,
+        grant_date: today,
+        share_amount: '20.000',
+      })
+      .expect(201);
+    const grantId = grantResponse.body.data.grant_id;
+
+    let metrics = await testBase.getPoolMetrics(pool.pool_id);
+    expect(metrics.available_shares).toBe('80.000');
+
+    const terminateResponse = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(`${testBase.grantsBasePath}/${grantId}/terminate`)
+      .send({ termination_date: today, reason: 'Resigned' })
+      .expect(200);
+    expect(terminateResponse.body.data.unvested_shares_returned).toBe('20.000');
+
+    // Granted keeps the terminated grant; Returned gives back its unvested shares
+    metrics = await testBase.getPoolMetrics(pool.pool_id);
+    expect(metrics.granted_shares).toBe('20.000');
+    expect(metrics.returned_shares).toBe('20.000');
+    expect(metrics.available_shares).toBe(initialAmount);
+  });
+
+  /**
+   * Verifies the immutability of historical pool events: the API offers no way to edit one,
+   * and a reversal books a compensating event instead of changing the original
    */
   it('should preserve the immutability of pool events', async () => {
     // Create a new pool
     const pool = await testBase.createTestPool({ initial_amount: '1000.000' });
-    
+
     // Create a pool event
     const eventData = {
       event_type: 'top_up',
       amount: '500.000',
       effective_date: '2025-01-01',
-      notes: 'Original notes'
+      notes: 'Original notes',
     };
-    
+
     // Create event
-    const createdEvent = await testBase.createPoolEvent(pool.pool_id, eventData);
-    
-    // Try to update the event
-    const updateResult = await testBase.query(
-      `UPDATE pool_events 
-       SET notes = 'Modified notes', amount = '600.000'
-       WHERE event_id = $1
-       RETURNING *`,
-      [createdEvent.event_id]
+    const createdEvent = await testBase.createPoolEvent(
+      pool.pool_id,
+      eventData
     );
-    
+
+    // There is no route to update or delete an event
+    const eventPath = `${testBase.poolEventsBasePath(pool.pool_id)}/${createdEvent.event_id}`;
+    await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .patch(eventPath)
+      .send({ notes: 'Modified notes', amount: '600.000' })
+      .expect(404);
+    await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .delete(eventPath)
+      .expect(404);
+
+    // Reverse the event
+    await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(`${eventPath}/reverse`)
+      .send({ reason: 'Entered in error' })
+      .expect(201);
+
     // Look up the event via API
-    const eventResponse = await testBase
+    const eventsResponse = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
-      .get(`${testBase.poolEventsBasePath(pool.pool_id)}/${createdEvent.event_id}`)
+      .get(testBase.poolEventsBasePath(pool.pool_id))
       .expect(200);
-    
+
     // Verify event data is preserved as originally created
-    const retrievedEvent = eventResponse.body.data;
+    const retrievedEvent = eventsResponse.body.data.items.find(
+      (e) => e.event_id === createdEvent.event_id
+    );
     expect(retrievedEvent.amount).toBe(eventData.amount);
     expect(retrievedEvent.notes).toBe(eventData.notes);
-    
+
     // Also verify the pool total is still calculated correctly
-    const metrics = await testBase.getPoolMetrics();
-    const expectedTotal = '1500.000'; // 1000 initial + 500 top-up
+    const metrics = await testBase.getPoolMetrics(pool.pool_id);
+    const expectedTotal = '1000.000'; // 1000 initial + 500 top-up - 500 reversal
     expect(metrics.total_pool).toBe(expectedTotal);
   });
 });
@@ -13,6 +13,7 @@ const {
 // Mock the auth middleware
 jest.mock('../../middleware/auth');
 const { checkJwt, syncUser, authorizeRole } = require('../../middleware/auth');
+const { notifyScheduledPpsEffective } = require('../../utils/ppsSchedule');
 
 describe('Price Per Share (PPS) API', () => {
   // User data for admin and employee roles
@@ -151,10 +152,10 @@ describe('Price Per Share (PPS) API', () => {
     );
     
     // Clean up test users (but only the ones we created for this test)
-    await pool.query(
-      'DELETE FROM user_accounts WHERE user_id = ANY($1)',
-      [[adminUser.id, employeeUser.id]]
-    );
+    // Do NOT delete the globally seeded admin user here
+    await pool.query('DELETE FROM user_accounts WHERE user_id = $1', [
+      employeeUser.id,
+    ]);
     
     await pool.end();
   });
@@ -366,6 +367,52 @@ describe('Price Per Share (PPS) API', () => {
     });
   });
   
+  describe('GET /api/pps/at', () => {
+    it('should return the PPS in effect on a given date', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = employeeUser;
+        next();
+      });
+
+      const response = await request(app)
+        .get('/api/pps/at')
+        .query({ date: '2023-03-15' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      validatePPSStructure(response.body.data);
+      expect(response.body.data.price_per_share).toBe('15.500');
+      expect(response.body.data.date).toBe('2023-03-15');
+      expect(response.body.data.is_upcoming).toBe(false);
+    });
+
+    it('should return 404 before the first PPS and 400 for an invalid date', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const notFoundResponse = await request(app)
+        .get('/api/pps/at')
+        .query({ date: '2021-12-31' })
+        .expect(404);
+      expect(notFoundResponse.body.error.code).toBe('NOT_FOUND');
+
+      const invalidResponse = await request(app)
+        .get('/api/pps/at')
+        .query({ date: '2023-13-01' })
+        .expect(400);
+      expect(invalidResponse.body.error.code).toBe('BAD_REQUEST');
+
+      const impossibleResponse = await request(app)
+        .get('/api/pps/at')
+        .query({ date: '2024-02-30' })
+        .expect(400);
+      expect(impossibleResponse.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
   describe('POST /api/pps', () => {
     it('should allow an admin to create a new PPS entry', async () => {
       // Set up mock to use admin user
@@ -403,6 +450,7 @@ describe('Price Per Share (PPS) API', () => {
       
       expect(response.body.data.price_per_share).toBe(newPPSEntry.price_per_share);
       expect(response.body.data.created_by).toBe(adminUser.id);
+      expect(typeof response.body.data.repriced_vesting_events).toBe('number');
     });
     
     it('should not allow employees to create PPS entries', async () => {
@@ -452,6 +500,347 @@ describe('Price Per Share (PPS) API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBeDefined();
       expect(response.body.error.code).toBe('BAD_REQUEST');
+
+      // Test with an invalid effective_date
+      for (const effective_date of ['garbage', '2024-02-30']) {
+        response = await request(app)
+          .post('/api/pps')
+          .send({ effective_date, price_per_share: '25.000' })
+          .expect('Content-Type', /json/)
+          .expect(400);
+
+        expect(response.body.error.code).toBe('BAD_REQUEST');
+      }
+    });
+  });
+
+  describe('PATCH /api/pps/:pps_id', () => {
+    it('should allow an admin to correct a PPS entry', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const existing = await pool.query(
+        'SELECT pps_id FROM pps_history WHERE tenant_id = $1 AND effective_date = $2 AND deleted_at IS NULL',
+        [MOCK_TENANT_ID, '2023-07-01']
+      );
+
+      const response = await request(app)
+        .patch(`/api/pps/${existing.rows[0].pps_id}`)
+        .send({ price_per_share: '18.000' })
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      validatePPSStructure(response.body.data);
+      expect(response.body.data.price_per_share).toBe('18.000');
+      expect(typeof response.body.data.repriced_vesting_events).toBe('number');
+
+      // The correction is audited with before/after values
+      const auditResult = await pool.query(
+        "SELECT details FROM audit_logs WHERE entity_id = $1 AND action_type = 'PPS_UPDATE'",
+        [existing.rows[0].pps_id]
+      );
+      expect(auditResult.rows.length).toBe(1);
+      expect(auditResult.rows[0].details.before.price_per_share).toBe('17.750');
+      expect(auditResult.rows[0].details.after.price_per_share).toBe('18.000');
+    });
+
+    it('should validate PPS correction fields', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const existing = await pool.query(
+        'SELECT pps_id FROM pps_history WHERE tenant_id = $1 AND deleted_at IS NULL LIMIT 1',
+        [MOCK_TENANT_ID]
+      );
+
+      const response = await request(app)
+        .patch(`/api/pps/${existing.rows[0].pps_id}`)
+        .send({ price_per_share: '0' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('BAD_REQUEST');
+
+      const dateResponse = await request(app)
+        .patch(`/api/pps/${existing.rows[0].pps_id}`)
+        .send({ effective_date: '2024-02-30' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(dateResponse.body.error.code).toBe('BAD_REQUEST');
+
+      const idResponse = await request(app)
+        .patch('/api/pps/not-a-uuid')
+        .send({ price_per_share: '18.000' })
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(idResponse.body.error.code).toBe('BAD_REQUEST');
+    });
+  });
+
+  describe('DELETE /api/pps/:pps_id', () => {
+    it('should not allow employees to delete PPS entries', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = employeeUser;
+        next();
+      });
+
+      const existing = await pool.query(
+        'SELECT pps_id FROM pps_history WHERE tenant_id = $1 AND deleted_at IS NULL LIMIT 1',
+        [MOCK_TENANT_ID]
+      );
+
+      const response = await request(app)
+        .delete(`/api/pps/${existing.rows[0].pps_id}`)
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should allow an admin to soft-delete a PPS entry', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const existing = await pool.query(
+        'SELECT pps_id FROM pps_history WHERE tenant_id = $1 AND effective_date = $2 AND deleted_at IS NULL',
+        [MOCK_TENANT_ID, newPPSEntry.effective_date]
+      );
+      const ppsId = existing.rows[0].pps_id;
+
+      const response = await request(app)
+        .delete(`/api/pps/${ppsId}`)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.pps_id).toBe(ppsId);
+      expect(typeof response.body.data.repriced_vesting_events).toBe('number');
+
+      // The row is kept but no longer listed
+      const deleted = await pool.query(
+        'SELECT deleted_at FROM pps_history WHERE pps_id = $1',
+        [ppsId]
+      );
+      expect(deleted.rows[0].deleted_at).not.toBeNull();
+
+      await request(app)
+        .delete(`/api/pps/${ppsId}`)
+        .expect('Content-Type', /json/)
+        .expect(404);
+
+      const idResponse = await request(app)
+        .delete('/api/pps/not-a-uuid')
+        .expect('Content-Type', /json/)
+        .expect(400);
+      expect(idResponse.body.error.code).toBe('BAD_REQUEST');
+    });
+
+    it('should re-evaluate the current PPS and keep at least one effective entry', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const effective = await pool.query(
+        `SELECT pps_id FROM pps_history
+         WHERE tenant_id = $1 AND deleted_at IS NULL AND effective_date <= CURRENT_DATE
+         ORDER BY effective_date DESC, created_at DESC`,
+        [MOCK_TENANT_ID]
+      );
+      const [currentId, previousId] = effective.rows.map((row) => row.pps_id);
+
+      // Deleting the current entry makes the preceding one current
+      const deleteResponse = await request(app)
+        .delete(`/api/pps/${currentId}`)
+        .expect(200);
+      expect(deleteResponse.body.data.current_pps.pps_id).toBe(previousId);
+
+      await pool.query(
+        'UPDATE pps_history SET deleted_at = NOW() WHERE tenant_id = $1 AND pps_id <> $2 AND deleted_at IS NULL',
+        [MOCK_TENANT_ID, previousId]
+      );
+
+      const lastDeleteResponse = await request(app)
+        .delete(`/api/pps/${previousId}`)
+        .expect('Content-Type', /json/)
+        .expect(409);
+      expect(lastDeleteResponse.body.error.code).toBe('LAST_EFFECTIVE_PPS');
+
+      const lastPatchResponse = await request(app)
+        .patch(`/api/pps/${previousId}`)
+        .send({ effective_date: '2999-01-01' })
+        .expect(409);
+      expect(lastPatchResponse.body.error.code).toBe('LAST_EFFECTIVE_PPS');
+    });
+
+    it('should keep one effective entry when the last two are deleted concurrently', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      await pool.query(
+        'UPDATE pps_history SET deleted_at = NOW() WHERE tenant_id = $1 AND deleted_at IS NULL',
+        [MOCK_TENANT_ID]
+      );
+      const inserted = await pool.query(
+        `INSERT INTO pps_history(tenant_id, effective_date, price_per_share, created_by)
+         VALUES ($1, '2022-03-01', 11, $2), ($1, '2022-04-01', 12, $2)
+         RETURNING pps_id`,
+        [MOCK_TENANT_ID, adminUser.id]
+      );
+      const ppsIds = inserted.rows.map((row) => row.pps_id);
+
+      // A third connection holds both rows, so the two deletions run their checks at the same time
+      const blocker = await pool.connect();
+      let responses;
+      try {
+        await blocker.query('BEGIN');
+        await blocker.query(
+          'SELECT 1 FROM pps_history WHERE pps_id = ANY($1) FOR UPDATE',
+          [ppsIds]
+        );
+
+        const pending = ppsIds.map((ppsId) =>
+          request(app)
+            .delete(`/api/pps/${ppsId}`)
+            .then((response) => response)
+        );
+        for (let attempt = 0; attempt < 50; attempt++) {
+          const waiting = await pool.query(
+            "SELECT COUNT(*)::int AS count FROM pg_stat_activity WHERE datname = current_database() AND wait_event_type = 'Lock'"
+          );
+          if (waiting.rows[0].count >= 2) {
+            break;
+          }
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+
+        await blocker.query('ROLLBACK');
+        responses = await Promise.all(pending);
+      } finally {
+        blocker.release();
+      }
+
+      expect(responses.map((response) => response.status).sort()).toEqual([
+        200, 409,
+      ]);
+      const remaining = await pool.query(
+        'SELECT pps_id FROM pps_history WHERE pps_id = ANY($1) AND deleted_at IS NULL',
+        [ppsIds]
+      );
+      expect(remaining.rows.length).toBe(1);
+    });
+  });
+
+  describe('Scheduled PPS', () => {
+    const scheduledDate = '2999-01-01';
+
+    it('should flag a future-dated PPS as upcoming', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const createResponse = await request(app)
+        .post('/api/pps')
+        .send({ effective_date: scheduledDate, price_per_share: '30.000' })
+        .expect(201);
+      const scheduledId = createResponse.body.data.pps_id;
+
+      const currentResponse = await request(app)
+        .get('/api/pps/current')
+        .expect(200);
+      expect(currentResponse.body.data.pps_id).not.toBe(scheduledId);
+      expect(currentResponse.body.data.upcoming_pps.pps_id).toBe(scheduledId);
+
+      const listResponse = await request(app).get('/api/pps').expect(200);
+      const flags = listResponse.body.data.items.map((item) => [
+        item.pps_id === scheduledId,
+        item.is_upcoming,
+      ]);
+      expect(flags).toContainEqual([true, true]);
+      expect(flags).not.toContainEqual([false, true]);
+
+      const atResponse = await request(app)
+        .get('/api/pps/at')
+        .query({ date: scheduledDate })
+        .expect(200);
+      expect(atResponse.body.data.pps_id).toBe(scheduledId);
+      expect(atResponse.body.data.is_upcoming).toBe(true);
+    });
+
+    it('should record a PPS_EFFECTIVE audit entry once on the day the scheduled PPS takes effect', async () => {
+      const notified = await notifyScheduledPpsEffective(
+        pool,
+        MOCK_TENANT_ID,
+        scheduledDate
+      );
+      expect(notified.price_per_share).toBe('30.000');
+
+      // Repeated calls (e.g. a retried worker tick) do not notify twice
+      expect(
+        await notifyScheduledPpsEffective(pool, MOCK_TENANT_ID, scheduledDate)
+      ).toBeNull();
+
+      const auditResult = await pool.query(
+        "SELECT details FROM audit_logs WHERE entity_id = $1 AND action_type = 'PPS_EFFECTIVE'",
+        [notified.pps_id]
+      );
+      expect(auditResult.rows.length).toBe(1);
+      expect(auditResult.rows[0].details.after.effective_date).toBe(
+        scheduledDate
+      );
+    });
+
+    it('should report a scheduled PPS on the next tick when the day it took effect was missed', async () => {
+      syncUser.mockImplementation((req, res, next) => {
+        req.user = adminUser;
+        next();
+      });
+
+      const createResponse = await request(app)
+        .post('/api/pps')
+        .send({ effective_date: '2999-02-01', price_per_share: '32.000' })
+        .expect(201);
+      const missedId = createResponse.body.data.pps_id;
+
+      // Not in effect yet the day before
+      expect(
+        await notifyScheduledPpsEffective(pool, MOCK_TENANT_ID, '2999-01-31')
+      ).toBeNull();
+
+      const notified = await notifyScheduledPpsEffective(
+        pool,
+        MOCK_TENANT_ID,
+        '2999-02-03'
+      );
+      expect(notified).toEqual({
+        pps_id: missedId,
+        effective_date: '2999-02-01',
+        price_per_share: '32.000',
+      });
+      expect(
+        await notifyScheduledPpsEffective(pool, MOCK_TENANT_ID, '2999-02-04')
+      ).toBeNull();
+
+      const auditResult = await pool.query(
+        "SELECT details FROM audit_logs WHERE entity_id = $1 AND action_type = 'PPS_EFFECTIVE'",
+        [missedId]
+      );
+      expect(auditResult.rows.length).toBe(1);
+      expect(auditResult.rows[0].details.before.price_per_share).toBe('30.000');
+      expect(auditResult.rows[0].details.after.effective_date).toBe(
+        '2999-02-01'
+      );
     });
   });
-}); 
\ No newline at end of file
+});
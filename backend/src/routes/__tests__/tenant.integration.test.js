@@ -46,12 +46,16 @@ describe('Tenant API - Integration Tests', () => {
       // Use the helper to validate tenant structure
       validateTenantStructure(response.body.data);
       
-      // Verify specific values for the test tenant
+      // Verify specific values for the test tenant, as seeded in the test database
       const tenant = response.body.data;
+      const seeded = await pool.query(
+        'SELECT name, currency, timezone FROM tenants WHERE tenant_id = $1',
+        [MOCK_TENANT_ID]
+      );
       expect(tenant.tenant_id).toBe(MOCK_TENANT_ID);
-      expect(tenant.name).toBe('Testt Co');
-      expect(tenant.currency).toBe('USD');
-      expect(tenant.timezone).toBe('Asia/Bangkok');
+      expect(tenant.name).toBe(seeded.rows[0].name);
+      expect(tenant.currency).toBe(seeded.rows[0].currency);
+      expect(tenant.timezone).toBe(seeded.rows[0].timezone);
     });
 
     it('should return 401 unauthorized when authentication fails', async () => {
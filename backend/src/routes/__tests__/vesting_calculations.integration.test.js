@@ -13,57 +13,76 @@ class VestingCalculationTest extends IntegrationTestBase {
   constructor() {
     super();
     this.grantsBasePath = '/api/grants';
-    this.calculateVestingPath = (grantId) => `/api/grants/${grantId}/calculate-vesting`;
+    this.calculateVestingPath = (grantId) =>
+      `/api/grants/${grantId}/calculate-vesting`;
+    this.vestingEventsPath = (grantId) =>
+      `/api/grants/${grantId}/vesting-events`;
     this.batchCalculatePath = '/api/vesting/batch-calculate';
   }
 
   /**
-   * Helper to create a test grant with specific parameters
+   * Helper to create a test grant with specific parameters through the API,
+   * which vests the tranches that are already due
    */
-  async createSpecificGrant(employeeId, grantDate, shareAmount, status = 'active') {
+  async createSpecificGrant(
+    employeeId,
+    grantDate,
+    shareAmount,
+    status = 'active'
+  ) {
+    const equityPool = await this.createTestPool();
     const grantData = {
       employee_id: employeeId,
+      pool_id: equityPool.pool_id,
       grant_date: grantDate,
       share_amount: shareAmount,
       notes: 'Test grant for vesting calculation',
-      status: status
+      status: status,
     };
 
-    const res = await this
-      .getAuthenticatedRequest(this.defaultAdminId, 'admin')
+    const res = await this.getAuthenticatedRequest(this.defaultAdminId, 'admin')
       .post(this.grantsBasePath)
       .send(grantData)
       .expect(201);
-    
+
     return res.body.data;
   }
 
+  /**
+   * Helper to insert an active grant without any vesting events.
+   * Creating a grant through the API vests every tranche due today, so the scenarios
+   * below insert it directly and vest it step by step with calculateVesting()
+   */
+  async createUnvestedGrant(employeeId, grantDate, shareAmount) {
+    const equityPool = await this.createTestPool();
+    const result = await this.query(
+      `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        uuidv4(),
+        this.MOCK_TENANT_ID,
+        equityPool.pool_id,
+        employeeId,
+        grantDate,
+        shareAmount,
+        this.defaultAdminId,
+      ]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Helper to calculate vesting for a grant as of a specific date
+   * Uses as_of_date, the alias of calculation_date
    */
   async calculateVesting(grantId, asOfDate) {
-    const res = await this
-      .getAuthenticatedRequest(this.defaultAdminId, 'admin')
+    const res = await this.getAuthenticatedRequest(this.defaultAdminId, 'admin')
       .post(this.calculateVestingPath(grantId))
       .send({ as_of_date: asOfDate })
       .expect(200);
-    
-    return res.body.data;
-  }
 
-  /**
-   * Helper to set the system time for vesting calculations
-   * This needs to be implemented at the database level since the API uses NOW()
-   */
-  async setTestDate(date) {
-    // Format date string to timestamp
-    const formattedDate = new Date(date).toISOString();
-    
-    // Override the current date for testing
-    await this.query(`SET LOCAL TIMEZONE TO 'UTC'`);
-    await this.query(`SET LOCAL TIME ZONE 'UTC'`);
-    await this.query(`SET LOCAL statement_timeout TO '30s'`);
-    await this.query(`SET LOCAL TIME TO '${formattedDate}'`);
+    return res.body.data;
   }
 }
 
@@ -87,40 +106,52 @@ describe('Vesting Calculation Accuracy', () => {
   it('should apply the 12-month cliff rule correctly', async () => {
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Create a grant with known start date - exactly 48 shares for easy math
     const grantDate = '2024-01-15';
     const shareAmount = '48.000';
-    const grant = await testBase.createSpecificGrant(
+    const grant = await testBase.createUnvestedGrant(
       employee.employee_id,
       grantDate,
       shareAmount
     );
-    
+
     // Simulate vesting calculation just before cliff (11 months, 29 days)
     const beforeCliffDate = '2024-12-14';
-    const beforeCliffResult = await testBase.calculateVesting(grant.grant_id, beforeCliffDate);
-    
+    const beforeCliffResult = await testBase.calculateVesting(
+      grant.grant_id,
+      beforeCliffDate
+    );
+
     // Verify no vesting before cliff
     expect(beforeCliffResult.vested_amount).toBe('0.000');
     expect(beforeCliffResult.vesting_events.length).toBe(0);
-    
+
     // Simulate vesting calculation exactly at cliff (12 months)
-    const atCliffDate = '2025-01-15'; 
-    const atCliffResult = await testBase.calculateVesting(grant.grant_id, atCliffDate);
-    
+    const atCliffDate = '2025-01-15';
+    const atCliffResult = await testBase.calculateVesting(
+      grant.grant_id,
+      atCliffDate
+    );
+
     // Verify cliff vesting - should vest 12 months worth (12/48 * 48 = 12 shares)
     expect(atCliffResult.vested_amount).toBe('12.000');
     expect(atCliffResult.vesting_events.length).toBe(1);
     expect(atCliffResult.vesting_events[0].shares_vested).toBe('12.000');
-    
+
     // Simulate vesting calculation after cliff (18 months)
     const afterCliffDate = '2025-07-15';
-    const afterCliffResult = await testBase.calculateVesting(grant.grant_id, afterCliffDate);
-    
+    const afterCliffResult = await testBase.calculateVesting(
+      grant.grant_id,
+      afterCliffDate
+    );
+
     // Verify additional vesting after cliff - should be 18/48 * 48 = 18 shares
     expect(afterCliffResult.vested_amount).toBe('18.000');
-    expect(afterCliffResult.vesting_events.length).toBe(1);  // Still just the cliff event
+    expect(afterCliffResult.vesting_events.length).toBe(6); // Monthly tranches of months 13 to 18
+    afterCliffResult.vesting_events.forEach((event) =>
+      expect(event.shares_vested).toBe('1.000')
+    );
   });
 
   /**
@@ -129,43 +160,54 @@ describe('Vesting Calculation Accuracy', () => {
   it('should apply the month-end rule for vesting dates', async () => {
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Create a grant with end-of-month date
     const grantDate = '2024-01-31'; // January 31
     const shareAmount = '48.000';
-    const grant = await testBase.createSpecificGrant(
+    const grant = await testBase.createUnvestedGrant(
       employee.employee_id,
       grantDate,
       shareAmount
     );
-    
+
     // Test vesting on February 28, 2025 (Feb doesn't have 31 days but should still vest)
     // This is 13 months after grant date
     const febDate = '2025-02-28';
     const febResult = await testBase.calculateVesting(grant.grant_id, febDate);
-    
+
     // Should vest 13 months worth (after cliff: 12 at cliff + 1 additional)
     expect(febResult.vested_amount).toBe('13.000');
-    
+    expect(febResult.vesting_events.map((event) => event.vest_date)).toEqual([
+      '2025-01-31',
+      '2025-02-28',
+    ]);
+
     // Test similar case for February 29 in leap year
-    // Create another grant with end-of-month date in January 2024 (leap year)
-    const leapYearGrantDate = '2024-01-31';
-    const leapYearGrant = await testBase.createSpecificGrant(
-      employee.employee_id, 
+    // Create another grant with end-of-month date in January 2023, whose 13th month is February 2024
+    const leapYearGrantDate = '2023-01-31';
+    const leapYearGrant = await testBase.createUnvestedGrant(
+      employee.employee_id,
       leapYearGrantDate,
       shareAmount
     );
-    
-    // Test vesting on February 29, 2024 (before cliff but testing the date logic)
-    const leapDateBeforeCliff = '2024-02-29';
-    await testBase.calculateVesting(leapYearGrant.grant_id, leapDateBeforeCliff);
-    
-    // Now test Feb 29, 2028 (next leap year, well after cliff)
-    const futureLeapDate = '2028-02-29';
-    const leapResult = await testBase.calculateVesting(leapYearGrant.grant_id, futureLeapDate);
-    
-    // Calculate expected vesting: 48+ months, but capped at 48/48 * 48 = 48 shares (fully vested)
-    expect(leapResult.vested_amount).toBe('48.000');
+
+    // On February 28, 2024 the 13th tranche is not due yet: it vests on the 29th
+    const dayBeforeLeapDate = '2024-02-28';
+    const beforeLeapResult = await testBase.calculateVesting(
+      leapYearGrant.grant_id,
+      dayBeforeLeapDate
+    );
+    expect(beforeLeapResult.vested_amount).toBe('12.000');
+
+    const leapDate = '2024-02-29';
+    const leapResult = await testBase.calculateVesting(
+      leapYearGrant.grant_id,
+      leapDate
+    );
+    expect(leapResult.vested_amount).toBe('13.000');
+    expect(leapResult.vesting_events.map((event) => event.vest_date)).toEqual([
+      '2024-02-29',
+    ]);
   });
 
   /**
@@ -174,27 +216,33 @@ describe('Vesting Calculation Accuracy', () => {
   it('should calculate partial month vesting correctly', async () => {
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Create a grant with mid-month date
     const grantDate = '2024-01-15';
     const shareAmount = '48.000';
-    const grant = await testBase.createSpecificGrant(
+    const grant = await testBase.createUnvestedGrant(
       employee.employee_id,
       grantDate,
       shareAmount
     );
-    
+
     // Test vesting on a date with partial month - 12 months plus 10 days
     const partialMonthDate = '2025-01-25';
-    const partialResult = await testBase.calculateVesting(grant.grant_id, partialMonthDate);
-    
+    const partialResult = await testBase.calculateVesting(
+      grant.grant_id,
+      partialMonthDate
+    );
+
     // Should vest 12 months worth at cliff - no partial month counted yet
     expect(partialResult.vested_amount).toBe('12.000');
-    
+
     // Test vesting on a date with partial month after the 15th
     const nextMonthDate = '2025-02-20'; // More than 1 month after cliff
-    const nextResult = await testBase.calculateVesting(grant.grant_id, nextMonthDate);
-    
+    const nextResult = await testBase.calculateVesting(
+      grant.grant_id,
+      nextMonthDate
+    );
+
     // Should vest 13 months worth (12 at cliff + 1 additional month)
     expect(nextResult.vested_amount).toBe('13.000');
   });
@@ -205,21 +253,24 @@ describe('Vesting Calculation Accuracy', () => {
   it('should correctly handle vesting for terminated grants', async () => {
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Create a grant
     const grantDate = '2024-01-15';
     const shareAmount = '48.000';
-    const grant = await testBase.createSpecificGrant(
+    const grant = await testBase.createUnvestedGrant(
       employee.employee_id,
       grantDate,
       shareAmount
     );
-    
+
     // Calculate vesting after cliff
     const afterCliffDate = '2025-01-20'; // Just after cliff
-    const beforeTerminationResult = await testBase.calculateVesting(grant.grant_id, afterCliffDate);
+    const beforeTerminationResult = await testBase.calculateVesting(
+      grant.grant_id,
+      afterCliffDate
+    );
     expect(beforeTerminationResult.vested_amount).toBe('12.000');
-    
+
     // Terminate the grant at a specific date
     const terminationDate = '2025-01-31';
     await testBase.query(
@@ -230,14 +281,14 @@ describe('Vesting Calculation Accuracy', () => {
        WHERE grant_id = $3`,
       [terminationDate, '36.000', grant.grant_id]
     );
-    
+
     // Attempt to calculate vesting after termination date
     const afterTerminationDate = '2025-06-15'; // Well after termination
     const afterTerminationResult = await testBase.calculateVesting(
-      grant.grant_id, 
+      grant.grant_id,
       afterTerminationDate
     );
-    
+
     // Vesting should be frozen at termination date value
     expect(afterTerminationResult.vested_amount).toBe('12.000'); // Still just cliff vesting
     expect(afterTerminationResult.is_terminated).toBe(true);
@@ -250,23 +301,179 @@ describe('Vesting Calculation Accuracy', () => {
   it('should cap vesting at 48 months (100%)', async () => {
     // Create test employee
     const employee = await testBase.createTestEmployee();
-    
+
     // Create a grant
-    const grantDate = '2024-01-15';
+    const grantDate = '2020-01-15';
     const shareAmount = '48.000';
-    const grant = await testBase.createSpecificGrant(
+    const grant = await testBase.createUnvestedGrant(
       employee.employee_id,
       grantDate,
       shareAmount
     );
-    
-    // Calculate vesting far in the future (beyond 48 months)
-    const futureDate = '2030-01-15'; // 6 years after grant
-    const futureResult = await testBase.calculateVesting(grant.grant_id, futureDate);
-    
+
+    // Calculate vesting long after the schedule ended (beyond 48 months)
+    const lateDate = '2025-06-01'; // More than 5 years after grant
+    const lateResult = await testBase.calculateVesting(
+      grant.grant_id,
+      lateDate
+    );
+
     // Should be fully vested (capped at 48 months)
-    expect(futureResult.vested_amount).toBe(shareAmount); // All shares vested
-    expect(futureResult.vesting_percentage).toBe('100.000'); // 100% vested
+    expect(lateResult.vested_amount).toBe(shareAmount); // All shares vested
+    expect(lateResult.vesting_percentage).toBe('100.000'); // 100% vested
+    expect(lateResult.vesting_events.length).toBe(37); // Cliff + 36 monthly tranches, none after month 48
+  });
+
+  /**
+   * Verifies that creating a backdated grant persists its elapsed vesting events
+   */
+  it('should persist elapsed vesting events when a backdated grant is created', async () => {
+    // Create test employee
+    const employee = await testBase.createTestEmployee();
+
+    // Grant far enough in the past that the whole 48-month schedule has elapsed
+    const grant = await testBase.createSpecificGrant(
+      employee.employee_id,
+      '2019-01-31',
+      '100.000'
+    );
+
+    // Fully vested on creation, and vested_amount matches the sum of events
+    expect(grant.vested_amount).toBe('100.000');
+
+    const eventsResult = await testBase.query(
+      `SELECT vest_date::text AS vest_date, shares_vested
+       FROM vesting_events WHERE grant_id = $1 ORDER BY vest_date`,
+      [grant.grant_id]
+    );
+    const events = eventsResult.rows;
+
+    // Cliff event plus 36 monthly events
+    expect(events.length).toBe(37);
+    expect(events[0]).toEqual({
+      vest_date: '2020-01-31',
+      shares_vested: '25.000',
+    });
+    expect(events[1]).toEqual({
+      vest_date: '2020-02-29',
+      shares_vested: '2.083',
+    }); // Month-end rule, leap year
+    expect(events[36]).toEqual({
+      vest_date: '2023-01-31',
+      shares_vested: '2.095',
+    }); // Final tranche absorbs rounding
+
+    const sumResult = await testBase.query(
+      'SELECT SUM(shares_vested) AS total FROM vesting_events WHERE grant_id = $1',
+      [grant.grant_id]
+    );
+    expect(sumResult.rows[0].total).toBe('100.000');
+  });
+
+  /**
+   * Verifies calculate-vesting is idempotent and never re-creates existing events
+   */
+  it('should be idempotent when calculate-vesting is called repeatedly', async () => {
+    // Create test employee
+    const employee = await testBase.createTestEmployee();
+
+    // Backdated grant: creation already vested every elapsed tranche
+    const grant = await testBase.createSpecificGrant(
+      employee.employee_id,
+      '2019-01-31',
+      '100.000'
+    );
+
+    const firstRes = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(testBase.calculateVestingPath(grant.grant_id))
+      .send({})
+      .expect(200);
+
+    expect(firstRes.body.data.vesting_events.length).toBe(0);
+    expect(firstRes.body.data.vested_amount).toBe('100.000');
+
+    const secondRes = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(testBase.calculateVestingPath(grant.grant_id))
+      .send({})
+      .expect(200);
+
+    expect(secondRes.body.data.vesting_events.length).toBe(0);
+    expect(secondRes.body.data.version).toBe(firstRes.body.data.version);
+
+    const countResult = await testBase.query(
+      'SELECT COUNT(*) AS total FROM vesting_events WHERE grant_id = $1',
+      [grant.grant_id]
+    );
+    expect(parseInt(countResult.rows[0].total)).toBe(37);
+  });
+
+  /**
+   * Verifies calculate-vesting rejects dates after "today" in the tenant timezone
+   */
+  it('should reject a calculation_date in the future', async () => {
+    // Create test employee
+    const employee = await testBase.createTestEmployee();
+    const grant = await testBase.createSpecificGrant(
+      employee.employee_id,
+      '2024-01-15',
+      '48.000'
+    );
+
+    const res = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(testBase.calculateVestingPath(grant.grant_id))
+      .send({ calculation_date: '2999-01-01' })
+      .expect(400);
+
+    expect(res.body.success).toBe(false);
+    expect(res.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  /**
+   * Verifies vesting-events returns realized events with their value and the projected schedule
+   */
+  it('should return realized vesting events and the projected schedule', async () => {
+    // Create test employee
+    const employee = await testBase.createTestEmployee();
+
+    // Grant dated two years back: cliff plus 12 monthly tranches have vested
+    const today = new Date();
+    const grantDate = new Date(
+      Date.UTC(today.getUTCFullYear() - 2, today.getUTCMonth(), 1)
+    )
+      .toISOString()
+      .slice(0, 10);
+    const grant = await testBase.createSpecificGrant(
+      employee.employee_id,
+      grantDate,
+      '48.000'
+    );
+
+    const res = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .get(testBase.vestingEventsPath(grant.grant_id))
+      .expect(200);
+
+    const data = res.body.data;
+    expect(data.items.length).toBe(13);
+    expect(data.items[0].shares_vested).toBe('12.000');
+    expect(data.items[0]).toHaveProperty('pps_snapshot');
+    expect(data.items[0]).toHaveProperty('vested_value');
+
+    // The schedule always covers the cliff and months 13..48
+    expect(data.schedule.length).toBe(37);
+    const vested = data.schedule.filter(
+      (tranche) => tranche.status === 'vested'
+    );
+    const future = data.schedule.filter((tranche) => tranche.is_future);
+    expect(vested.length).toBe(13);
+    expect(future.length).toBe(24);
+    future.forEach((tranche) => {
+      expect(tranche.status).toBe('future');
+      expect(tranche.vesting_id).toBeNull();
+    });
   });
 
   /**
@@ -276,42 +483,183 @@ describe('Vesting Calculation Accuracy', () => {
     // Create test employees
     const employee1 = await testBase.createTestEmployee();
     const employee2 = await testBase.createTestEmployee();
-    
+
     // Create multiple grants with different dates
-    const grant1 = await testBase.createSpecificGrant(
+    const grant1 = await testBase.createUnvestedGrant(
       employee1.employee_id,
       '2024-01-15', // First grant
       '48.000'
     );
-    
-    const grant2 = await testBase.createSpecificGrant(
+
+    const grant2 = await testBase.createUnvestedGrant(
       employee2.employee_id,
       '2024-03-01', // Second grant, different date
       '96.000'
     );
-    
+
     // Calculate batch vesting for a date after both grants' cliffs
     const batchDate = '2025-04-15'; // After cliff for both
-    
+
     const batchResult = await testBase
       .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
       .post(testBase.batchCalculatePath)
       .send({
         grant_ids: [grant1.grant_id, grant2.grant_id],
-        as_of_date: batchDate
+        as_of_date: batchDate,
       })
       .expect(200);
-    
+
     // Verify results for both grants
     const results = batchResult.body.data;
     expect(results.length).toBe(2);
-    
+
     // Grant 1: 15 months after start (12 cliff + 3 additional)
-    const grant1Result = results.find(g => g.grant_id === grant1.grant_id);
+    const grant1Result = results.find((g) => g.grant_id === grant1.grant_id);
     expect(grant1Result.vested_amount).toBe('15.000');
-    
+
     // Grant 2: 13 months after start (12 cliff + 1 additional)
-    const grant2Result = results.find(g => g.grant_id === grant2.grant_id);
-    expect(grant2Result.vested_amount).toBe('24.000'); // 13/48 * 96 = 24
+    const grant2Result = results.find((g) => g.grant_id === grant2.grant_id);
+    expect(grant2Result.vested_amount).toBe('26.000'); // 13/48 * 96 = 26
+  });
+
+  it('should report due vesting events without writing them in a batch dry run', async () => {
+    const employee = await testBase.createTestEmployee();
+    const equityPool = await testBase.createTestPool();
+    const grantId = uuidv4();
+
+    // Insert directly so no vesting events exist yet for the elapsed tranches
+    await testBase.query(
+      `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, created_by)
+       VALUES ($1, $2, $3, $4, '2024-01-15', '48.000', $5)`,
+      [
+        grantId,
+        testBase.MOCK_TENANT_ID,
+        equityPool.pool_id,
+        employee.employee_id,
+        testBase.defaultAdminId,
+      ]
+    );
+
+    const batchResult = await testBase
+      .getAuthenticatedRequest(testBase.defaultAdminId, 'admin')
+      .post(testBase.batchCalculatePath)
+      .send({ grant_ids: [grantId], as_of_date: '2025-04-15', dry_run: true })
+      .expect(200);
+
+    expect(batchResult.body.summary.dry_run).toBe(true);
+    expect(batchResult.body.summary.run_id).toBeNull();
+
+    const grantResult = batchResult.body.data.find(
+      (g) => g.grant_id === grantId
+    );
+    expect(grantResult.success).toBe(true);
+    expect(grantResult.vested_amount).toBe('15.000');
+    expect(grantResult.events_created).toBe(4); // Cliff + 3 monthly tranches
+
+    const eventsResult = await testBase.query(
+      'SELECT 1 FROM vesting_events WHERE grant_id = $1',
+      [grantId]
+    );
+    expect(eventsResult.rows.length).toBe(0);
+  });
+});
+
+/**
+ * Runs outside the test transaction: the calculations must run on separate connections,
+ * so the fixtures are committed to a tenant of their own and removed afterwards
+ */
+describe('Concurrent vesting calculation', () => {
+  const { pool } = require('../../config/db');
+  let tenantId;
+  let adminId;
+
+  beforeEach(async () => {
+    tenantId = (await testBase.dbHelper.createTestTenant()).tenant_id;
+    adminId = (await testBase.createTestUser('admin', { tenant_id: tenantId }))
+      .user_id;
+  });
+
+  afterEach(async () => {
+    await pool.query('DELETE FROM audit_logs WHERE tenant_id = $1', [tenantId]);
+    await pool.query('DELETE FROM grants WHERE tenant_id = $1', [tenantId]);
+    await pool.query('DELETE FROM employees WHERE tenant_id = $1', [tenantId]);
+    await pool.query('DELETE FROM equity_pools WHERE tenant_id = $1', [
+      tenantId,
+    ]);
+    await pool.query('DELETE FROM user_accounts WHERE tenant_id = $1', [
+      tenantId,
+    ]);
+    await pool.query('DELETE FROM tenants WHERE tenant_id = $1', [tenantId]);
+  });
+
+  /**
+   * Verifies two calculations of the same grant create its vesting events only once
+   */
+  it('should create one set of vesting events when a grant is calculated concurrently', async () => {
+    const employee = await testBase.createTestEmployee({ tenant_id: tenantId });
+    const equityPool = await testBase.createTestPool({
+      tenant_id: tenantId,
+      created_by: adminId,
+    });
+    const grantResult = await pool.query(
+      `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, created_by)
+       VALUES ($1, $2, $3, $4, '2023-01-31', '48.000', $5)
+       RETURNING grant_id`,
+      [uuidv4(), tenantId, equityPool.pool_id, employee.employee_id, adminId]
+    );
+    const grantId = grantResult.rows[0].grant_id;
+
+    // A third connection holds the grant, so both calculations start before either one vests
+    const blocker = await pool.connect();
+    let responses;
+    try {
+      await blocker.query('BEGIN');
+      await blocker.query(
+        'SELECT 1 FROM grants WHERE grant_id = $1 FOR UPDATE',
+        [grantId]
+      );
+
+      const pending = [1, 2].map(() =>
+        testBase
+          .getAuthenticatedRequest(adminId, 'admin', tenantId)
+          .post(testBase.calculateVestingPath(grantId))
+          .send({ as_of_date: '2024-06-30' })
+          .then((response) => response)
+      );
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const waiting = await pool.query(
+          "SELECT COUNT(*)::int AS count FROM pg_stat_activity WHERE datname = current_database() AND wait_event_type = 'Lock'"
+        );
+        if (waiting.rows[0].count >= 2) {
+          break;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+
+      await blocker.query('ROLLBACK');
+      responses = await Promise.all(pending);
+    } finally {
+      blocker.release();
+    }
+
+    expect(responses.map((response) => response.status)).toEqual([200, 200]);
+    // Cliff on 2024-01-31 plus the monthly tranches up to 2024-06-30
+    expect(
+      responses
+        .map((response) => response.body.data.vesting_events.length)
+        .sort()
+    ).toEqual([0, 6]);
+    responses.forEach((response) => {
+      expect(response.body.data.vested_amount).toBe('17.000');
+    });
+
+    const eventsResult = await pool.query(
+      `SELECT COUNT(*)::int AS total, COUNT(DISTINCT vest_date)::int AS dates, SUM(shares_vested) AS shares
+       FROM vesting_events WHERE grant_id = $1`,
+      [grantId]
+    );
+    expect(eventsResult.rows[0].total).toBe(6);
+    expect(eventsResult.rows[0].dates).toBe(6);
+    expect(eventsResult.rows[0].shares).toBe('17.000');
   });
 });
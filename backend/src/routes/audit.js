@@ -1,75 +1,710 @@
 const express = require('express');
+const { validate: uuidValidate } = require('uuid');
 const { pool } = require('../config/db');
 const logger = require('../config/logger');
 const { authorizeRole } = require('../middleware/auth');
 const { logAuditAction } = require('../utils/auditLogger');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const { buildEntityHistory } = require('../utils/auditHistory');
+const { isValidDate } = require('../utils/dates');
 
 const router = express.Router();
 
+// Rows fetched per round trip when streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'log_id',
+  'created_at',
+  'user_id',
+  'user_email',
+  'user_name',
+  'action_type',
+  'entity_type',
+  'entity_id',
+  'details',
+];
+
+// Entity types whose audit entries record before/after snapshots of the record
+const HISTORY_ENTITY_TYPES = ['grant', 'employee', 'user', 'tenant'];
+
+// A date, or a timestamp with an explicit offset so it does not depend on the server's timezone
+const AS_OF_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Formats a value as a CSV field (RFC 4180 quoting). Text starting with a spreadsheet formula
+ * character is prefixed with an apostrophe so exported files are safe to open in Excel.
+ *
+ * @param {*} value - The value to format.
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a chunk to the response, waiting for the socket to drain when its buffer is full.
+ *
+ * @param {object} res - The Express response.
+ * @param {string} chunk - The text to write.
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Validates the filters shared by the audit log list and export.
+ *
+ * @param {object} filters - The query filters (from_date, to_date, entity_id, user_id).
+ * @returns {string|null} A validation error message, or null if the filters are valid.
+ */
+function validateAuditFilters({ from_date, to_date, entity_id, user_id }) {
+  if (
+    [from_date, to_date].some(
+      (date) => date !== undefined && !isValidDate(date)
+    )
+  ) {
+    return 'from_date and to_date must be valid dates (YYYY-MM-DD)';
+  }
+  if (from_date && to_date && from_date > to_date) {
+    return 'from_date cannot be after to_date';
+  }
+  if (
+    [entity_id, user_id].some((id) => id !== undefined && !uuidValidate(id))
+  ) {
+    return 'entity_id and user_id must be valid UUIDs';
+  }
+  return null;
+}
+
+/**
+ * Builds the SQL conditions for the audit log filters, appending their values to queryParams.
+ * Dates are whole days in the tenant's timezone; the query must alias audit_logs as al and tenants as t.
+ *
+ * @param {object} filters - The validated query filters.
+ * @param {Array} queryParams - The query parameters, appended to in place.
+ * @returns {string} The conditions, each prefixed with AND.
+ */
+function buildAuditFilterClause(
+  { from_date, to_date, action_type, entity_type, entity_id, user_id },
+  queryParams
+) {
+  let filterClause = '';
+  if (from_date) {
+    queryParams.push(from_date);
+    filterClause += ` AND al.created_at >= ($${queryParams.length}::date::timestamp AT TIME ZONE t.timezone)`;
+  }
+  if (to_date) {
+    queryParams.push(to_date);
+    filterClause += ` AND al.created_at < (($${queryParams.length}::date + 1)::timestamp AT TIME ZONE t.timezone)`;
+  }
+  for (const [column, value] of [
+    ['action_type', action_type],
+    ['entity_type', entity_type],
+    ['entity_id', entity_id],
+    ['user_id', user_id],
+  ]) {
+    if (value !== undefined) {
+      queryParams.push(value);
+      filterClause += ` AND al.${column} = $${queryParams.length}`;
+    }
+  }
+  return filterClause;
+}
+
+/**
+ * Encodes the position of an audit log row as an opaque keyset pagination cursor.
+ *
+ * @param {object} row - The row, with the full-precision created_at text and log_id.
+ * @returns {string}
+ */
+function encodeCursor(row) {
+  return Buffer.from(
+    JSON.stringify([row.cursor_created_at, row.log_id])
+  ).toString('base64url');
+}
+
+/**
+ * Decodes a keyset pagination cursor produced by encodeCursor.
+ *
+ * @param {string} cursor - The cursor from the request.
+ * @returns {{createdAt: string, logId: string}|null} The position, or null if the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, logId] = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+    if (
+      typeof createdAt !== 'string' ||
+      isNaN(Date.parse(createdAt)) ||
+      !uuidValidate(logId)
+    ) {
+      return null;
+    }
+    return { createdAt, logId };
+  } catch (error) {
+    return null;
+  }
+}
+
 // Ensure all routes require authentication
 router.use(authorizeRole(['admin', 'employee']));
 
 /**
  * GET /api/audit-logs
- * Retrieves audit logs with pagination
+ * Lists the tenant's audit logs, newest first, with the acting user's name and email
+ * Optional filters: action_type, entity_type, entity_id, user_id, from_date, to_date (YYYY-MM-DD, tenant timezone)
+ * Uses keyset pagination: pass pagination.next_cursor from one page as cursor to get the next.
+ * Admins see all entries; employees only see entries about their own grants.
  */
 router.get('/', async (req, res, next) => {
   const tenantId = req.user?.tenantId;
-  const { page = 1, limit = 20 } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const {
+    limit = 20,
+    cursor,
+    from_date,
+    to_date,
+    action_type,
+    entity_type,
+    entity_id,
+    user_id,
+  } = req.query;
 
   logger.info(`GET /api/audit-logs for tenant ${tenantId}`);
 
+  // Input validation
+  const position = cursor !== undefined ? decodeCursor(cursor) : null;
+  let validationError = validateAuditFilters({
+    from_date,
+    to_date,
+    entity_id,
+    user_id,
+  });
+  if (
+    !validationError &&
+    (isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100)
+  ) {
+    validationError = 'Invalid pagination parameters';
+  } else if (!validationError && cursor !== undefined && !position) {
+    validationError = 'cursor is invalid';
+  }
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: validationError,
+      },
+    });
+  }
+
   try {
-    // Query for audit logs with pagination
-    const logsQuery = `
-      SELECT 
-        log_id, tenant_id, action_type, entity_type, entity_id, 
-        details, created_by, created_at
-      FROM 
-        audit_logs
-      WHERE 
-        tenant_id = $1
-        AND deleted_at IS NULL
-      ORDER BY 
-        created_at DESC
-      LIMIT $2::integer OFFSET $3::integer
-    `;
+    const queryParams = [tenantId];
+    let filterClause = buildAuditFilterClause(
+      { from_date, to_date, action_type, entity_type, entity_id, user_id },
+      queryParams
+    );
 
-    const countQuery = `
-      SELECT COUNT(*) AS total_items
-      FROM audit_logs
-      WHERE 
-        tenant_id = $1
-        AND deleted_at IS NULL
-    `;
+    if (req.user.role !== 'admin') {
+      const employee = await findEmployeeForUser(req.user.id, tenantId);
+      if (!employee) {
+        return res.json({
+          success: true,
+          data: {
+            items: [],
+            pagination: {
+              limit: parseInt(limit),
+              next_cursor: null,
+              has_more: false,
+            },
+          },
+        });
+      }
+      queryParams.push(employee.employee_id);
+      filterClause += ` AND al.entity_type = 'grant' AND al.entity_id IN (
+        SELECT gr.grant_id FROM grants gr WHERE gr.tenant_id = al.tenant_id AND gr.employee_id = $${queryParams.length}
+      )`;
+    }
 
-    // Execute both queries concurrently
-    const [logsResult, countResult] = await Promise.all([
-      pool.query(logsQuery, [tenantId, parseInt(limit), offset]),
-      pool.query(countQuery, [tenantId])
-    ]);
+    if (position) {
+      queryParams.push(position.createdAt, position.logId);
+      filterClause += ` AND (al.created_at, al.log_id) < ($${queryParams.length - 1}::timestamptz, $${queryParams.length}::uuid)`;
+    }
+
+    // One extra row tells whether there is a next page
+    queryParams.push(parseInt(limit) + 1);
+    const logsQuery = `
+      SELECT
+        al.log_id, al.tenant_id, al.user_id, u.name AS user_name, u.email AS user_email,
+        al.action_type, al.entity_type, al.entity_id, al.details, al.created_at,
+        al.created_at::text AS cursor_created_at
+      FROM audit_logs al
+      JOIN tenants t ON t.tenant_id = al.tenant_id
+      LEFT JOIN user_accounts u ON u.user_id = al.user_id
+      WHERE al.tenant_id = $1${filterClause}
+      ORDER BY al.created_at DESC, al.log_id DESC
+      LIMIT $${queryParams.length}::integer
+    `;
+    const logsResult = await pool.query(logsQuery, queryParams);
 
-    const totalItems = parseInt(countResult.rows[0].total_items);
-    const totalPages = Math.ceil(totalItems / parseInt(limit));
+    const hasMore = logsResult.rows.length > parseInt(limit);
+    const rows = logsResult.rows.slice(0, parseInt(limit));
+    const nextCursor = hasMore ? encodeCursor(rows[rows.length - 1]) : null;
+    rows.forEach((row) => delete row.cursor_created_at);
 
     res.json({
       success: true,
       data: {
-        items: logsResult.rows,
+        items: rows,
         pagination: {
-          total_items: totalItems,
-          total_pages: totalPages,
-          current_page: parseInt(page),
           limit: parseInt(limit),
-          next_page: parseInt(page) < totalPages ? parseInt(page) + 1 : null,
-          prev_page: parseInt(page) > 1 ? parseInt(page) - 1 : null,
+          next_cursor: nextCursor,
+          has_more: hasMore,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(
+      `Error retrieving audit logs for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit-logs/entities/:entity_type/:entity_id/history
+ * Returns the change timeline of a grant, employee, user or tenant in chain order, each entry with the
+ * fields it changed, and the record's field values reconstructed from the before/after snapshots.
+ * Optional as_of (ISO 8601 timestamp with offset, or YYYY-MM-DD for the end of that day in the tenant timezone) limits the
+ * timeline to the entries up to then, so state is the record as it was at that time.
+ * Admins see any entity; employees only their own grants.
+ */
+router.get(
+  '/entities/:entity_type/:entity_id/history',
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const { entity_type, entity_id } = req.params;
+    const { as_of } = req.query;
+
+    logger.info(
+      `GET /api/audit-logs/entities/${entity_type}/${entity_id}/history for tenant ${tenantId}`
+    );
+
+    // Input validation
+    let validationError = null;
+    if (!HISTORY_ENTITY_TYPES.includes(entity_type)) {
+      validationError = `entity_type must be one of: ${HISTORY_ENTITY_TYPES.join(', ')}`;
+    } else if (!uuidValidate(entity_id)) {
+      validationError = 'entity_id must be a valid UUID';
+    } else if (
+      as_of !== undefined &&
+      (!AS_OF_PATTERN.test(as_of) ||
+        !isValidDate(as_of.slice(0, 10)) ||
+        isNaN(Date.parse(as_of)))
+    ) {
+      validationError =
+        'as_of must be a date (YYYY-MM-DD) or an ISO 8601 timestamp with a UTC offset';
+    }
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: validationError,
+        },
+      });
+    }
+
+    try {
+      const queryParams = [tenantId, entity_type, entity_id];
+
+      if (req.user.role !== 'admin') {
+        const employee =
+          entity_type === 'grant'
+            ? await findEmployeeForUser(req.user.id, tenantId)
+            : null;
+        const ownGrant =
+          employee &&
+          (
+            await pool.query(
+              'SELECT 1 FROM grants WHERE tenant_id = $1 AND grant_id = $2 AND employee_id = $3',
+              [tenantId, entity_id, employee.employee_id]
+            )
+          ).rows.length > 0;
+        if (!ownGrant) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'FORBIDDEN',
+              message: 'You can only view the history of your own grants',
+            },
+          });
         }
       }
+
+      // Entries after as_of are still read so that a record created later is not reported as missing
+      let inRangeCondition = 'TRUE';
+      if (as_of !== undefined) {
+        queryParams.push(as_of);
+        inRangeCondition = /^\d{4}-\d{2}-\d{2}$/.test(as_of)
+          ? `al.created_at < (($${queryParams.length}::date + 1)::timestamp AT TIME ZONE t.timezone)`
+          : `al.created_at <= $${queryParams.length}::timestamptz`;
+      }
+
+      const historyResult = await pool.query(
+        `
+      SELECT
+        al.log_id, al.chain_seq, al.created_at, al.action_type, al.user_id,
+        u.name AS user_name, u.email AS user_email, al.details,
+        ${inRangeCondition} AS in_range
+      FROM audit_logs al
+      JOIN tenants t ON t.tenant_id = al.tenant_id
+      LEFT JOIN user_accounts u ON u.user_id = al.user_id
+      WHERE al.tenant_id = $1 AND al.entity_type = $2 AND al.entity_id = $3
+      ORDER BY al.chain_seq
+    `,
+        queryParams
+      );
+
+      if (historyResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: `No audit history found for ${entity_type} ${entity_id}`,
+          },
+        });
+      }
+
+      const { timeline, state, deleted } = buildEntityHistory(
+        historyResult.rows.filter((row) => row.in_range)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          entity_type,
+          entity_id,
+          as_of: as_of || null,
+          state,
+          deleted,
+          timeline,
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Error retrieving history of ${entity_type} ${entity_id} for tenant ${tenantId}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/audit-logs/download
+ * Streams the tenant's audit logs as CSV (default) or NDJSON (format=ndjson), oldest first
+ * Optional filters: from_date, to_date (YYYY-MM-DD, tenant timezone), action_type, entity_type, entity_id, user_id
+ * Rows are read through a database cursor in batches, so exports of any size use constant memory.
+ * Every export is recorded as an AUDIT_EXPORT audit entry.
+ * Requires admin role
+ */
+router.get('/download', authorizeRole('admin'), async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
+  const userId = req.user?.id;
+  const {
+    format = 'csv',
+    from_date,
+    to_date,
+    action_type,
+    entity_type,
+    entity_id,
+    user_id,
+  } = req.query;
+
+  logger.info(
+    `GET /api/audit-logs/download (${format}) for tenant ${tenantId}`
+  );
+
+  // Input validation
+  const validationError = !['csv', 'ndjson'].includes(format)
+    ? 'format must be either "csv" or "ndjson"'
+    : validateAuditFilters({ from_date, to_date, entity_id, user_id });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: validationError,
+      },
+    });
+  }
+
+  const filters = {
+    from_date,
+    to_date,
+    action_type,
+    entity_type,
+    entity_id,
+    user_id,
+  };
+  const queryParams = [tenantId];
+  const filterClause = buildAuditFilterClause(filters, queryParams);
+
+  let rowCount = 0;
+  let completed = false;
+  let client;
+
+  try {
+    client = await pool.connect();
+    // One consistent snapshot for the whole export
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    await client.query(
+      `
+      DECLARE audit_export NO SCROLL CURSOR FOR
+      SELECT
+        al.log_id, al.created_at, al.user_id, u.email AS user_email, u.name AS user_name,
+        al.action_type, al.entity_type, al.entity_id, al.details
+      FROM audit_logs al
+      JOIN tenants t ON t.tenant_id = al.tenant_id
+      LEFT JOIN user_accounts u ON u.user_id = al.user_id
+      WHERE al.tenant_id = $1${filterClause}
+      ORDER BY al.created_at, al.log_id
+    `,
+      queryParams
+    );
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.status(200);
+    res.set({
+      'Content-Type':
+        format === 'csv'
+          ? 'text/csv; charset=utf-8'
+          : 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-logs-${timestamp}.${format}"`,
+      'Cache-Control': 'no-store',
+    });
+    if (format === 'csv') {
+      await writeChunk(res, EXPORT_COLUMNS.join(',') + '\r\n');
+    }
+
+    while (!res.destroyed) {
+      const batch = await client.query(
+        `FETCH ${EXPORT_BATCH_SIZE} FROM audit_export`
+      );
+      if (batch.rows.length === 0) {
+        completed = true;
+        break;
+      }
+      const chunk = batch.rows
+        .map((row) =>
+          format === 'csv'
+            ? EXPORT_COLUMNS.map((column) => toCsvField(row[column])).join(
+                ','
+              ) + '\r\n'
+            : JSON.stringify(row) + '\n'
+        )
+        .join('');
+      rowCount += batch.rows.length;
+      await writeChunk(res, chunk);
+    }
+
+    await client.query('COMMIT');
+    res.end();
+
+    if (!completed) {
+      logger.warn(
+        `Audit log export for tenant ${tenantId} was aborted by the client after ${rowCount} rows`
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Error exporting audit logs for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    // Once streaming has started the only way to signal the failure is to cut the response short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    // The export has already been sent, so a failure to record it can only be logged
+    await logAuditAction({
+      tenantId,
+      userId,
+      actionType: 'AUDIT_EXPORT',
+      entityType: 'audit_log',
+      details: {
+        before: null,
+        after: null,
+        format,
+        filters,
+        rowCount,
+        completed,
+      },
+      dbClient: pool,
+    }).catch((auditError) =>
+      logger.error(
+        `Failed to record audit log export for tenant ${tenantId}: ${auditError.message}`
+      )
+    );
+  }
+});
+
+/**
+ * GET /api/audit-logs/verify
+ * Walks the tenant's audit log hash chain and reports whether it is intact. The first broken link is
+ * the first entry, in chain order, that:
+ * - content_modified: no longer matches its row_hash (the entry was edited)
+ * - entries_missing: does not directly follow the previous entry (entries before it were deleted)
+ * - link_mismatch: does not point at the previous entry's row_hash (entries were replaced or reordered)
+ * The last entry is also checked against the chain head, which catches entries deleted from the end
+ * (entries_missing, log_id is then null) and a chain rewritten with recomputed hashes (head_mismatch).
+ * Requires admin role
+ */
+router.get('/verify', authorizeRole('admin'), async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
+
+  logger.info(`GET /api/audit-logs/verify for tenant ${tenantId}`);
+
+  let client;
+  try {
+    client = await pool.connect();
+    // The chain and its head are read from one snapshot
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const headResult = await client.query(
+      'SELECT last_seq, last_hash FROM audit_log_chain_heads WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const head = headResult.rows[0] || { last_seq: '0', last_hash: null };
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) AS checked_count FROM audit_logs WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const lastEntryResult = await client.query(
+      'SELECT log_id, chain_seq, created_at, row_hash FROM audit_logs WHERE tenant_id = $1 ORDER BY chain_seq DESC LIMIT 1',
+      [tenantId]
+    );
+
+    const brokenLinkResult = await client.query(
+      `
+      WITH chain AS (
+        SELECT
+          al.log_id, al.chain_seq, al.created_at, al.prev_hash, al.row_hash,
+          func_audit_log_hash(al) AS computed_hash,
+          LAG(al.chain_seq) OVER (ORDER BY al.chain_seq) AS previous_seq,
+          LAG(al.row_hash) OVER (ORDER BY al.chain_seq) AS previous_hash
+        FROM audit_logs al
+        WHERE al.tenant_id = $1
+      )
+      SELECT
+        log_id, chain_seq, created_at,
+        CASE
+          WHEN row_hash IS DISTINCT FROM computed_hash THEN 'content_modified'
+          WHEN chain_seq <> COALESCE(previous_seq, 0) + 1 THEN 'entries_missing'
+          ELSE 'link_mismatch'
+        END AS reason
+      FROM chain
+      WHERE row_hash IS DISTINCT FROM computed_hash
+        OR chain_seq <> COALESCE(previous_seq, 0) + 1
+        OR prev_hash IS DISTINCT FROM previous_hash
+      ORDER BY chain_seq
+      LIMIT 1
+    `,
+      [tenantId]
+    );
+
+    await client.query('COMMIT');
+
+    const lastSeq = parseInt(head.last_seq);
+    const lastEntry = lastEntryResult.rows[0];
+    const lastChainedSeq = lastEntry ? parseInt(lastEntry.chain_seq) : 0;
+    let firstBrokenLink = null;
+    if (brokenLinkResult.rows.length > 0) {
+      const brokenRow = brokenLinkResult.rows[0];
+      firstBrokenLink = {
+        log_id: brokenRow.log_id,
+        chain_seq: parseInt(brokenRow.chain_seq),
+        created_at: brokenRow.created_at,
+        reason: brokenRow.reason,
+      };
+    } else if (lastChainedSeq !== lastSeq) {
+      firstBrokenLink = {
+        log_id: null,
+        chain_seq: lastChainedSeq + 1,
+        created_at: null,
+        reason: 'entries_missing',
+      };
+    } else if (lastEntry && lastEntry.row_hash !== head.last_hash) {
+      firstBrokenLink = {
+        log_id: lastEntry.log_id,
+        chain_seq: lastChainedSeq,
+        created_at: lastEntry.created_at,
+        reason: 'head_mismatch',
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: firstBrokenLink === null,
+        checked_count: parseInt(countResult.rows[0].checked_count),
+        last_seq: lastSeq,
+        head_hash: head.last_hash,
+        first_broken_link: firstBrokenLink,
+      },
     });
   } catch (error) {
-    logger.error(`Error retrieving audit logs for tenant ${tenantId}: ${error.message}`, { stack: error.stack });
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    logger.error(
+      `Error verifying audit log chain for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
     next(error);
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
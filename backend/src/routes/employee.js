@@ -1,50 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const knex = require('../config/db'); // Assuming db.js exports knex instance
+const { pool } = require('../config/db');
 const { checkJwt, syncUser, checkRoleAdmin } = require('../middleware/auth'); // Assuming auth middleware
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
+const { logAuditAction } = require('../utils/auditLogger');
 
 // TODO: Add input validation middleware (e.g., express-validator)
 
 // POST /employees - Create a new employee
-router.post('/', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
+router.post('/', checkJwt, syncUser, checkRoleAdmin, async (req, res, next) => {
   const { email, first_name, last_name } = req.body;
-  const { tenant_id, user_id: created_by } = req.auth.payload; // tenant_id and user_id from JWT
+  const tenantId = req.user?.tenantId;
+  const createdBy = req.user?.id;
 
   if (!email || !first_name || !last_name) {
-    return res.status(400).json({ success: false, error: { message: 'Email, first name, and last name are required.' } });
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'Email, first name, and last name are required.',
+      },
+    });
   }
 
   try {
-    // Check if employee with this email already exists for the tenant (and not soft-deleted)
-    const existingEmployee = await knex('employees')
-      .where({ tenant_id, email, deleted_at: null })
-      .first();
+    const client = await pool.connect();
+    let newEmployee;
+    try {
+      await client.query('BEGIN');
+
+      // Check if employee with this email already exists for the tenant (and not soft-deleted)
+      const existingResult = await client.query(
+        'SELECT 1 FROM employees WHERE tenant_id = $1 AND email = $2 AND deleted_at IS NULL',
+        [tenantId, email]
+      );
+      if (existingResult.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CONFLICT',
+            message: 'Employee with this email already exists.',
+          },
+        });
+      }
 
-    if (existingEmployee) {
-      return res.status(409).json({ success: false, error: { message: 'Employee with this email already exists.' } });
+      const employeeResult = await client.query(
+        `INSERT INTO employees (employee_id, tenant_id, email, first_name, last_name, status, created_by)
+         VALUES ($1, $2, $3, $4, $5, 'active', $6)
+         RETURNING *`,
+        [uuidv4(), tenantId, email, first_name, last_name, createdBy]
+      );
+      newEmployee = employeeResult.rows[0];
+
+      await logAuditAction({
+        tenantId,
+        userId: createdBy,
+        actionType: 'EMPLOYEE_CREATE',
+        entityType: 'employee',
+        entityId: newEmployee.employee_id,
+        details: { before: null, after: newEmployee },
+        dbClient: client,
+      });
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
     }
 
-    const employee_id = uuidv4();
-    const newEmployee = {
-      employee_id,
-      tenant_id,
-      email,
-      first_name,
-      last_name,
-      status: 'active', // Default status
-      created_by,
-      created_at: new Date().toISOString(),
-    };
-
-    await knex('employees').insert(newEmployee);
-    logger.info(`Employee created: ${employee_id} by user ${created_by} for tenant ${tenant_id}`);
-    // TODO: Add audit log entry
+    logger.info(
+      `Employee created: ${newEmployee.employee_id} by user ${createdBy} for tenant ${tenantId}`
+    );
     res.status(201).json({ success: true, data: newEmployee });
   } catch (error) {
-    logger.error('Error creating employee:', error);
-    res.status(500).json({ success: false, error: { message: 'Failed to create employee.', details: error.message } });
+    logger.error(
+      `Error creating employee for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
   }
 });
 
@@ -55,16 +93,18 @@ router.get('/', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
   try {
-    let query = knex('employees')
-      .where({ tenant_id, deleted_at: null });
+    let query = knex('employees').where({ tenant_id, deleted_at: null });
 
     if (status) {
       query = query.andWhere({ status });
     }
 
     const totalEmployees = await query.clone().count({ count: '*' }).first();
-    const employees = await query.limit(parseInt(limit)).offset(offset).orderBy('created_at', 'desc');
-    
+    const employees = await query
+      .limit(parseInt(limit))
+      .offset(offset)
+      .orderBy('created_at', 'desc');
+
     res.json({
       success: true,
       data: {
@@ -79,265 +119,677 @@ router.get('/', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching employees:', error);
-    res.status(500).json({ success: false, error: { message: 'Failed to fetch employees.', details: error.message } });
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch employees.',
+        details: error.message,
+      },
+    });
   }
 });
 
 // GET /employees/:employee_id - Get employee details
-router.get('/:employee_id', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { tenant_id } = req.auth.payload;
-  const { employee_id } = req.params;
-
-  try {
-    const employee = await knex('employees')
-      .where({ tenant_id, employee_id, deleted_at: null })
-      .first();
+router.get(
+  '/:employee_id',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res) => {
+    const { tenant_id } = req.auth.payload;
+    const { employee_id } = req.params;
+
+    try {
+      const employee = await knex('employees')
+        .where({ tenant_id, employee_id, deleted_at: null })
+        .first();
 
-    if (!employee) {
-      return res.status(404).json({ success: false, error: { message: 'Employee not found.' } });
+      if (!employee) {
+        return res
+          .status(404)
+          .json({ success: false, error: { message: 'Employee not found.' } });
+      }
+      res.json({ success: true, data: employee });
+    } catch (error) {
+      logger.error(`Error fetching employee ${employee_id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch employee.',
+          details: error.message,
+        },
+      });
     }
-    res.json({ success: true, data: employee });
-  } catch (error) {
-    logger.error(`Error fetching employee ${employee_id}:`, error);
-    res.status(500).json({ success: false, error: { message: 'Failed to fetch employee.', details: error.message } });
   }
-});
+);
 
 // PATCH /employees/:employee_id - Update employee
-router.patch('/:employee_id', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { tenant_id, user_id: updated_by } = req.auth.payload; // user_id for audit if needed
-  const { employee_id } = req.params;
-  const { email, first_name, last_name, status } = req.body;
-
-  // Construct update object with only provided fields
-  const updateData = {};
-  if (email) updateData.email = email;
-  if (first_name) updateData.first_name = first_name;
-  if (last_name) updateData.last_name = last_name;
-  if (status) updateData.status = status;
-
-  if (Object.keys(updateData).length === 0) {
-    return res.status(400).json({ success: false, error: { message: 'No update fields provided.' } });
-  }
-
-  try {
-    // If email is being updated, check for uniqueness
-    if (email) {
-      const existingEmployee = await knex('employees')
-        .where({ tenant_id, email, deleted_at: null })
-        .whereNot({ employee_id })
-        .first();
-      if (existingEmployee) {
-        return res.status(409).json({ success: false, error: { message: 'Another employee with this email already exists.' } });
-      }
+router.patch(
+  '/:employee_id',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const updatedBy = req.user?.id;
+    const { employee_id } = req.params;
+    const { email, first_name, last_name, status } = req.body;
+
+    // Construct update object with only provided fields
+    const updateData = {};
+    if (email) updateData.email = email;
+    if (first_name) updateData.first_name = first_name;
+    if (last_name) updateData.last_name = last_name;
+    if (status) updateData.status = status;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'BAD_REQUEST', message: 'No update fields provided.' },
+      });
     }
+    if (status && !['active', 'inactive'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'BAD_REQUEST', message: 'Invalid status specified.' },
+      });
+    }
+
+    try {
+      const client = await pool.connect();
+      let updatedEmployee;
+      try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+          'SELECT * FROM employees WHERE tenant_id = $1 AND employee_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [tenantId, employee_id]
+        );
+        if (existingResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'Employee not found.' },
+          });
+        }
 
-    const updatedCount = await knex('employees')
-      .where({ tenant_id, employee_id, deleted_at: null })
-      .update(updateData);
+        // If email is being updated, check for uniqueness
+        if (email) {
+          const duplicateResult = await client.query(
+            'SELECT 1 FROM employees WHERE tenant_id = $1 AND email = $2 AND employee_id <> $3 AND deleted_at IS NULL',
+            [tenantId, email, employee_id]
+          );
+          if (duplicateResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+              success: false,
+              error: {
+                code: 'CONFLICT',
+                message: 'Another employee with this email already exists.',
+              },
+            });
+          }
+        }
 
-    if (updatedCount === 0) {
-      return res.status(404).json({ success: false, error: { message: 'Employee not found or no changes made.' } });
-    }
+        const fields = Object.keys(updateData);
+        const updateResult = await client.query(
+          `UPDATE employees
+         SET ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')}
+         WHERE tenant_id = $1 AND employee_id = $2
+         RETURNING *`,
+          [tenantId, employee_id, ...fields.map((field) => updateData[field])]
+        );
+        updatedEmployee = updateResult.rows[0];
+
+        await logAuditAction({
+          tenantId,
+          userId: updatedBy,
+          actionType: 'EMPLOYEE_UPDATE',
+          entityType: 'employee',
+          entityId: employee_id,
+          details: { before: existingResult.rows[0], after: updatedEmployee },
+          dbClient: client,
+        });
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
 
-    const updatedEmployee = await knex('employees').where({ employee_id }).first();
-    logger.info(`Employee updated: ${employee_id} by user ${updated_by} for tenant ${tenant_id}`);
-    // TODO: Add audit log entry
-    res.json({ success: true, data: updatedEmployee });
-  } catch (error) {
-    logger.error(`Error updating employee ${employee_id}:`, error);
-    res.status(500).json({ success: false, error: { message: 'Failed to update employee.', details: error.message } });
+      logger.info(
+        `Employee updated: ${employee_id} by user ${updatedBy} for tenant ${tenantId}`
+      );
+      res.json({ success: true, data: updatedEmployee });
+    } catch (error) {
+      logger.error(`Error updating employee ${employee_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
+    }
   }
-});
+);
 
 // DELETE /employees/:employee_id - Soft delete employee
-router.delete('/:employee_id', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { tenant_id, user_id: deleted_by } = req.auth.payload;
-  const { employee_id } = req.params;
+router.delete(
+  '/:employee_id',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const deletedBy = req.user?.id;
+    const { employee_id } = req.params;
+
+    try {
+      // Check if there are active grants for this employee
+      // const activeGrants = await knex('grants')
+      //   .where({ tenant_id, employee_id, status: 'active', deleted_at: null })
+      //   .first();
+      // if (activeGrants) {
+      //   return res.status(400).json({ success: false, error: { message: 'Cannot delete employee with active grants. Terminate grants first.' } });
+      // }
+      // Note: SPECIFICATION.md does not explicitly state this check for employee deletion.
+      // Soft deleting an employee might just mark them as inactive, grants might remain or be handled separately.
+      // For now, proceeding with simple soft delete.
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+          'SELECT * FROM employees WHERE tenant_id = $1 AND employee_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [tenantId, employee_id]
+        );
+        if (existingResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'Employee not found.' },
+          });
+        }
 
-  try {
-    // Check if there are active grants for this employee
-    // const activeGrants = await knex('grants')
-    //   .where({ tenant_id, employee_id, status: 'active', deleted_at: null })
-    //   .first();
-    // if (activeGrants) {
-    //   return res.status(400).json({ success: false, error: { message: 'Cannot delete employee with active grants. Terminate grants first.' } });
-    // }
-    // Note: SPECIFICATION.md does not explicitly state this check for employee deletion.
-    // Soft deleting an employee might just mark them as inactive, grants might remain or be handled separately.
-    // For now, proceeding with simple soft delete.
-
-    const updatedCount = await knex('employees')
-      .where({ tenant_id, employee_id, deleted_at: null })
-      .update({ deleted_at: new Date().toISOString(), status: 'inactive' }); // Also set status to inactive
-
-    if (updatedCount === 0) {
-      return res.status(404).json({ success: false, error: { message: 'Employee not found.' } });
+        await client.query(
+          "UPDATE employees SET deleted_at = NOW(), status = 'inactive' WHERE tenant_id = $1 AND employee_id = $2", // Also set status to inactive
+          [tenantId, employee_id]
+        );
+
+        await logAuditAction({
+          tenantId,
+          userId: deletedBy,
+          actionType: 'EMPLOYEE_DELETE',
+          entityType: 'employee',
+          entityId: employee_id,
+          details: { before: existingResult.rows[0], after: null },
+          dbClient: client,
+        });
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      logger.info(
+        `Employee soft-deleted: ${employee_id} by user ${deletedBy} for tenant ${tenantId}`
+      );
+      res.json({
+        success: true,
+        data: { message: 'Employee deactivated successfully.' },
+      });
+    } catch (error) {
+      logger.error(`Error deleting employee ${employee_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
     }
-    
-    logger.info(`Employee soft-deleted: ${employee_id} by user ${deleted_by} for tenant ${tenant_id}`);
-    // TODO: Add audit log entry
-    res.json({ success: true, data: { message: 'Employee deactivated successfully.' } });
-  } catch (error) {
-    logger.error(`Error deleting employee ${employee_id}:`, error);
-    res.status(500).json({ success: false, error: { message: 'Failed to delete employee.', details: error.message } });
   }
-});
+);
+
+// PUT /employees/:employee_id/user - Link a user account to the employee record
+// The link decides which grants the user sees as their own. Once an admin links or unlinks an employee,
+// syncUser no longer links it automatically by email.
+router.put(
+  '/:employee_id/user',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const linkedBy = req.user?.id;
+    const { employee_id } = req.params;
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'BAD_REQUEST', message: 'user_id is required.' },
+      });
+    }
 
-// POST /employees/bulk - Bulk create employees
-router.post('/bulk', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { employees: employeeList } = req.body;
-  const { tenant_id, user_id: created_by } = req.auth.payload;
+    try {
+      const client = await pool.connect();
+      let linkedEmployee;
+      try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+          'SELECT * FROM employees WHERE tenant_id = $1 AND employee_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [tenantId, employee_id]
+        );
+        if (existingResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'Employee not found.' },
+          });
+        }
+        const existingEmployee = existingResult.rows[0];
+
+        const userResult = await client.query(
+          'SELECT 1 FROM user_accounts WHERE tenant_id = $1 AND user_id = $2 AND deleted_at IS NULL',
+          [tenantId, user_id]
+        );
+        if (userResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'User not found.' },
+          });
+        }
 
-  if (!Array.isArray(employeeList) || employeeList.length === 0) {
-    return res.status(400).json({ success: false, error: { message: 'Input must be a non-empty array of employees.' } });
-  }
+        if (existingEmployee.user_id && existingEmployee.user_id !== user_id) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'CONFLICT',
+              message:
+                'Employee is already linked to another user. Unlink it first.',
+            },
+          });
+        }
+        const otherLinkResult = await client.query(
+          'SELECT employee_id FROM employees WHERE user_id = $1 AND employee_id <> $2 AND deleted_at IS NULL',
+          [user_id, employee_id]
+        );
+        if (otherLinkResult.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'CONFLICT',
+              message: 'User is already linked to another employee.',
+            },
+          });
+        }
 
-  if (employeeList.length > 100) { // As per api.yml maxItems
-    return res.status(400).json({ success: false, error: { message: 'Cannot create more than 100 employees at a time.' } });
+        const linkResult = await client.query(
+          'UPDATE employees SET user_id = $3, user_link_locked = true WHERE tenant_id = $1 AND employee_id = $2 RETURNING *',
+          [tenantId, employee_id, user_id]
+        );
+        linkedEmployee = linkResult.rows[0];
+
+        await logAuditAction({
+          tenantId,
+          userId: linkedBy,
+          actionType: 'EMPLOYEE_LINK_USER',
+          entityType: 'employee',
+          entityId: employee_id,
+          details: { before: existingEmployee, after: linkedEmployee },
+          dbClient: client,
+        });
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        // A concurrent request linked the user to another employee (idx_employees_user_id_unique)
+        if (txError.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'CONFLICT',
+              message: 'User is already linked to another employee.',
+            },
+          });
+        }
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      logger.info(
+        `Employee ${employee_id} linked to user ${user_id} by user ${linkedBy} for tenant ${tenantId}`
+      );
+      res.json({ success: true, data: linkedEmployee });
+    } catch (error) {
+      logger.error(
+        `Error linking employee ${employee_id} to user ${user_id}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
+    }
   }
+);
+
+// DELETE /employees/:employee_id/user - Unlink the user account from the employee record
+router.delete(
+  '/:employee_id/user',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const unlinkedBy = req.user?.id;
+    const { employee_id } = req.params;
+
+    try {
+      const client = await pool.connect();
+      let unlinkedEmployee;
+      try {
+        await client.query('BEGIN');
+
+        const existingResult = await client.query(
+          'SELECT * FROM employees WHERE tenant_id = $1 AND employee_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [tenantId, employee_id]
+        );
+        if (existingResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'Employee not found.' },
+          });
+        }
+        if (!existingResult.rows[0].user_id) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: 'CONFLICT',
+              message: 'Employee is not linked to a user.',
+            },
+          });
+        }
 
-  const createdEmployees = [];
-  const errors = [];
+        // Locked so the user is not linked again by email on their next request
+        const unlinkResult = await client.query(
+          'UPDATE employees SET user_id = NULL, user_link_locked = true WHERE tenant_id = $1 AND employee_id = $2 RETURNING *',
+          [tenantId, employee_id]
+        );
+        unlinkedEmployee = unlinkResult.rows[0];
+
+        await logAuditAction({
+          tenantId,
+          userId: unlinkedBy,
+          actionType: 'EMPLOYEE_UNLINK_USER',
+          entityType: 'employee',
+          entityId: employee_id,
+          details: { before: existingResult.rows[0], after: unlinkedEmployee },
+          dbClient: client,
+        });
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
 
-  // Validate all employees first
-  for (let i = 0; i < employeeList.length; i++) {
-    const emp = employeeList[i];
-    if (!emp.email || !emp.first_name || !emp.last_name) {
-      errors.push({ index: i, message: 'Missing required fields (email, first_name, last_name).' });
+      logger.info(
+        `Employee ${employee_id} unlinked from its user by user ${unlinkedBy} for tenant ${tenantId}`
+      );
+      res.json({ success: true, data: unlinkedEmployee });
+    } catch (error) {
+      logger.error(
+        `Error unlinking employee ${employee_id}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
     }
-    // Add more validation if needed (e.g., email format)
   }
+);
 
-  if (errors.length > 0) {
-    return res.status(400).json({ success: false, error: { message: 'Validation errors in employee list.', details: errors } });
-  }
+// POST /employees/bulk - Bulk create employees
+router.post(
+  '/bulk',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const { employees: employeeList } = req.body;
+    const tenantId = req.user?.tenantId;
+    const createdBy = req.user?.id;
+
+    if (!Array.isArray(employeeList) || employeeList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Input must be a non-empty array of employees.',
+        },
+      });
+    }
 
-  try {
-    await knex.transaction(async (trx) => {
-      for (let i = 0; i < employeeList.length; i++) {
-        const empData = employeeList[i];
-        
-        // Check for existing email within this tenant
-        const existingEmployee = await trx('employees')
-          .where({ tenant_id, email: empData.email, deleted_at: null })
-          .first();
-
-        if (existingEmployee) {
-          errors.push({ email: empData.email, message: 'Employee with this email already exists.' });
-          continue; // Skip this employee
-        }
+    if (employeeList.length > 100) {
+      // As per api.yml maxItems
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Cannot create more than 100 employees at a time.',
+        },
+      });
+    }
 
-        const employee_id = uuidv4();
-        const newEmployee = {
-          employee_id,
-          tenant_id,
-          email: empData.email,
-          first_name: empData.first_name,
-          last_name: empData.last_name,
-          status: 'active',
-          created_by,
-          created_at: new Date().toISOString(),
-        };
-        
-        await trx('employees').insert(newEmployee);
-        createdEmployees.push(newEmployee); // Add successfully created employee (without sensitive data if any)
-        // TODO: Add audit log entry for each creation
+    const createdEmployees = [];
+    const errors = [];
+
+    // Validate all employees first
+    for (let i = 0; i < employeeList.length; i++) {
+      const emp = employeeList[i];
+      if (!emp.email || !emp.first_name || !emp.last_name) {
+        errors.push({
+          index: i,
+          message: 'Missing required fields (email, first_name, last_name).',
+        });
       }
+      // Add more validation if needed (e.g., email format)
+    }
 
-      // If any errors occurred (e.g. duplicates found mid-transaction),
-      // we might choose to roll back or report partial success.
-      // For now, if any non-insert error happens, trx will roll back.
-      // Duplicate errors are collected and reported.
-    });
-
-    logger.info(`${createdEmployees.length} employees bulk created for tenant ${tenant_id} by user ${created_by}. ${errors.length} skipped.`);
-    
-    if (errors.length > 0 && createdEmployees.length === 0) {
-      // All failed due to duplicates or other pre-insert checks handled by continuing
-      return res.status(409).json({ success: false, error: { message: 'All employees in bulk request failed processing.', details: errors } });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Validation errors in employee list.',
+          details: errors,
+        },
+      });
     }
-    
-    // Partial success or full success
-    res.status(201).json({ 
-      success: true, 
-      data: { 
-        created_count: createdEmployees.length, 
-        employees: createdEmployees,
-        errors: errors.length > 0 ? errors : undefined // Only include errors if there are any
-      } 
-    });
 
-  } catch (error) {
-    logger.error('Error during bulk employee creation:', error);
-    res.status(500).json({ success: false, error: { message: 'Failed during bulk employee creation.', details: error.message } });
-  }
-});
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        for (let i = 0; i < employeeList.length; i++) {
+          const empData = employeeList[i];
+
+          // Check for existing email within this tenant
+          const existingResult = await client.query(
+            'SELECT 1 FROM employees WHERE tenant_id = $1 AND email = $2 AND deleted_at IS NULL',
+            [tenantId, empData.email]
+          );
+
+          if (existingResult.rows.length > 0) {
+            errors.push({
+              email: empData.email,
+              message: 'Employee with this email already exists.',
+            });
+            continue; // Skip this employee
+          }
+
+          const employeeResult = await client.query(
+            `INSERT INTO employees (employee_id, tenant_id, email, first_name, last_name, status, created_by)
+           VALUES ($1, $2, $3, $4, $5, 'active', $6)
+           RETURNING *`,
+            [
+              uuidv4(),
+              tenantId,
+              empData.email,
+              empData.first_name,
+              empData.last_name,
+              createdBy,
+            ]
+          );
+          const newEmployee = employeeResult.rows[0];
+
+          await logAuditAction({
+            tenantId,
+            userId: createdBy,
+            actionType: 'EMPLOYEE_CREATE',
+            entityType: 'employee',
+            entityId: newEmployee.employee_id,
+            details: { before: null, after: newEmployee, bulk: { index: i } },
+            dbClient: client,
+          });
+
+          createdEmployees.push(newEmployee); // Add successfully created employee (without sensitive data if any)
+        }
 
-// GET /employees/:employee_id/grants-summary - Get employee grants summary
-router.get('/:employee_id/grants-summary', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { tenant_id } = req.auth.payload;
-  const { employee_id } = req.params;
+        // Duplicates are skipped and reported; any other error rolls back the whole request.
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
 
-  try {
-    // Fetch employee to ensure they exist and belong to the tenant
-    const employee = await knex('employees')
-      .where({ tenant_id, employee_id, deleted_at: null })
-      .first();
+      logger.info(
+        `${createdEmployees.length} employees bulk created for tenant ${tenantId} by user ${createdBy}. ${errors.length} skipped.`
+      );
+
+      if (errors.length > 0 && createdEmployees.length === 0) {
+        // All failed due to duplicates or other pre-insert checks handled by continuing
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CONFLICT',
+            message: 'All employees in bulk request failed processing.',
+            details: errors,
+          },
+        });
+      }
 
-    if (!employee) {
-      return res.status(404).json({ success: false, error: { message: 'Employee not found.' } });
+      // Partial success or full success
+      res.status(201).json({
+        success: true,
+        data: {
+          created_count: createdEmployees.length,
+          employees: createdEmployees,
+          errors: errors.length > 0 ? errors : undefined, // Only include errors if there are any
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Error during bulk employee creation for tenant ${tenantId}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
     }
+  }
+);
+
+// GET /employees/:employee_id/grants-summary - Get employee grants summary
+router.get(
+  '/:employee_id/grants-summary',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res) => {
+    const { tenant_id } = req.auth.payload;
+    const { employee_id } = req.params;
+
+    try {
+      // Fetch employee to ensure they exist and belong to the tenant
+      const employee = await knex('employees')
+        .where({ tenant_id, employee_id, deleted_at: null })
+        .first();
 
-    // Fetch all active grants for this employee
-    const grants = await knex('grants')
-      .where({ tenant_id, employee_id, status: 'active', deleted_at: null })
-      .orderBy('grant_date', 'desc');
+      if (!employee) {
+        return res
+          .status(404)
+          .json({ success: false, error: { message: 'Employee not found.' } });
+      }
 
-    let total_shares = 0;
-    let total_vested = 0;
+      // Fetch all active grants for this employee
+      const grants = await knex('grants')
+        .where({ tenant_id, employee_id, status: 'active', deleted_at: null })
+        .orderBy('grant_date', 'desc');
+
+      let total_shares = 0;
+      let total_vested = 0;
+
+      grants.forEach((grant) => {
+        total_shares += parseFloat(grant.share_amount);
+        total_vested += parseFloat(grant.vested_amount);
+      });
+      total_shares = parseFloat(total_shares.toFixed(3));
+      total_vested = parseFloat(total_vested.toFixed(3));
+      const total_unvested = parseFloat(
+        (total_shares - total_vested).toFixed(3)
+      );
+
+      // Fetch current PPS
+      let currentPPSValue = '0.000';
+      const ppsRecord = await knex('pps_history')
+        .where('tenant_id', tenant_id)
+        .andWhere('effective_date', '<=', knex.fn.now())
+        .orderBy([
+          { column: 'effective_date', order: 'desc' },
+          { column: 'created_at', order: 'desc' },
+        ])
+        .first();
+      if (ppsRecord) {
+        currentPPSValue = ppsRecord.price_per_share;
+      }
 
-    grants.forEach(grant => {
-      total_shares += parseFloat(grant.share_amount);
-      total_vested += parseFloat(grant.vested_amount);
-    });
-    total_shares = parseFloat(total_shares.toFixed(3));
-    total_vested = parseFloat(total_vested.toFixed(3));
-    const total_unvested = parseFloat((total_shares - total_vested).toFixed(3));
-
-    // Fetch current PPS
-    let currentPPSValue = '0.000';
-    const ppsRecord = await knex('pps_history')
-      .where('tenant_id', tenant_id)
-      .andWhere('effective_date', '<=', knex.fn.now())
-      .orderBy([
-        { column: 'effective_date', order: 'desc' },
-        { column: 'created_at', order: 'desc' }
-      ])
-      .first();
-    if (ppsRecord) {
-      currentPPSValue = ppsRecord.price_per_share;
+      const total_vested_value = parseFloat(
+        (total_vested * parseFloat(currentPPSValue)).toFixed(3)
+      );
+
+      const summaryData = {
+        employee_id,
+        total_grants: grants.length,
+        total_shares: total_shares.toFixed(3),
+        total_vested: total_vested.toFixed(3),
+        total_unvested: total_unvested.toFixed(3),
+        current_pps: currentPPSValue,
+        total_vested_value: total_vested_value.toFixed(3),
+        grants: grants, // Include the full grant objects
+      };
+
+      res.json({ success: true, data: summaryData });
+    } catch (error) {
+      logger.error(
+        `Error fetching grants summary for employee ${employee_id}:`,
+        error
+      );
+      res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch grants summary.',
+          details: error.message,
+        },
+      });
     }
-    
-    const total_vested_value = parseFloat((total_vested * parseFloat(currentPPSValue)).toFixed(3));
-
-    const summaryData = {
-      employee_id,
-      total_grants: grants.length,
-      total_shares: total_shares.toFixed(3),
-      total_vested: total_vested.toFixed(3),
-      total_unvested: total_unvested.toFixed(3),
-      current_pps: currentPPSValue,
-      total_vested_value: total_vested_value.toFixed(3),
-      grants: grants, // Include the full grant objects
-    };
-
-    res.json({ success: true, data: summaryData });
-
-  } catch (error) {
-    logger.error(`Error fetching grants summary for employee ${employee_id}:`, error);
-    res.status(500).json({ success: false, error: { message: 'Failed to fetch grants summary.', details: error.message } });
   }
-});
+);
 
 module.exports = router;
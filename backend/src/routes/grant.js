@@ -1,183 +1,1604 @@
 const express = require('express');
 const router = express.Router();
-const knex = require('../config/db');
+const { pool } = require('../config/db');
 const { checkJwt, syncUser, checkRoleAdmin } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const logger = require('../config/logger');
+const { logAuditAction } = require('../utils/auditLogger');
+const {
+  buildVestingSchedule,
+  getTenantToday,
+  vestGrant,
+} = require('../utils/vestingEngine');
+const {
+  withSerializableTransaction,
+  resolvePoolId,
+  adjustPool,
+} = require('../utils/poolAdjustment');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const { isValidDate } = require('../utils/dates');
 
 // TODO: Input validation middleware
 
+/**
+ * Builds an error the central error handler turns into a JSON error response.
+ * Used inside transaction callbacks, which must throw instead of responding.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {string} code - API error code.
+ * @param {string} message - Error message.
+ * @returns {Error}
+ */
+function requestError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reads the grant version a client expects to modify, from the If-Match header
+ * (e.g. `"3"` or `W/"3"`) or a `version` field in the body.
+ *
+ * @param {object} req - The Express request.
+ * @returns {number|null} The expected version, null if none was sent, or NaN if it is malformed.
+ */
+function getExpectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  const raw =
+    ifMatch !== undefined
+      ? ifMatch.replace(/^W\//, '').replace(/"/g, '').trim()
+      : req.body?.version;
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  return /^\d+$/.test(String(raw)) ? parseInt(raw, 10) : NaN;
+}
+
 // POST /grants - Create a new grant
-router.post('/', checkJwt, syncUser, checkRoleAdmin, async (req, res) => {
-  const { employee_id, grant_date, share_amount } = req.body;
-  const { tenant_id, user_id: created_by } = req.auth.payload;
+// The pool is adjusted through sp_adjust_pool under SERIALIZABLE isolation, which rejects the grant if
+// share_amount exceeds Available. Tranches that have already elapsed (backdated grant_date) are vested
+// in the same transaction. pool_id names the pool the grant draws from and may be omitted while the tenant
+// has a single pool.
+router.post('/', checkJwt, syncUser, checkRoleAdmin, async (req, res, next) => {
+  const { employee_id, grant_date, share_amount, notes, pool_id } = req.body;
+  const tenantId = req.user?.tenantId;
+  const createdBy = req.user?.id;
 
   if (!employee_id || !grant_date || !share_amount) {
-    return res.status(400).json({ success: false, error: { message: 'Employee ID, grant date, and share amount are required.' } });
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'Employee ID, grant date, and share amount are required.',
+      },
+    });
+  }
+  if (!isValidDate(grant_date)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'grant_date must be a valid date (YYYY-MM-DD).',
+      },
+    });
   }
   if (isNaN(parseFloat(share_amount)) || parseFloat(share_amount) <= 0) {
-    return res.status(400).json({ success: false, error: { message: 'Share amount must be a positive number.' } });
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'Share amount must be a positive number.',
+      },
+    });
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'notes must be a string or null.',
+      },
+    });
+  }
+  if (pool_id !== undefined && pool_id !== null && !uuidValidate(pool_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'pool_id must be a valid UUID.',
+      },
+    });
   }
 
   try {
     // Ensure employee exists and belongs to the tenant
-    const employee = await knex('employees')
-      .where({ employee_id, tenant_id, deleted_at: null, status: 'active' })
-      .first();
-    if (!employee) {
-      return res.status(404).json({ success: false, error: { message: 'Active employee not found for this tenant.' } });
-    }
-    
-    // Use sp_adjust_pool for grant creation (which should check available shares)
-    // This stored procedure needs to be updated/created to handle grant deductions.
-    // For now, assuming it exists and works. The spec says:
-    // "POST /grants uses sp_adjust_pool (updated to handle grant creation) with SERIALIZABLE isolation and validates share_amount <= Available."
-
-    let newGrant;
-    await knex.transaction(async (trx) => {
-      // Placeholder for sp_adjust_pool logic or direct check
-      // Fetch current pool state
-      const pool = await trx('equity_pools').where({ tenant_id }).first();
-      if (!pool) {
-        throw new Error('Equity pool not found for this tenant.');
-      }
-      const availableShares = parseFloat(pool.total_pool) - parseFloat(pool.granted_shares || 0) + parseFloat(pool.returned_shares || 0);
-      
-      if (parseFloat(share_amount) > availableShares) {
-        throw new Error(`Not enough available shares in the pool. Available: ${availableShares}, Requested: ${share_amount}`);
-      }
+    const employeeResult = await pool.query(
+      "SELECT employee_id FROM employees WHERE employee_id = $1 AND tenant_id = $2 AND deleted_at IS NULL AND status = 'active'",
+      [employee_id, tenantId]
+    );
+    if (employeeResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Active employee not found for this tenant.',
+        },
+      });
+    }
 
-      const grant_id = uuidv4();
-      newGrant = {
-        grant_id,
-        tenant_id,
-        employee_id,
-        grant_date,
-        share_amount: parseFloat(share_amount).toFixed(3),
-        vested_amount: '0.000', // Default
-        status: 'active',       // Default
-        version: 0,             // Default
-        created_by,
-        created_at: new Date().toISOString(),
-        unvested_shares_returned: '0.000' // Default
-      };
-
-      await trx('grants').insert(newGrant);
-
-      // Update pool's granted_shares (simplified, actual logic should be in sp_adjust_pool)
-      // This is a conceptual update; sp_adjust_pool should handle this atomically.
-      // For now, we'll assume sp_adjust_pool is called or its logic is replicated.
-      // If sp_adjust_pool is not yet updated for grants, this direct update is risky.
-      // For the purpose of this step, we'll simulate the effect.
-      await trx('equity_pools')
-        .where({ pool_id: pool.pool_id })
-        .increment('granted_shares', parseFloat(share_amount));
-
-      // TODO: Add audit log entry
-    });
-    
-    logger.info(`Grant created: ${newGrant.grant_id} for employee ${employee_id} by user ${created_by}`);
-    res.status(201).json({ success: true, data: newGrant });
+    const { newGrant, vesting, poolMetrics } =
+      await withSerializableTransaction(async (client) => {
+        const poolId = await resolvePoolId(client, tenantId, pool_id);
+
+        const grantResult = await client.query(
+          `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *, grant_date::text AS grant_date`,
+          [
+            uuidv4(),
+            tenantId,
+            poolId,
+            employee_id,
+            grant_date,
+            parseFloat(share_amount).toFixed(3),
+            notes || null,
+            createdBy,
+          ]
+        );
+        const grant = grantResult.rows[0];
+
+        const metrics = await adjustPool(client, {
+          poolId,
+          tenantId,
+          operation: 'grant',
+          amount: grant.share_amount,
+          userId: createdBy,
+          grantId: grant.grant_id,
+        });
 
+        // Vest any tranches that have already elapsed as of today in the tenant's timezone
+        const today = await getTenantToday(client, tenantId);
+        const grantVesting = await vestGrant(client, grant, today, createdBy);
+        grant.vested_amount = grantVesting.vestedAmount;
+        grant.version = grantVesting.version;
+        grant.share_amount = parseFloat(grant.share_amount).toFixed(3);
+        grant.unvested_shares_returned = parseFloat(
+          grant.unvested_shares_returned
+        ).toFixed(3);
+
+        await logAuditAction({
+          tenantId,
+          userId: createdBy,
+          actionType: 'GRANT_CREATE',
+          entityType: 'grant',
+          entityId: grant.grant_id,
+          details: {
+            before: null,
+            after: grant,
+            request: req.body,
+            createdEvents: grantVesting.createdEvents,
+          },
+          dbClient: client,
+        });
+
+        return { newGrant: grant, vesting: grantVesting, poolMetrics: metrics };
+      });
+
+    logger.info(
+      `Grant created: ${newGrant.grant_id} for employee ${employee_id} by user ${createdBy} (${vesting.createdEvents.length} vesting events created, ${poolMetrics.available_shares} shares available)`
+    );
+    res.status(201).json({ success: true, data: newGrant });
   } catch (error) {
-    logger.error('Error creating grant:', { error: error.message, stack: error.stack });
-    res.status(error.message.startsWith('Not enough available shares') ? 400 : 500)
-       .json({ success: false, error: { message: error.message || 'Failed to create grant.' } });
+    logger.error(
+      `Error creating grant for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
   }
 });
 
 // GET /grants - List grants
-router.get('/', checkJwt, syncUser, async (req, res) => {
-  const { tenant_id, user_id, roles } = req.auth.payload;
-  const { page = 1, limit = 20, status, employee_id: query_employee_id } = req.query;
+// Non-admins only see the grants of the employee record linked to their user account.
+router.get('/', checkJwt, syncUser, async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    employee_id: query_employee_id,
+    pool_id,
+  } = req.query;
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
+  if (
+    isNaN(parseInt(page)) ||
+    isNaN(parseInt(limit)) ||
+    parseInt(page) < 1 ||
+    parseInt(limit) < 1 ||
+    parseInt(limit) > 100
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'Invalid pagination parameters.',
+      },
+    });
+  }
+  if (query_employee_id !== undefined && !uuidValidate(query_employee_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'employee_id must be a valid UUID.',
+      },
+    });
+  }
+  if (pool_id !== undefined && !uuidValidate(pool_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'pool_id must be a valid UUID.',
+      },
+    });
+  }
+
   try {
-    let query = knex('grants').where({ 'grants.tenant_id': tenant_id, 'grants.deleted_at': null });
-
-    // If user is not admin, they can only see their own grants (linked via user_id -> employee_id)
-    // This requires a link between user_accounts.user_id and employees.employee_id,
-    // or user_accounts.email to employees.email.
-    // Assuming user_accounts.email maps to employees.email for non-admins.
-    if (!roles.includes('admin')) {
-      const currentUserEmployee = await knex('employees')
-        .where({ tenant_id, email: req.auth.payload.email, deleted_at: null, status: 'active' })
-        .first();
-      if (!currentUserEmployee) {
-        return res.json({ success: true, data: { items: [], pagination: { total_items: 0, total_pages: 0, current_page: 1, limit: parseInt(limit) } } });
+    const queryParams = [tenantId];
+    let filterClause = '';
+
+    if (req.user.role !== 'admin') {
+      const employee = await findEmployeeForUser(req.user.id, tenantId);
+      if (!employee) {
+        return res.json({
+          success: true,
+          data: {
+            items: [],
+            pagination: {
+              total_items: 0,
+              total_pages: 0,
+              current_page: 1,
+              limit: parseInt(limit),
+            },
+          },
+        });
       }
-      query = query.andWhere({ 'grants.employee_id': currentUserEmployee.employee_id });
-    } else if (query_employee_id) { // Admin can filter by employee_id
-      query = query.andWhere({ 'grants.employee_id': query_employee_id });
+      queryParams.push(employee.employee_id);
+      filterClause += ` AND g.employee_id = $${queryParams.length}`;
+    } else if (query_employee_id) {
+      // Admin can filter by employee_id
+      queryParams.push(query_employee_id);
+      filterClause += ` AND g.employee_id = $${queryParams.length}`;
     }
 
     if (status) {
-      query = query.andWhere({ 'grants.status': status });
+      queryParams.push(status);
+      filterClause += ` AND g.status = $${queryParams.length}`;
     }
-    
-    // Join with employees table to get employee names
-    query = query.join('employees', 'grants.employee_id', '=', 'employees.employee_id')
-                 .select('grants.*', 'employees.first_name', 'employees.last_name', 'employees.email as employee_email');
 
+    if (pool_id) {
+      queryParams.push(pool_id);
+      filterClause += ` AND g.pool_id = $${queryParams.length}`;
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS count FROM grants g WHERE g.tenant_id = $1 AND g.deleted_at IS NULL${filterClause}`,
+      queryParams
+    );
+    const grantsResult = await pool.query(
+      `SELECT g.*, e.first_name, e.last_name, e.email AS employee_email
+       FROM grants g
+       JOIN employees e ON e.employee_id = g.employee_id
+       WHERE g.tenant_id = $1 AND g.deleted_at IS NULL${filterClause}
+       ORDER BY g.grant_date DESC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, parseInt(limit), offset]
+    );
+    const totalItems = parseInt(countResult.rows[0].count);
 
-    const totalGrants = await query.clone().count({ count: 'grants.grant_id' }).first();
-    const grantsData = await query.limit(parseInt(limit)).offset(offset).orderBy('grants.grant_date', 'desc');
-    
     res.json({
       success: true,
       data: {
-        items: grantsData,
+        items: grantsResult.rows,
         pagination: {
-          total_items: parseInt(totalGrants.count),
-          total_pages: Math.ceil(totalGrants.count / limit),
+          total_items: totalItems,
+          total_pages: Math.ceil(totalItems / parseInt(limit)),
           current_page: parseInt(page),
           limit: parseInt(limit),
         },
       },
     });
   } catch (error) {
-    logger.error('Error fetching grants:', error);
-    res.status(500).json({ success: false, error: { message: 'Failed to fetch grants.', details: error.message } });
+    logger.error(
+      `Error fetching grants for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
   }
 });
 
 // GET /grants/:grant_id - Get grant details
-router.get('/:grant_id', checkJwt, syncUser, async (req, res) => {
-  const { tenant_id, user_id, roles } = req.auth.payload;
+router.get('/:grant_id', checkJwt, syncUser, async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
   const { grant_id } = req.params;
 
+  if (!uuidValidate(grant_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'grant_id must be a valid UUID.',
+      },
+    });
+  }
+
   try {
-    const grant = await knex('grants')
-      .join('employees', 'grants.employee_id', '=', 'employees.employee_id')
-      .where({ 'grants.tenant_id': tenant_id, 'grants.grant_id': grant_id, 'grants.deleted_at': null })
-      .select('grants.*', 'employees.first_name', 'employees.last_name', 'employees.email as employee_email')
-      .first();
+    const grantResult = await pool.query(
+      `SELECT g.*, e.first_name, e.last_name, e.email AS employee_email
+       FROM grants g
+       JOIN employees e ON e.employee_id = g.employee_id
+       WHERE g.tenant_id = $1 AND g.grant_id = $2 AND g.deleted_at IS NULL`,
+      [tenantId, grant_id]
+    );
+    const grant = grantResult.rows[0];
 
     if (!grant) {
-      return res.status(404).json({ success: false, error: { message: 'Grant not found.' } });
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Grant not found.' },
+      });
     }
 
     // If user is not admin, check if they own the grant
-    if (!roles.includes('admin')) {
-      const currentUserEmployee = await knex('employees')
-        .where({ tenant_id, email: req.auth.payload.email, deleted_at: null, status: 'active' })
-        .first();
-      if (!currentUserEmployee || grant.employee_id !== currentUserEmployee.employee_id) {
-        return res.status(403).json({ success: false, error: { message: 'Forbidden: You do not have access to this grant.' } });
+    if (req.user.role !== 'admin') {
+      const employee = await findEmployeeForUser(req.user.id, tenantId);
+      if (!employee || grant.employee_id !== employee.employee_id) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Forbidden: You do not have access to this grant.',
+          },
+        });
       }
     }
-    
-    // TODO: Fetch vesting_events if needed for detailed view, or rely on /grants/:grant_id/vesting-events
+
+    // Vesting events and the projected schedule are served by GET /grants/:grant_id/vesting-events
     res.json({ success: true, data: grant });
   } catch (error) {
-    logger.error(`Error fetching grant ${grant_id}:`, error);
-    res.status(500).json({ success: false, error: { message: 'Failed to fetch grant.', details: error.message } });
+    logger.error(`Error fetching grant ${grant_id}: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
   }
 });
 
+// POST /grants/:grant_id/calculate-vesting - Create the vesting events that have become due
+// Idempotent: only tranches without an existing event are created, up to today in the tenant's timezone,
+// or up to calculation_date (as_of_date is accepted as an alias, as in POST /vesting/batch-calculate).
+// grants.version (optimistic locking) ensures concurrent runs (API or batch job) never double-vest.
+router.post(
+  '/:grant_id/calculate-vesting',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const { grant_id } = req.params;
+    const calculation_date = req.body?.calculation_date ?? req.body?.as_of_date;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+
+    if (calculation_date !== undefined && !isValidDate(calculation_date)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'calculation_date must be a valid date (YYYY-MM-DD).',
+        },
+      });
+    }
+
+    try {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const grantResult = await client.query(
+          `SELECT grant_id, tenant_id, grant_date::text AS grant_date, share_amount, vested_amount,
+                status, termination_date::text AS termination_date, version
+         FROM grants
+         WHERE grant_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`, // Serializes with the daily vesting batch (worker.js)
+          [grant_id, tenantId]
+        );
+        if (grantResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({
+            success: false,
+            error: { code: 'NOT_FOUND', message: 'Grant not found.' },
+          });
+        }
+        const grant = grantResult.rows[0];
+
+        // Only periods that have elapsed relative to the tenant's "today" may vest
+        const today = await getTenantToday(client, tenantId);
+        if (calculation_date && calculation_date > today) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'BAD_REQUEST',
+              message: `calculation_date cannot be after the current date in the tenant's timezone (${today}).`,
+            },
+          });
+        }
+        const asOfDate = calculation_date || today;
+
+        const vesting = await vestGrant(client, grant, asOfDate, adminUserId);
+
+        if (vesting.createdEvents.length > 0) {
+          await logAuditAction({
+            tenantId,
+            userId: adminUserId,
+            actionType: 'VESTING_CALCULATE',
+            entityType: 'grant',
+            entityId: grant_id,
+            details: {
+              before: {
+                vested_amount: parseFloat(grant.vested_amount).toFixed(3),
+                version: grant.version,
+              },
+              after: {
+                vested_amount: vesting.vestedAmount,
+                version: vesting.version,
+              },
+              calculationDate: asOfDate,
+              createdEvents: vesting.createdEvents,
+            },
+            dbClient: client,
+          });
+        }
+
+        await client.query('COMMIT');
+
+        logger.info(
+          `Vesting calculated for grant ${grant_id} as of ${asOfDate} by user ${adminUserId}: ${vesting.createdEvents.length} events created`
+        );
+
+        res.json({
+          success: true,
+          data: {
+            grant_id,
+            share_amount: parseFloat(grant.share_amount).toFixed(3),
+            vested_amount: vesting.vestedAmount,
+            vesting_percentage: (
+              (parseFloat(vesting.vestedAmount) /
+                parseFloat(grant.share_amount)) *
+              100
+            ).toFixed(3),
+            version: vesting.version,
+            calculation_date: asOfDate,
+            is_terminated: grant.status === 'inactive',
+            termination_date: grant.termination_date,
+            vesting_events: vesting.createdEvents,
+          },
+        });
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      logger.error(
+        `Error calculating vesting for grant ${grant_id}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
+    }
+  }
+);
+
+// GET /grants/:grant_id/vesting-events - List realized vesting events plus the projected schedule
+// items: persisted events (paginated, filterable by vest_date) with pps_snapshot and value
+// schedule: every tranche of the 48-month schedule, flagged as vested, due, future or forfeited
+router.get(
+  '/:grant_id/vesting-events',
+  checkJwt,
+  syncUser,
+  async (req, res, next) => {
+    const { grant_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const { page = 1, limit = 50, from_date, to_date } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    if (!uuidValidate(grant_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'grant_id must be a valid UUID.',
+        },
+      });
+    }
+    // Input validation for pagination
+    if (
+      isNaN(parseInt(page)) ||
+      parseInt(page) < 1 ||
+      isNaN(parseInt(limit)) ||
+      parseInt(limit) < 1 ||
+      parseInt(limit) > 100
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Invalid pagination parameters',
+        },
+      });
+    }
+    if (
+      (from_date !== undefined && !isValidDate(from_date)) ||
+      (to_date !== undefined && !isValidDate(to_date))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'from_date and to_date must be valid dates (YYYY-MM-DD).',
+        },
+      });
+    }
+    if (
+      from_date !== undefined &&
+      to_date !== undefined &&
+      from_date > to_date
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'from_date cannot be after to_date.',
+        },
+      });
+    }
+
+    try {
+      const grantResult = await pool.query(
+        `SELECT grant_id, employee_id, grant_date::text AS grant_date, share_amount, vested_amount,
+              status, termination_date::text AS termination_date
+       FROM grants
+       WHERE grant_id = $1 AND tenant_id = $2 AND deleted_at IS NULL`,
+        [grant_id, tenantId]
+      );
+      if (grantResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Grant not found.' },
+        });
+      }
+      const grant = grantResult.rows[0];
+
+      // Employees may only view the schedule of their own grants
+      if (req.user.role !== 'admin') {
+        const employee = await findEmployeeForUser(req.user.id, tenantId);
+        if (!employee || employee.employee_id !== grant.employee_id) {
+          return res.status(403).json({
+            success: false,
+            error: {
+              code: 'FORBIDDEN',
+              message: 'Forbidden: You do not have access to this grant.',
+            },
+          });
+        }
+      }
+
+      // Build dynamic query for date filtering
+      const queryParams = [grant_id, tenantId];
+      let dateFilterClause = '';
+      if (from_date) {
+        queryParams.push(from_date);
+        dateFilterClause += ` AND vest_date >= $${queryParams.length}::date`;
+      }
+      if (to_date) {
+        queryParams.push(to_date);
+        dateFilterClause += ` AND vest_date <= $${queryParams.length}::date`;
+      }
+
+      const eventsQuery = `
+      SELECT
+        vesting_id, grant_id, tenant_id, vest_date::text AS vest_date, shares_vested,
+        pps_snapshot, ROUND(shares_vested * pps_snapshot, 3) AS vested_value, created_by, created_at
+      FROM vesting_events
+      WHERE grant_id = $1 AND tenant_id = $2${dateFilterClause}
+      ORDER BY vest_date ASC
+      LIMIT $${queryParams.length + 1}::integer OFFSET $${queryParams.length + 2}::integer
+    `;
+      const countQuery = `
+      SELECT COUNT(*) AS total_items
+      FROM vesting_events
+      WHERE grant_id = $1 AND tenant_id = $2${dateFilterClause}
+    `;
+
+      // All persisted events are needed to merge into the full schedule
+      const [eventsResult, countResult, allEventsResult, today, ppsResult] =
+        await Promise.all([
+          pool.query(eventsQuery, [...queryParams, parseInt(limit), offset]),
+          pool.query(countQuery, queryParams),
+          pool.query(
+            'SELECT vesting_id, vest_date::text AS vest_date, pps_snapshot FROM vesting_events WHERE grant_id = $1',
+            [grant_id]
+          ),
+          getTenantToday(pool, tenantId),
+          pool.query(
+            `SELECT price_per_share FROM pps_history
+         WHERE tenant_id = $1 AND effective_date <= (SELECT (NOW() AT TIME ZONE timezone)::date FROM tenants WHERE tenant_id = $1)
+           AND deleted_at IS NULL
+         ORDER BY effective_date DESC, created_at DESC
+         LIMIT 1`,
+            [tenantId]
+          ),
+        ]);
+
+      const formatDecimal = (value) =>
+        value === null ? null : parseFloat(value).toFixed(3);
+
+      const items = eventsResult.rows.map((event) => ({
+        ...event,
+        shares_vested: formatDecimal(event.shares_vested),
+        pps_snapshot: formatDecimal(event.pps_snapshot),
+        vested_value: formatDecimal(event.vested_value),
+      }));
+
+      const eventsByDate = new Map(
+        allEventsResult.rows.map((event) => [event.vest_date, event])
+      );
+      const schedule = buildVestingSchedule(
+        grant.grant_date,
+        grant.share_amount
+      ).map((tranche) => {
+        const event = eventsByDate.get(tranche.vest_date);
+        let trancheStatus;
+        if (event) {
+          trancheStatus = 'vested';
+        } else if (grant.status !== 'active') {
+          trancheStatus = 'forfeited'; // Terminated grants stop vesting
+        } else if (tranche.vest_date <= today) {
+          trancheStatus = 'due'; // Elapsed, waiting for calculate-vesting or the daily batch
+        } else {
+          trancheStatus = 'future';
+        }
+        return {
+          ...tranche,
+          status: trancheStatus,
+          is_future: tranche.vest_date > today,
+          vesting_id: event ? event.vesting_id : null,
+          pps_snapshot: event ? formatDecimal(event.pps_snapshot) : null,
+        };
+      });
+
+      const totalItems = parseInt(countResult.rows[0].total_items);
+      const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          grant_id,
+          grant_date: grant.grant_date,
+          status: grant.status,
+          termination_date: grant.termination_date,
+          share_amount: formatDecimal(grant.share_amount),
+          vested_amount: formatDecimal(grant.vested_amount),
+          unvested_amount: (
+            parseFloat(grant.share_amount) - parseFloat(grant.vested_amount)
+          ).toFixed(3),
+          current_pps:
+            ppsResult.rows.length > 0
+              ? formatDecimal(ppsResult.rows[0].price_per_share)
+              : null,
+          as_of_date: today,
+          items,
+          schedule,
+          pagination: {
+            total_items: totalItems,
+            total_pages: totalPages,
+            current_page: parseInt(page),
+            limit: parseInt(limit),
+            next_page: parseInt(page) < totalPages ? parseInt(page) + 1 : null,
+            prev_page: parseInt(page) > 1 ? parseInt(page) - 1 : null,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Error retrieving vesting events for grant ${grant_id}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /grants/:grant_id/terminate - Terminate a grant and return its unvested shares to the pool
+// unvested_shares_returned = share_amount - vested_amount, where vested_amount only reflects completed
+// vesting events up to termination_date (no pro-rata). Terminating on grant_date returns all shares;
+// terminating on a vest date (e.g. the cliff day) keeps that tranche vested.
+router.post(
+  '/:grant_id/terminate',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const { grant_id } = req.params;
+    const { termination_date, reason, notes } = req.body || {};
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+
+    if (termination_date !== undefined && !isValidDate(termination_date)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'termination_date must be a valid date (YYYY-MM-DD).',
+        },
+      });
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'BAD_REQUEST', message: 'reason is required.' },
+      });
+    }
+
+    try {
+      // Pool integrity: termination changes Returned, so it goes through sp_adjust_pool (SERIALIZABLE, SPECIFICATION.md §4.2)
+      const { terminatedGrant, poolId } = await withSerializableTransaction(
+        async (client) => {
+          const grantResult = await client.query(
+            `SELECT grant_id, tenant_id, pool_id, employee_id, grant_date::text AS grant_date, share_amount, vested_amount,
+                status, version
+         FROM grants
+         WHERE grant_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+            [grant_id, tenantId]
+          );
+          if (grantResult.rows.length === 0) {
+            throw requestError(404, 'NOT_FOUND', 'Grant not found.');
+          }
+          const currentGrant = grantResult.rows[0];
+
+          if (currentGrant.status !== 'active') {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              'Grant is already terminated.'
+            );
+          }
 
-// TODO: PATCH /grants/:grant_id - Update grant (limited fields, versioning)
-// TODO: DELETE /grants/:grant_id - Soft delete grant
-// TODO: POST /grants/bulk - Bulk create grants
+          // termination_date is interpreted in the tenant's timezone and defaults to today
+          const today = await getTenantToday(client, tenantId);
+          const terminationDate = termination_date || today;
+          if (terminationDate > today) {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              `termination_date cannot be after the current date in the tenant's timezone (${today}).`
+            );
+          }
+          if (terminationDate < currentGrant.grant_date) {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              `termination_date cannot be before the grant date (${currentGrant.grant_date}).`
+            );
+          }
+
+          // Tranches that vested after a backdated termination date would have to be reversed
+          const laterEventsResult = await client.query(
+            'SELECT MAX(vest_date)::text AS last_vest_date FROM vesting_events WHERE grant_id = $1 AND vest_date > $2::date',
+            [grant_id, terminationDate]
+          );
+          if (laterEventsResult.rows[0].last_vest_date) {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              `termination_date cannot be before an existing vesting event (${laterEventsResult.rows[0].last_vest_date}).`
+            );
+          }
+
+          // Vest everything that completed on or before the termination date, so a tranche vesting
+          // on the termination day (e.g. the cliff) stays vested
+          const grantVesting = await vestGrant(
+            client,
+            currentGrant,
+            terminationDate,
+            adminUserId
+          );
+          const unvestedSharesReturned = (
+            parseFloat(currentGrant.share_amount) -
+            parseFloat(grantVesting.vestedAmount)
+          ).toFixed(3);
+
+          // Flipping status to inactive moves unvested_shares_returned into the pool's Returned total
+          // and stops the vesting engine from processing the grant
+          const updateResult = await client.query(
+            `UPDATE grants
+         SET status = 'inactive',
+             termination_date = $1::date,
+             termination_reason = $2,
+             terminated_by = $3,
+             unvested_shares_returned = $4,
+             version = version + 1
+         WHERE grant_id = $5 AND version = $6
+         RETURNING *, grant_date::text AS grant_date, termination_date::text AS termination_date`,
+            [
+              terminationDate,
+              reason.trim(),
+              adminUserId,
+              unvestedSharesReturned,
+              grant_id,
+              grantVesting.version,
+            ]
+          );
+          if (updateResult.rows.length === 0) {
+            throw requestError(
+              409,
+              'VERSION_CONFLICT',
+              'Grant was modified concurrently. Please retry the termination.'
+            );
+          }
+
+          await adjustPool(client, {
+            poolId: currentGrant.pool_id,
+            tenantId,
+            operation: 'termination',
+            amount: unvestedSharesReturned,
+            userId: adminUserId,
+            grantId: grant_id,
+          });
+
+          const grantAfterTermination = updateResult.rows[0];
+          await logAuditAction({
+            tenantId,
+            userId: adminUserId,
+            actionType: 'GRANT_TERMINATE',
+            entityType: 'grant',
+            entityId: grant_id,
+            details: {
+              before: {
+                status: currentGrant.status,
+                vested_amount: parseFloat(currentGrant.vested_amount).toFixed(
+                  3
+                ),
+                version: currentGrant.version,
+              },
+              after: {
+                status: grantAfterTermination.status,
+                vested_amount: parseFloat(
+                  grantAfterTermination.vested_amount
+                ).toFixed(3),
+                unvested_shares_returned: unvestedSharesReturned,
+                termination_date: grantAfterTermination.termination_date,
+                termination_reason: grantAfterTermination.termination_reason,
+                version: grantAfterTermination.version,
+              },
+              notes: notes || null,
+              poolId: currentGrant.pool_id,
+              createdEvents: grantVesting.createdEvents,
+            },
+            dbClient: client,
+          });
+
+          return {
+            terminatedGrant: grantAfterTermination,
+            poolId: currentGrant.pool_id,
+          };
+        }
+      );
+
+      const unvestedSharesReturned = parseFloat(
+        terminatedGrant.unvested_shares_returned
+      ).toFixed(3);
+      logger.info(
+        `Grant ${grant_id} terminated as of ${terminatedGrant.termination_date} by user ${adminUserId}: ${unvestedSharesReturned} shares returned to pool ${poolId}`
+      );
+
+      res.json({
+        success: true,
+        data: {
+          ...terminatedGrant,
+          share_amount: parseFloat(terminatedGrant.share_amount).toFixed(3),
+          vested_amount: parseFloat(terminatedGrant.vested_amount).toFixed(3),
+          unvested_shares_returned: unvestedSharesReturned,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error terminating grant ${grant_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
+    }
+  }
+);
+
+// PATCH /grants/:grant_id - Update a grant (optimistic locking on grants.version)
+// The expected version comes from If-Match or body.version; a stale version returns 409 VERSION_CONFLICT.
+// notes can be edited at any time. grant_date and share_amount only while the grant is active and nothing
+// has vested yet; a share_amount change is re-checked against Available through sp_adjust_pool.
+router.patch(
+  '/:grant_id',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const { grant_id } = req.params;
+    const body = req.body || {};
+    const { grant_date, share_amount, notes } = body;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+
+    if (!uuidValidate(grant_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'grant_id must be a valid UUID.',
+        },
+      });
+    }
+    const unsupportedFields = Object.keys(body).filter(
+      (field) =>
+        !['grant_date', 'share_amount', 'notes', 'version'].includes(field)
+    );
+    if (unsupportedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: `Only grant_date, share_amount and notes can be updated (unsupported: ${unsupportedFields.join(', ')}).`,
+        },
+      });
+    }
+    if (
+      grant_date === undefined &&
+      share_amount === undefined &&
+      notes === undefined
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message:
+            'At least one of grant_date, share_amount or notes must be provided.',
+        },
+      });
+    }
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null || isNaN(expectedVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message:
+            'The current grant version is required, as an If-Match header or a version field.',
+        },
+      });
+    }
+    if (grant_date !== undefined && !isValidDate(grant_date)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'grant_date must be a valid date (YYYY-MM-DD).',
+        },
+      });
+    }
+    if (
+      share_amount !== undefined &&
+      (isNaN(parseFloat(share_amount)) || parseFloat(share_amount) <= 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Share amount must be a positive number.',
+        },
+      });
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'notes must be a string or null.',
+        },
+      });
+    }
+
+    try {
+      const { grant, updatedGrant, vesting, poolMetrics } =
+        await withSerializableTransaction(async (client) => {
+          const grantResult = await client.query(
+            `SELECT *, grant_date::text AS grant_date, termination_date::text AS termination_date
+         FROM grants
+         WHERE grant_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+            [grant_id, tenantId]
+          );
+          if (grantResult.rows.length === 0) {
+            throw requestError(404, 'NOT_FOUND', 'Grant not found.');
+          }
+          const currentGrant = grantResult.rows[0];
+
+          if (currentGrant.version !== expectedVersion) {
+            throw requestError(
+              409,
+              'VERSION_CONFLICT',
+              `Grant was modified concurrently (current version ${currentGrant.version}, expected ${expectedVersion}). Reload the grant and retry.`
+            );
+          }
+
+          const newGrantDate =
+            grant_date !== undefined ? grant_date : currentGrant.grant_date;
+          const newShareAmount =
+            share_amount !== undefined
+              ? parseFloat(share_amount).toFixed(3)
+              : parseFloat(currentGrant.share_amount).toFixed(3);
+          const grantDateChanged = newGrantDate !== currentGrant.grant_date;
+          const shareAmountChanged =
+            newShareAmount !== parseFloat(currentGrant.share_amount).toFixed(3);
+
+          // Changing the schedule is only safe while no vesting event refers to it
+          if (grantDateChanged || shareAmountChanged) {
+            if (currentGrant.status !== 'active') {
+              throw requestError(
+                400,
+                'BAD_REQUEST',
+                'grant_date and share_amount cannot be changed on a terminated grant.'
+              );
+            }
+            const eventsResult = await client.query(
+              'SELECT 1 FROM vesting_events WHERE grant_id = $1 LIMIT 1',
+              [grant_id]
+            );
+            if (eventsResult.rows.length > 0) {
+              throw requestError(
+                400,
+                'BAD_REQUEST',
+                'grant_date and share_amount cannot be changed once vesting has occurred.'
+              );
+            }
+          }
+
+          const updateResult = await client.query(
+            `UPDATE grants
+         SET grant_date = $1::date,
+             share_amount = $2,
+             notes = $3,
+             version = version + 1
+         WHERE grant_id = $4 AND version = $5
+         RETURNING *, grant_date::text AS grant_date, termination_date::text AS termination_date`,
+            [
+              newGrantDate,
+              newShareAmount,
+              notes !== undefined ? notes : currentGrant.notes,
+              grant_id,
+              expectedVersion,
+            ]
+          );
+          if (updateResult.rows.length === 0) {
+            throw requestError(
+              409,
+              'VERSION_CONFLICT',
+              'Grant was modified concurrently. Reload the grant and retry.'
+            );
+          }
+          const grantAfterUpdate = updateResult.rows[0];
+
+          // Granted now includes the new share_amount; sp_adjust_pool rejects the change if Available would go negative
+          let metrics = null;
+          if (shareAmountChanged) {
+            metrics = await adjustPool(client, {
+              poolId: currentGrant.pool_id,
+              tenantId,
+              operation: 'grant',
+              amount: newShareAmount,
+              userId: adminUserId,
+              grantId: grant_id,
+            });
+          }
+
+          // A grant_date moved into the past may already have elapsed tranches
+          let grantVesting = {
+            createdEvents: [],
+            vestedAmount: parseFloat(grantAfterUpdate.vested_amount).toFixed(3),
+            version: grantAfterUpdate.version,
+          };
+          if (grantDateChanged) {
+            const today = await getTenantToday(client, tenantId);
+            grantVesting = await vestGrant(
+              client,
+              grantAfterUpdate,
+              today,
+              adminUserId
+            );
+          }
+
+          await logAuditAction({
+            tenantId,
+            userId: adminUserId,
+            actionType: 'GRANT_UPDATE',
+            entityType: 'grant',
+            entityId: grant_id,
+            details: {
+              before: {
+                grant_date: currentGrant.grant_date,
+                share_amount: parseFloat(currentGrant.share_amount).toFixed(3),
+                notes: currentGrant.notes,
+                version: currentGrant.version,
+              },
+              after: {
+                grant_date: grantAfterUpdate.grant_date,
+                share_amount: newShareAmount,
+                notes: grantAfterUpdate.notes,
+                version: grantVesting.version,
+              },
+              createdEvents: grantVesting.createdEvents,
+            },
+            dbClient: client,
+          });
+
+          return {
+            grant: currentGrant,
+            updatedGrant: grantAfterUpdate,
+            vesting: grantVesting,
+            poolMetrics: metrics,
+          };
+        });
+
+      updatedGrant.vested_amount = vesting.vestedAmount;
+      updatedGrant.version = vesting.version;
+      updatedGrant.share_amount = parseFloat(updatedGrant.share_amount).toFixed(
+        3
+      );
+      updatedGrant.unvested_shares_returned = parseFloat(
+        updatedGrant.unvested_shares_returned
+      ).toFixed(3);
+
+      logger.info(
+        `Grant ${grant_id} updated by user ${adminUserId} (version ${grant.version} -> ${updatedGrant.version}${poolMetrics ? `, ${poolMetrics.available_shares} shares available` : ''})`
+      );
+
+      res.json({ success: true, data: updatedGrant });
+    } catch (error) {
+      logger.error(`Error updating grant ${grant_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
+    }
+  }
+);
+
+// DELETE /grants/:grant_id - Soft delete an un-vested grant and return its shares to the pool
+// Only active grants without vesting events can be deleted; terminated or partly vested grants must stay
+// on record. An optional If-Match / body.version is checked like PATCH.
+router.delete(
+  '/:grant_id',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const { grant_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+
+    if (!uuidValidate(grant_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'grant_id must be a valid UUID.',
+        },
+      });
+    }
+    const expectedVersion = getExpectedVersion(req);
+    if (isNaN(expectedVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'version must be a non-negative integer.',
+        },
+      });
+    }
+
+    try {
+      const { deletedGrant, poolMetrics } = await withSerializableTransaction(
+        async (client) => {
+          const grantResult = await client.query(
+            `SELECT grant_id, pool_id, employee_id, grant_date::text AS grant_date, share_amount, vested_amount, status, version
+         FROM grants
+         WHERE grant_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+            [grant_id, tenantId]
+          );
+          if (grantResult.rows.length === 0) {
+            throw requestError(404, 'NOT_FOUND', 'Grant not found.');
+          }
+          const currentGrant = grantResult.rows[0];
+
+          if (
+            expectedVersion !== null &&
+            currentGrant.version !== expectedVersion
+          ) {
+            throw requestError(
+              409,
+              'VERSION_CONFLICT',
+              `Grant was modified concurrently (current version ${currentGrant.version}, expected ${expectedVersion}). Reload the grant and retry.`
+            );
+          }
+          if (currentGrant.status !== 'active') {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              'Terminated grants cannot be deleted.'
+            );
+          }
+          const eventsResult = await client.query(
+            'SELECT 1 FROM vesting_events WHERE grant_id = $1 LIMIT 1',
+            [grant_id]
+          );
+          if (
+            eventsResult.rows.length > 0 ||
+            parseFloat(currentGrant.vested_amount) > 0
+          ) {
+            throw requestError(
+              400,
+              'BAD_REQUEST',
+              'Grants with vested shares cannot be deleted. Terminate the grant instead.'
+            );
+          }
+
+          await client.query(
+            'UPDATE grants SET deleted_at = NOW(), version = version + 1 WHERE grant_id = $1',
+            [grant_id]
+          );
+
+          // The deleted grant drops out of Granted, so its shares are Available again
+          const metrics = await adjustPool(client, {
+            poolId: currentGrant.pool_id,
+            tenantId,
+            operation: 'grant_delete',
+            amount: currentGrant.share_amount,
+            userId: adminUserId,
+            grantId: grant_id,
+          });
+
+          await logAuditAction({
+            tenantId,
+            userId: adminUserId,
+            actionType: 'GRANT_DELETE',
+            entityType: 'grant',
+            entityId: grant_id,
+            details: {
+              before: {
+                employee_id: currentGrant.employee_id,
+                grant_date: currentGrant.grant_date,
+                share_amount: parseFloat(currentGrant.share_amount).toFixed(3),
+                status: currentGrant.status,
+                version: currentGrant.version,
+              },
+              after: null,
+            },
+            dbClient: client,
+          });
+
+          return { deletedGrant: currentGrant, poolMetrics: metrics };
+        }
+      );
+
+      const returnedShares = parseFloat(deletedGrant.share_amount).toFixed(3);
+      logger.info(
+        `Grant ${grant_id} deleted by user ${adminUserId}: ${returnedShares} shares returned to the pool (${poolMetrics.available_shares} available)`
+      );
+
+      res.json({
+        success: true,
+        data: {
+          message: 'Grant deleted successfully',
+          grant_id,
+          returned_shares: returnedShares,
+          available_shares: poolMetrics.available_shares,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error deleting grant ${grant_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
+    }
+  }
+);
+
+// POST /grants/bulk - Create grants for many employees at once (e.g. a hiring cohort)
+// mode 'all_or_nothing' (default) creates every grant or none; mode 'partial' skips failing rows and reports
+// them in errors, like POST /employees/bulk. Rows are checked against Available as a whole: their running
+// total must fit, so the pool can never be over-allocated by a single request. All rows draw from the pool
+// named by pool_id, which may be omitted while the tenant has a single pool.
+router.post(
+  '/bulk',
+  checkJwt,
+  syncUser,
+  checkRoleAdmin,
+  async (req, res, next) => {
+    const {
+      grants: grantList,
+      mode = 'all_or_nothing',
+      pool_id,
+    } = req.body || {};
+    const tenantId = req.user?.tenantId;
+    const createdBy = req.user?.id;
+
+    if (!Array.isArray(grantList) || grantList.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Input must be a non-empty array of grants.',
+        },
+      });
+    }
+    if (grantList.length > 50) {
+      // As per api.yml maxItems
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Cannot create more than 50 grants at a time.',
+        },
+      });
+    }
+    if (!['all_or_nothing', 'partial'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'mode must be either "all_or_nothing" or "partial".',
+        },
+      });
+    }
+    if (pool_id !== undefined && pool_id !== null && !uuidValidate(pool_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'pool_id must be a valid UUID.',
+        },
+      });
+    }
+
+    // Validate all rows first
+    const errors = [];
+    grantList.forEach((row, index) => {
+      const { employee_id, grant_date, share_amount, notes } = row || {};
+      let message = null;
+      if (!employee_id || !grant_date || !share_amount) {
+        message = 'Employee ID, grant date, and share amount are required.';
+      } else if (!uuidValidate(employee_id)) {
+        message = 'employee_id must be a valid UUID.';
+      } else if (!isValidDate(grant_date)) {
+        message = 'grant_date must be a valid date (YYYY-MM-DD).';
+      } else if (
+        isNaN(parseFloat(share_amount)) ||
+        parseFloat(share_amount) <= 0
+      ) {
+        message = 'Share amount must be a positive number.';
+      } else if (
+        notes !== undefined &&
+        notes !== null &&
+        typeof notes !== 'string'
+      ) {
+        message = 'notes must be a string or null.';
+      }
+      if (message) {
+        errors.push({
+          index,
+          employee_id: employee_id || null,
+          code: 'BAD_REQUEST',
+          message,
+        });
+      }
+    });
+
+    if (errors.length > 0 && mode === 'all_or_nothing') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Validation errors in grant list.',
+          details: errors,
+        },
+      });
+    }
+
+    try {
+      const { createdGrants, rowErrors, poolMetrics } =
+        await withSerializableTransaction(async (client) => {
+          // The transaction may be retried, so row errors found in here are collected per attempt
+          const attemptErrors = [...errors];
+          const invalidIndexes = new Set(errors.map((error) => error.index));
+          const poolId = await resolvePoolId(client, tenantId, pool_id);
+
+          const employeeResult = await client.query(
+            "SELECT employee_id FROM employees WHERE tenant_id = $1 AND employee_id = ANY($2::uuid[]) AND deleted_at IS NULL AND status = 'active'",
+            [
+              tenantId,
+              grantList
+                .filter((row, index) => !invalidIndexes.has(index))
+                .map((row) => row.employee_id),
+            ]
+          );
+          const activeEmployeeIds = new Set(
+            employeeResult.rows.map((row) => row.employee_id)
+          );
+
+          const metricsResult = await client.query(
+            'SELECT available_shares FROM func_pool_metrics($1)',
+            [poolId]
+          );
+          // Amounts are compared in thousandths of a share to avoid floating point drift in the running total
+          const available = Math.round(
+            parseFloat(metricsResult.rows[0].available_shares) * 1000
+          );
+
+          // Accept rows in order while their running total fits into Available
+          const acceptedRows = [];
+          let requestedTotal = 0;
+          grantList.forEach((row, index) => {
+            if (invalidIndexes.has(index)) return;
+            const shareAmount = parseFloat(row.share_amount).toFixed(3);
+            const shareMillis = Math.round(parseFloat(shareAmount) * 1000);
+            if (!activeEmployeeIds.has(row.employee_id)) {
+              attemptErrors.push({
+                index,
+                employee_id: row.employee_id,
+                code: 'NOT_FOUND',
+                message: 'Active employee not found for this tenant.',
+              });
+            } else if (requestedTotal + shareMillis > available) {
+              attemptErrors.push({
+                index,
+                employee_id: row.employee_id,
+                code: 'INSUFFICIENT_SHARES',
+                message: `Insufficient available shares in pool. Available: ${((available - requestedTotal) / 1000).toFixed(3)}, Requested: ${shareAmount}`,
+              });
+            } else {
+              requestedTotal += shareMillis;
+              acceptedRows.push({ index, row, shareAmount });
+            }
+          });
+
+          if (attemptErrors.length > 0 && mode === 'all_or_nothing') {
+            const error = requestError(
+              400,
+              'BAD_REQUEST',
+              `${attemptErrors.length} of ${grantList.length} grants cannot be created (${(requestedTotal / 1000).toFixed(3)} of ${(available / 1000).toFixed(3)} available shares requested by the valid rows). No grants were created.`
+            );
+            error.details = attemptErrors.sort((a, b) => a.index - b.index);
+            throw error;
+          }
+
+          const today = await getTenantToday(client, tenantId);
+          const grants = [];
+          let metrics = null;
+          for (const { index, row, shareAmount } of acceptedRows) {
+            const grantResult = await client.query(
+              `INSERT INTO grants (grant_id, tenant_id, pool_id, employee_id, grant_date, share_amount, notes, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *, grant_date::text AS grant_date`,
+              [
+                uuidv4(),
+                tenantId,
+                poolId,
+                row.employee_id,
+                row.grant_date,
+                shareAmount,
+                row.notes || null,
+                createdBy,
+              ]
+            );
+            const grant = grantResult.rows[0];
+
+            metrics = await adjustPool(client, {
+              poolId,
+              tenantId,
+              operation: 'grant',
+              amount: grant.share_amount,
+              userId: createdBy,
+              grantId: grant.grant_id,
+            });
+
+            const grantVesting = await vestGrant(
+              client,
+              grant,
+              today,
+              createdBy
+            );
+            grant.vested_amount = grantVesting.vestedAmount;
+            grant.version = grantVesting.version;
+            grant.share_amount = parseFloat(grant.share_amount).toFixed(3);
+            grant.unvested_shares_returned = parseFloat(
+              grant.unvested_shares_returned
+            ).toFixed(3);
+
+            await logAuditAction({
+              tenantId,
+              userId: createdBy,
+              actionType: 'GRANT_CREATE',
+              entityType: 'grant',
+              entityId: grant.grant_id,
+              details: {
+                before: null,
+                after: grant,
+                request: row,
+                bulk: { index, mode },
+              },
+              dbClient: client,
+            });
+
+            grants.push(grant);
+          }
+
+          return {
+            createdGrants: grants,
+            rowErrors: attemptErrors.sort((a, b) => a.index - b.index),
+            poolMetrics: metrics,
+          };
+        });
+
+      logger.info(
+        `${createdGrants.length} grants bulk created for tenant ${tenantId} by user ${createdBy} (${mode}). ${rowErrors.length} skipped.${poolMetrics ? ` ${poolMetrics.available_shares} shares available.` : ''}`
+      );
+
+      if (createdGrants.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CONFLICT',
+            message: 'All grants in bulk request failed processing.',
+            details: rowErrors,
+          },
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          created_count: createdGrants.length,
+          grants: createdGrants,
+          errors: rowErrors.length > 0 ? rowErrors : undefined, // Only include errors if there are any
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Error during bulk grant creation for tenant ${tenantId}: ${error.message}`,
+        { stack: error.stack }
+      );
+      if (error.details) {
+        return res.status(error.status).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message,
+            details: error.details,
+          },
+        });
+      }
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { pool } = require('../config/db');
+const logger = require('../config/logger');
+const { findEmployeeForUser } = require('../utils/employeeAccess');
+const {
+  toThousandths,
+  formatThousandths,
+  addMonthsClamped,
+  buildVestingSchedule,
+  getTenantToday,
+} = require('../utils/vestingEngine');
+const { findEffectivePps } = require('../utils/ppsSchedule');
+
+const router = express.Router();
+
+// Number of months covered by the vesting forecast, starting with the current month
+const FORECAST_MONTHS = 12;
+
+/**
+ * Values a number of shares at a price per share.
+ *
+ * @param {string} shares - The shares as a decimal string.
+ * @param {string|null} pricePerShare - The price per share, or null if none is set.
+ * @returns {string|null} The value with 3 decimal places, or null without a price.
+ */
+function valueAt(shares, pricePerShare) {
+  if (pricePerShare === null) {
+    return null;
+  }
+  return (parseFloat(shares) * parseFloat(pricePerShare)).toFixed(3);
+}
+
+/**
+ * GET /api/me/equity
+ * Returns the caller's equity in one response for the "My Equity" page: their grants, vested,
+ * unvested and forfeited totals valued at the current PPS, the next vest date and amount, and the
+ * shares vesting in each of the next 12 months (starting with the current month, tenant timezone).
+ * The caller is the employee linked to their user account, whatever their role.
+ */
+router.get('/equity', async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
+  const userId = req.user?.id;
+
+  logger.info(`GET /api/me/equity for user ${userId} in tenant ${tenantId}`);
+
+  try {
+    const linkedEmployee = await findEmployeeForUser(userId, tenantId);
+    if (!linkedEmployee) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'No employee record is linked to your user account.',
+        },
+      });
+    }
+
+    const [employeeResult, grantsResult, eventsResult, today] =
+      await Promise.all([
+        pool.query(
+          'SELECT employee_id, email, first_name, last_name, status FROM employees WHERE employee_id = $1',
+          [linkedEmployee.employee_id]
+        ),
+        pool.query(
+          `SELECT grant_id, grant_date::text AS grant_date, share_amount, vested_amount, status,
+                termination_date::text AS termination_date, notes
+         FROM grants
+         WHERE tenant_id = $1 AND employee_id = $2 AND deleted_at IS NULL
+         ORDER BY grant_date, created_at`,
+          [tenantId, linkedEmployee.employee_id]
+        ),
+        pool.query(
+          `SELECT ve.grant_id, ve.vest_date::text AS vest_date
+         FROM vesting_events ve
+         JOIN grants g ON g.grant_id = ve.grant_id
+         WHERE g.tenant_id = $1 AND g.employee_id = $2 AND g.deleted_at IS NULL`,
+          [tenantId, linkedEmployee.employee_id]
+        ),
+        getTenantToday(pool, tenantId),
+      ]);
+    const pps = await findEffectivePps(pool, tenantId, today);
+
+    const currentPps = pps ? pps.price_per_share : null;
+    const vestedDates = new Set(
+      eventsResult.rows.map((event) => `${event.grant_id}:${event.vest_date}`)
+    );
+
+    // Forecast buckets by month, the last one ending FORECAST_MONTHS - 1 months after the current month
+    const forecastMonths = Array.from({ length: FORECAST_MONTHS }, (_, index) =>
+      addMonthsClamped(`${today.slice(0, 7)}-01`, index).slice(0, 7)
+    );
+    const forecastByMonth = new Map(forecastMonths.map((month) => [month, 0]));
+
+    const totals = { granted: 0, vested: 0, unvested: 0, forfeited: 0 };
+    const upcomingByDate = new Map();
+
+    const grants = grantsResult.rows.map((grant) => {
+      const granted = toThousandths(grant.share_amount);
+      const vested = toThousandths(grant.vested_amount);
+      const remaining = granted - vested;
+      totals.granted += granted;
+      totals.vested += vested;
+
+      // Terminated grants stop vesting, their remaining shares are forfeited
+      let nextVest = null;
+      if (grant.status === 'active') {
+        totals.unvested += remaining;
+        const upcoming = buildVestingSchedule(
+          grant.grant_date,
+          grant.share_amount
+        ).filter(
+          (tranche) =>
+            tranche.vest_date > today &&
+            !vestedDates.has(`${grant.grant_id}:${tranche.vest_date}`)
+        );
+        upcoming.forEach((tranche) => {
+          const shares = toThousandths(tranche.shares_vested);
+          upcomingByDate.set(
+            tranche.vest_date,
+            (upcomingByDate.get(tranche.vest_date) || 0) + shares
+          );
+          const month = tranche.vest_date.slice(0, 7);
+          if (forecastByMonth.has(month)) {
+            forecastByMonth.set(month, forecastByMonth.get(month) + shares);
+          }
+        });
+        if (upcoming.length > 0) {
+          nextVest = {
+            vest_date: upcoming[0].vest_date,
+            shares: upcoming[0].shares_vested,
+          };
+        }
+      } else {
+        totals.forfeited += remaining;
+      }
+
+      return {
+        grant_id: grant.grant_id,
+        grant_date: grant.grant_date,
+        status: grant.status,
+        termination_date: grant.termination_date,
+        notes: grant.notes,
+        share_amount: formatThousandths(granted),
+        vested_amount: formatThousandths(vested),
+        unvested_amount: formatThousandths(
+          grant.status === 'active' ? remaining : 0
+        ),
+        vested_value: valueAt(formatThousandths(vested), currentPps),
+        next_vest: nextVest,
+      };
+    });
+
+    const [nextVestDate] = [...upcomingByDate.keys()].sort();
+    const nextVestShares = nextVestDate
+      ? formatThousandths(upcomingByDate.get(nextVestDate))
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        employee: employeeResult.rows[0],
+        as_of_date: today,
+        current_pps: currentPps,
+        pps_effective_date: pps ? pps.effective_date : null,
+        totals: {
+          granted_shares: formatThousandths(totals.granted),
+          vested_shares: formatThousandths(totals.vested),
+          unvested_shares: formatThousandths(totals.unvested),
+          forfeited_shares: formatThousandths(totals.forfeited),
+          vested_value: valueAt(formatThousandths(totals.vested), currentPps),
+          unvested_value: valueAt(
+            formatThousandths(totals.unvested),
+            currentPps
+          ),
+        },
+        next_vest: nextVestDate
+          ? {
+              vest_date: nextVestDate,
+              shares: nextVestShares,
+              value: valueAt(nextVestShares, currentPps),
+            }
+          : null,
+        forecast: forecastMonths.map((month) => {
+          const shares = formatThousandths(forecastByMonth.get(month));
+          return { month, shares, value: valueAt(shares, currentPps) };
+        }),
+        grants,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      `Error retrieving equity of user ${userId} in tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,204 +3,973 @@ const { pool } = require('../config/db');
 const logger = require('../config/logger');
 const { authorizeRole } = require('../middleware/auth');
 const { logAuditAction } = require('../utils/auditLogger');
+const {
+  withSerializableTransaction,
+  adjustPool,
+} = require('../utils/poolAdjustment');
+const { toThousandths, formatThousandths } = require('../utils/vestingEngine');
+const { reconcilePool } = require('../utils/poolReconciliation');
+const { isValidDate } = require('../utils/dates');
+const { validate: uuidValidate } = require('uuid');
 
 const router = express.Router();
 
 // Ensure all routes require authentication
 router.use(authorizeRole(['admin', 'employee']));
 
+// Longest range GET /api/pools/:pool_id/timeseries returns, in buckets
+const MAX_TIMESERIES_BUCKETS = 366;
+
+// Pool columns returned by the pool endpoints, with the metrics of func_pool_metrics(_as_of) alongside
+const POOL_COLUMNS =
+  'ep.pool_id, ep.tenant_id, ep.name, ep.share_class, ep.initial_amount, ep.created_by, ep.created_at';
+
+/**
+ * Checks an optional as_of_date query parameter.
+ *
+ * @param {string|undefined} asOfDate - The as_of_date query parameter.
+ * @returns {boolean} Whether it is absent or a valid YYYY-MM-DD date.
+ */
+function isValidAsOfDate(asOfDate) {
+  return asOfDate === undefined || isValidDate(asOfDate);
+}
+
+/**
+ * Checks that an amount of shares has at most 3 decimal places, the precision of the DECIMAL(12,3) columns.
+ * Finer values would otherwise be rounded by PostgreSQL or fail its constraints.
+ *
+ * @param {string|number} amount - The amount from the request body.
+ * @returns {boolean} Whether it is a decimal number with at most 3 decimal places.
+ */
+function hasSharePrecision(amount) {
+  return /^-?\d+(\.\d{1,3})?$/.test(String(amount).trim());
+}
+
+/**
+ * Selects the tenant's pools joined with their metrics, now or reconstructed at as_of_date.
+ *
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string|undefined} asOfDate - The date to reconstruct the metrics at (YYYY-MM-DD).
+ * @param {string} [poolId] - Restricts the result to a single pool.
+ * @returns {Promise<object[]>} The pool rows.
+ */
+async function queryPoolsWithMetrics(tenantId, asOfDate, poolId = null) {
+  // Granted = all non-deleted grants of the pool, Returned = unvested shares of its terminated grants,
+  // Available = TotalPool - Granted + Returned (same definitions sp_adjust_pool enforces)
+  const metricsFunction = asOfDate
+    ? 'func_pool_metrics_as_of(ep.pool_id, $3::date)'
+    : 'func_pool_metrics(ep.pool_id)';
+  const result = await pool.query(
+    `SELECT ${POOL_COLUMNS}, m.total_pool, m.granted_shares, m.returned_shares, m.available_shares
+     FROM equity_pools ep
+     CROSS JOIN LATERAL ${metricsFunction} m
+     WHERE ep.tenant_id = $1 AND ep.deleted_at IS NULL AND ($2::uuid IS NULL OR ep.pool_id = $2::uuid)
+     ORDER BY ep.created_at, ep.name`,
+    asOfDate ? [tenantId, poolId, asOfDate] : [tenantId, poolId]
+  );
+  return result.rows;
+}
+
+/**
+ * Formats a pool row with metrics for the API response.
+ * DECIMAL fields are strings with 3 decimal places as per SPECIFICATION.md and api.yml.
+ *
+ * @param {object} equityPool - A row returned by queryPoolsWithMetrics.
+ * @param {string|undefined} asOfDate - The date the metrics were reconstructed at.
+ * @returns {object} The pool.
+ */
+function formatPool(equityPool, asOfDate) {
+  return {
+    pool_id: String(equityPool.pool_id),
+    tenant_id: String(equityPool.tenant_id),
+    name: equityPool.name,
+    share_class: equityPool.share_class,
+    initial_amount: parseFloat(equityPool.initial_amount).toFixed(3),
+    total_pool: parseFloat(equityPool.total_pool).toFixed(3),
+    granted_shares: parseFloat(equityPool.granted_shares).toFixed(3),
+    returned_shares: parseFloat(equityPool.returned_shares).toFixed(3),
+    available_shares: parseFloat(equityPool.available_shares).toFixed(3),
+    as_of_date: asOfDate || null,
+    created_by: String(equityPool.created_by),
+    created_at: equityPool.created_at
+      ? new Date(equityPool.created_at).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Maps an error raised by func_adjust_pool_v3 / sp_adjust_pool to an API error status and code.
+ *
+ * @param {Error} txError - The error thrown by the pool event transaction.
+ * @returns {{status: number, code: string}|null} The API error, or null if it is unexpected.
+ */
+function toPoolEventError(txError) {
+  const { message } = txError;
+  if (message.includes('Pool not found with ID:')) {
+    return { status: 404, code: 'POOL_NOT_FOUND' };
+  }
+  if (message.includes('Cannot reduce pool by')) {
+    // sp_adjust_pool rejects reductions that would make Available negative
+    return { status: 400, code: 'INSUFFICIENT_AVAILABLE_SHARES' };
+  }
+  if (
+    message.includes('Pool total cannot be negative') ||
+    message.includes('Invalid amount') ||
+    message.includes('is out of range for DECIMAL')
+  ) {
+    return { status: 400, code: 'POOL_ADJUSTMENT_VALIDATION_ERROR' };
+  }
+  if (message.includes('Pool event not found with ID:')) {
+    return { status: 404, code: 'NOT_FOUND' };
+  }
+  if (message.includes('has already been reversed')) {
+    return { status: 409, code: 'ALREADY_REVERSED' };
+  }
+  if (
+    message.includes('cannot be reversed') ||
+    message.includes('Invalid reversal of pool event')
+  ) {
+    return { status: 400, code: 'BAD_REQUEST' };
+  }
+  // A concurrent reversal of the same event (idx_pool_events_reverses_event_id_unique)
+  if (txError.code === '23505') {
+    return { status: 409, code: 'ALREADY_REVERSED' };
+  }
+  if (
+    message.includes(
+      'sp_adjust_pool must be called within a SERIALIZABLE transaction'
+    )
+  ) {
+    logger.error(
+      'Critical: sp_adjust_pool was called outside a SERIALIZABLE transaction unexpectedly.',
+      { detail: message }
+    );
+  }
+  return null;
+}
+
 /**
  * GET /api/pools
- * Retrieves the equity pool for the current tenant with calculated metrics
+ * Lists the equity pools of the current tenant with their metrics, and a tenant roll-up summing
+ * the metrics of all pools
+ * Optional as_of_date (YYYY-MM-DD) reconstructs the metrics at that date from pool events and grants
+ * Returns 404 POOL_NOT_INITIALIZED until an admin has created the tenant's first pool with POST /api/pools
  */
-router.get('/', async (req, res, next) => {
+router.get('/', async (req, res) => {
   const tenantId = req.user?.tenantId;
-  logger.info(`GET /api/pools for tenant ${tenantId}`);
+  const { as_of_date } = req.query;
+  logger.info(
+    `GET /api/pools for tenant ${tenantId}${as_of_date ? ` as of ${as_of_date}` : ''}`
+  );
+
+  if (!isValidAsOfDate(as_of_date)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'as_of_date must be a valid date (YYYY-MM-DD)',
+      },
+    });
+  }
 
   try {
-    // First, check if the pool exists for this tenant
-    const poolResult = await pool.query(
-      'SELECT pool_id, tenant_id, initial_amount, total_pool, created_by, created_at FROM equity_pools WHERE tenant_id = $1 AND deleted_at IS NULL',
-      [tenantId]
+    const equityPools = await queryPoolsWithMetrics(tenantId, as_of_date);
+
+    // The pool size must come from the board-approved plan, so reads never create one
+    if (equityPools.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'POOL_NOT_INITIALIZED',
+          message:
+            'No equity pool has been set up for this tenant. An admin must initialize it with POST /api/pools, ' +
+            'providing the board-approved initial_amount, its effective_date and notes.',
+        },
+      });
+    }
+
+    const items = equityPools.map((equityPool) =>
+      formatPool(equityPool, as_of_date)
     );
 
-    const equityPool = poolResult.rows.length === 0
-      ? await pool.query(
-          'INSERT INTO equity_pools (pool_id, tenant_id, initial_amount, total_pool, created_by, created_at) VALUES (gen_random_uuid(), $1, $2, $2, $3, NOW()) RETURNING *',
-          [tenantId, '100000.000', req.user.id]
-        ).then(result => result.rows[0])
-      : poolResult.rows[0];
-
-    // For Stage 2, grants table does not exist, so granted and returned are always 0.
-    const grantedShares = 0.000;
-    const returnedShares = 0.000;
-    
-    // Calculate available shares: TotalPool - Granted + Returned
-    // equityPool.total_pool is a string from DB (DECIMAL), convert to number for calculation.
-    const availableShares = parseFloat(equityPool.total_pool) - grantedShares + returnedShares;
-
-    // Format the response with all metrics
-    const response = {
-      ...equityPool,
-      granted_shares: parseFloat(grantedShares).toFixed(3),
-      returned_shares: parseFloat(returnedShares).toFixed(3),
-      available_shares: parseFloat(availableShares).toFixed(3),
-      // Convert decimal fields to strings with 3 decimal places for consistency
-      initial_amount: parseFloat(equityPool.initial_amount).toFixed(3),
-      total_pool: parseFloat(equityPool.total_pool).toFixed(3)
-    };
-
-    // Enforce strict API response schema as per SPECIFICATION.md and api.yml
-    // All fields must be present and types must match (DECIMAL fields as strings with 3 decimal places)
+    // Amounts are summed in thousandths of a share to avoid floating point drift
+    const sumOf = (field) =>
+      formatThousandths(
+        items.reduce((sum, item) => sum + toThousandths(item[field]), 0)
+      );
+
     res.json({
       success: true,
       data: {
-        pool_id: String(equityPool.pool_id),
-        tenant_id: String(equityPool.tenant_id),
-        initial_amount: parseFloat(equityPool.initial_amount).toFixed(3),
-        total_pool: parseFloat(equityPool.total_pool).toFixed(3),
-        granted_shares: parseFloat(grantedShares).toFixed(3),
-        returned_shares: parseFloat(returnedShares).toFixed(3),
-        available_shares: parseFloat(availableShares).toFixed(3),
-        created_by: String(equityPool.created_by),
-        created_at: equityPool.created_at ? new Date(equityPool.created_at).toISOString() : null
-      }
+        items,
+        totals: {
+          pool_count: items.length,
+          total_pool: sumOf('total_pool'),
+          granted_shares: sumOf('granted_shares'),
+          returned_shares: sumOf('returned_shares'),
+          available_shares: sumOf('available_shares'),
+        },
+        as_of_date: as_of_date || null,
+      },
     });
   } catch (error) {
-    logger.error(`Error retrieving equity pool for tenant ${tenantId}: ${error.message}`, { stack: error.stack });
+    logger.error(
+      `Error retrieving equity pools for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
     // Strict error response schema as per SPECIFICATION.md and api.yml
     res.status(500).json({
       success: false,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to retrieve equity pool',
-        details: error.message
-      }
+        message: 'Failed to retrieve equity pools',
+        details: error.message,
+      },
     });
   }
 });
 
 /**
- * POST /api/pools/{pool_id}/events
- * Creates a new pool event (top-up or reduction)
+ * POST /api/pools
+ * Initializes an equity pool from a board-approved plan: the initial amount, the date it takes effect
+ * and notes (e.g. the board resolution) are required and recorded as the pool's initial event
+ * name defaults to "Equity Pool", so a tenant's first pool needs no name
  * Requires admin role
  */
-router.post('/:pool_id/events', authorizeRole('admin'), async (req, res, next) => {
-  const { pool_id } = req.params;
+router.post('/', authorizeRole('admin'), async (req, res, next) => {
   const tenantId = req.user?.tenantId;
   const adminUserId = req.user?.id;
-  const { amount, event_type, effective_date, notes } = req.body;
+  const {
+    name = 'Equity Pool',
+    share_class = 'common',
+    initial_amount,
+    effective_date,
+    notes,
+  } = req.body || {};
 
-  logger.info(`POST /api/pools/${pool_id}/events for tenant ${tenantId}`);
+  logger.info(`POST /api/pools for tenant ${tenantId}`);
 
-  // Input validation
-  if (!amount || !event_type || !effective_date) {
+  let validationError = null;
+  if (
+    typeof name !== 'string' ||
+    name.trim() === '' ||
+    name.trim().length > 100
+  ) {
+    validationError = 'name is required and must be at most 100 characters';
+  } else if (
+    typeof share_class !== 'string' ||
+    share_class.trim() === '' ||
+    share_class.trim().length > 50
+  ) {
+    validationError =
+      'share_class must be a non-empty string of at most 50 characters';
+  } else if (
+    initial_amount === undefined ||
+    isNaN(parseFloat(initial_amount)) ||
+    parseFloat(initial_amount) <= 0
+  ) {
+    validationError = 'initial_amount must be a positive number';
+  } else if (!hasSharePrecision(initial_amount)) {
+    validationError = 'initial_amount must have at most 3 decimal places';
+  } else if (effective_date === undefined || !isValidAsOfDate(effective_date)) {
+    validationError =
+      'effective_date is required and must be a valid date (YYYY-MM-DD)';
+  } else if (typeof notes !== 'string' || notes.trim() === '') {
+    validationError =
+      'notes are required (e.g. the board resolution approving the pool)';
+  }
+  if (validationError) {
     return res.status(400).json({
       success: false,
       error: {
         code: 'BAD_REQUEST',
-        message: 'Missing required fields: amount, event_type, effective_date'
-      }
+        message: validationError,
+      },
     });
   }
-  const parsedAmount = parseFloat(amount);
-  if (isNaN(parsedAmount)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'BAD_REQUEST',
-        message: 'Amount must be a valid decimal number'
-      }
+
+  try {
+    const poolId = await withSerializableTransaction(async (client) => {
+      const initialAmount = parseFloat(initial_amount).toFixed(3);
+      const insertResult = await client.query(
+        `INSERT INTO equity_pools (pool_id, tenant_id, name, share_class, initial_amount, total_pool, created_by)
+         VALUES (gen_random_uuid(), $1, $2, $3, $4, $4, $5)
+         RETURNING *`,
+        [tenantId, name.trim(), share_class.trim(), initialAmount, adminUserId]
+      );
+      const createdPool = insertResult.rows[0];
+
+      // The initial event dates the pool for as_of_date reconstructions
+      await adjustPool(client, {
+        poolId: createdPool.pool_id,
+        tenantId,
+        operation: 'initial',
+        amount: initialAmount,
+        effectiveDate: effective_date,
+        notes: notes.trim(),
+        userId: adminUserId,
+      });
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'POOL_CREATE',
+        entityType: 'equity_pool',
+        entityId: createdPool.pool_id,
+        details: { before: null, after: createdPool, request: req.body },
+        dbClient: client,
+      });
+
+      return createdPool.pool_id;
     });
+
+    const [createdPool] = await queryPoolsWithMetrics(
+      tenantId,
+      undefined,
+      poolId
+    );
+    logger.info(
+      `Equity pool ${poolId} created for tenant ${tenantId} by admin ${adminUserId}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatPool(createdPool),
+    });
+  } catch (error) {
+    // Pool names are unique per tenant (idx_equity_pools_tenant_name_unique)
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CONFLICT',
+          message: `An equity pool named "${name.trim()}" already exists for this tenant`,
+        },
+      });
+    }
+    logger.error(
+      `Error creating equity pool for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
   }
-  const finalAmount = event_type === 'reduction' ? -Math.abs(parsedAmount) : Math.abs(parsedAmount); // Keep as number
-  if (!['top_up', 'reduction'].includes(event_type)) {
+});
+
+/**
+ * GET /api/pools/{pool_id}
+ * Retrieves a single equity pool of the current tenant with its metrics
+ * Optional as_of_date (YYYY-MM-DD) reconstructs the metrics at that date from pool events and grants
+ */
+router.get('/:pool_id', async (req, res, next) => {
+  const { pool_id } = req.params;
+  const tenantId = req.user?.tenantId;
+  const { as_of_date } = req.query;
+  logger.info(
+    `GET /api/pools/${pool_id} for tenant ${tenantId}${as_of_date ? ` as of ${as_of_date}` : ''}`
+  );
+
+  if (!uuidValidate(pool_id) || !isValidAsOfDate(as_of_date)) {
     return res.status(400).json({
       success: false,
       error: {
         code: 'BAD_REQUEST',
-        message: 'Event type must be either "top_up" or "reduction"'
-      }
+        message: uuidValidate(pool_id)
+          ? 'as_of_date must be a valid date (YYYY-MM-DD)'
+          : 'pool_id must be a valid UUID',
+      },
     });
   }
 
   try {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      await client.query('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE');
+    const [equityPool] = await queryPoolsWithMetrics(
+      tenantId,
+      as_of_date,
+      pool_id
+    );
+    if (!equityPool) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Equity pool not found or does not belong to this tenant',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPool(equityPool, as_of_date),
+    });
+  } catch (error) {
+    logger.error(`Error retrieving equity pool ${pool_id}: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/pools/{pool_id}/events
+ * Creates a new pool event (top-up or reduction)
+ * Requires admin role
+ */
+router.post(
+  '/:pool_id/events',
+  authorizeRole('admin'),
+  async (req, res, next) => {
+    const { pool_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+    const { amount, event_type, effective_date, notes } = req.body;
+
+    logger.info(`POST /api/pools/${pool_id}/events for tenant ${tenantId}`);
+
+    // Input validation
+    if (!amount || !event_type || !effective_date) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message:
+            'Missing required fields: amount, event_type, effective_date',
+        },
+      });
+    }
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Amount must be a valid decimal number',
+        },
+      });
+    }
+    if (!hasSharePrecision(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Amount must have at most 3 decimal places',
+        },
+      });
+    }
+    const finalAmount =
+      event_type === 'reduction'
+        ? -Math.abs(parsedAmount)
+        : Math.abs(parsedAmount); // Keep as number
+    if (!['top_up', 'reduction'].includes(event_type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'Event type must be either "top_up" or "reduction"',
+        },
+      });
+    }
+    if (!uuidValidate(pool_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'pool_id must be a valid UUID',
+        },
+      });
+    }
+    if (!isValidDate(effective_date)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'effective_date must be a valid date (YYYY-MM-DD)',
+        },
+      });
+    }
 
-      const functionCallQuery = `
+    try {
+      // func_adjust_pool_v3 delegates to sp_adjust_pool, which requires SERIALIZABLE; serialization failures are retried
+      const event = await withSerializableTransaction(async (client) => {
+        const functionCallQuery = `
         SELECT * FROM func_adjust_pool_v3($1::UUID, $2::UUID, $3::VARCHAR, $4::TEXT, $5::DATE, $6::TEXT, $7::UUID)
       `; // Call v3, explicitly cast $4 to TEXT
-      const functionCallParams = [
-        pool_id,      
-        tenantId,     
-        event_type,   
-        finalAmount.toFixed(3), // Pass as string
-        effective_date, 
-        notes,        
-        adminUserId   
-      ];
-      
-      const result = await client.query(functionCallQuery, functionCallParams);
-      
-      if (result.rows.length === 0) {
-        logger.error('func_adjust_pool_v3 did not return a row for a supposedly successful operation.', 
-                     { pool_id, tenantId, event_type, finalAmount });
-        throw new Error('Pool event creation via stored function failed to return event details.');
+        const functionCallParams = [
+          pool_id,
+          tenantId,
+          event_type,
+          finalAmount.toFixed(3), // Pass as string
+          effective_date,
+          notes,
+          adminUserId,
+        ];
+
+        const result = await client.query(
+          functionCallQuery,
+          functionCallParams
+        );
+
+        if (result.rows.length === 0) {
+          logger.error(
+            'func_adjust_pool_v3 did not return a row for a supposedly successful operation.',
+            { pool_id, tenantId, event_type, finalAmount }
+          );
+          throw new Error(
+            'Pool event creation via stored function failed to return event details.'
+          );
+        }
+
+        const createdEvent = result.rows[0];
+        // Format for API response consistency, func_adjust_pool_v3 returns DECIMAL which pg driver might give as string or number
+        createdEvent.amount = parseFloat(createdEvent.amount).toFixed(3);
+
+        await logAuditAction({
+          tenantId,
+          userId: adminUserId,
+          actionType: 'POOL_EVENT_CREATE',
+          entityType: 'pool_event',
+          entityId: createdEvent.event_id,
+          details: { before: null, after: createdEvent, request: req.body },
+          dbClient: client, // Written in the same transaction as the event
+        });
+
+        return createdEvent;
+      });
+
+      logger.info(
+        `Pool event created successfully for pool ${pool_id} by admin ${adminUserId} via func_adjust_pool_v3`
+      );
+
+      res.status(201).json({
+        success: true,
+        data: event,
+      });
+    } catch (txError) {
+      logger.warn(
+        `Transaction error during pool event creation for pool ${pool_id}. Error: ${txError.message}`,
+        { code: txError.code, detail: txError.detail, stack: txError.stack }
+      );
+      const poolEventError = toPoolEventError(txError);
+      if (poolEventError) {
+        return res.status(poolEventError.status).json({
+          success: false,
+          error: { code: poolEventError.code, message: txError.message },
+        });
       }
-      
-      const event = result.rows[0]; 
-      // Format for API response consistency, func_adjust_pool_v3 returns DECIMAL which pg driver might give as string or number
-      event.amount = parseFloat(event.amount).toFixed(3); 
-
-      await client.query('COMMIT');
-      logger.info(`Pool event created successfully for pool ${pool_id} by admin ${adminUserId} via func_adjust_pool_v3`);
-      
-      // Pass client to audit log if it might do further queries, otherwise not strictly necessary after COMMIT
-      // For safety, if logAuditAction might use the client, keep it. Or ensure it gets its own if needed.
-      await logAuditAction({ // Added await here
-        tenantId,
-        userId: adminUserId,
-        actionType: 'POOL_EVENT_CREATE',
-        entityType: 'pool_event',
-        entityId: event.event_id,
-        details: { request: req.body, createdEvent: event }, // Consider if event needs all fields formatted
-        // dbClient: client // Not passing client after commit, logAuditAction should manage its own connection if needed
+      next(txError);
+    }
+  }
+);
+
+/**
+ * POST /api/pools/{pool_id}/events/{event_id}/reverse
+ * Reverses a mistaken top-up or reduction with a compensating event of the opposite sign, linked to
+ * the original through reverses_event_id. An event can only be reversed once.
+ * effective_date defaults to the original event's, so historical metrics no longer include the mistake
+ * Requires admin role
+ */
+router.post(
+  '/:pool_id/events/:event_id/reverse',
+  authorizeRole('admin'),
+  async (req, res, next) => {
+    const { pool_id, event_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+    const { reason, effective_date } = req.body || {};
+
+    logger.info(
+      `POST /api/pools/${pool_id}/events/${event_id}/reverse for tenant ${tenantId}`
+    );
+
+    let validationError = null;
+    if (!uuidValidate(pool_id) || !uuidValidate(event_id)) {
+      validationError = 'pool_id and event_id must be valid UUIDs';
+    } else if (typeof reason !== 'string' || reason.trim() === '') {
+      validationError = 'reason is required';
+    } else if (
+      effective_date !== undefined &&
+      !isValidAsOfDate(effective_date)
+    ) {
+      validationError = 'effective_date must be a valid date (YYYY-MM-DD)';
+    }
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: validationError,
+        },
       });
+    }
+
+    try {
+      const { originalEvent, reversalEvent } =
+        await withSerializableTransaction(async (client) => {
+          const originalResult = await client.query(
+            `SELECT event_id, pool_id, tenant_id, amount, event_type, effective_date::text AS effective_date, notes,
+                reverses_event_id, created_by, created_at
+         FROM pool_events
+         WHERE event_id = $1 AND pool_id = $2 AND tenant_id = $3`,
+            [event_id, pool_id, tenantId]
+          );
+          if (originalResult.rows.length === 0) {
+            const error = new Error(
+              'Pool event not found or does not belong to this pool'
+            );
+            error.status = 404;
+            error.code = 'NOT_FOUND';
+            throw error;
+          }
+          const original = originalResult.rows[0];
+          const reversalDate = effective_date || original.effective_date;
+
+          // func_adjust_pool_v3 re-checks the original under a row lock and refuses a second reversal
+          const reversalResult = await client.query(
+            'SELECT * FROM func_adjust_pool_v3($1::UUID, $2::UUID, $3::VARCHAR, $4::TEXT, $5::DATE, $6::TEXT, $7::UUID, $8::UUID)',
+            [
+              pool_id,
+              tenantId,
+              original.event_type === 'top_up' ? 'reduction' : 'top_up',
+              (-parseFloat(original.amount)).toFixed(3),
+              reversalDate,
+              `Reversal of pool event ${event_id}: ${reason.trim()}`,
+              adminUserId,
+              event_id,
+            ]
+          );
+          const reversal = reversalResult.rows[0];
+          reversal.amount = parseFloat(reversal.amount).toFixed(3);
+          reversal.effective_date = reversalDate;
+          original.amount = parseFloat(original.amount).toFixed(3);
+
+          await logAuditAction({
+            tenantId,
+            userId: adminUserId,
+            actionType: 'POOL_EVENT_REVERSE',
+            entityType: 'pool_event',
+            entityId: reversal.event_id,
+            details: {
+              before: null,
+              after: reversal,
+              reversed_event: original,
+              reason: reason.trim(),
+            },
+            dbClient: client,
+          });
+
+          return { originalEvent: original, reversalEvent: reversal };
+        });
+
+      logger.info(
+        `Pool event ${event_id} of pool ${pool_id} reversed by event ${reversalEvent.event_id} (admin ${adminUserId})`
+      );
 
       res.status(201).json({
         success: true,
-        data: event
+        data: {
+          ...reversalEvent,
+          reversed_event: originalEvent,
+        },
       });
     } catch (txError) {
-      await client.query('ROLLBACK');
-      logger.warn(`Transaction error during pool event creation for pool ${pool_id}. Error: ${txError.message}`, 
-                  { code: txError.code, detail: txError.detail, stack: txError.stack });
-      if (txError.message.includes('Pool not found with ID:')) {
-         return res.status(404).json({ success: false, error: { code: 'POOL_NOT_FOUND', message: txError.message }});
-      } else if (txError.message.includes('Cannot reduce pool by') || 
-                 txError.message.includes('Pool total cannot be negative') || 
-                 txError.message.includes('Invalid amount format') || 
-                 txError.message.includes('Amount %s is out of range')) {
-        return res.status(400).json({ success: false, error: { code: 'POOL_ADJUSTMENT_VALIDATION_ERROR', message: txError.message }});
-      } else if (txError.message.includes('func_adjust_pool_v3 must be called within a SERIALIZABLE transaction')) { // Updated function name
-        logger.error('Critical: func_adjust_pool_v3 was called outside a SERIALIZABLE transaction unexpectedly.', { detail: txError.message });
+      logger.warn(
+        `Transaction error during reversal of pool event ${event_id}. Error: ${txError.message}`,
+        { code: txError.code, detail: txError.detail, stack: txError.stack }
+      );
+      const poolEventError = toPoolEventError(txError);
+      if (poolEventError) {
+        return res.status(poolEventError.status).json({
+          success: false,
+          error: { code: poolEventError.code, message: txError.message },
+        });
       }
       next(txError);
-    } finally {
-      client.release();
     }
+  }
+);
+
+/**
+ * GET /api/pools/{pool_id}/timeseries
+ * Returns the pool's TotalPool, Granted, Returned and Available per day or month between from and to
+ * (YYYY-MM-DD, inclusive), for charts. Each bucket holds the metrics as of its last day (capped at to),
+ * reconstructed like as_of_date from pool events and grants
+ */
+router.get('/:pool_id/timeseries', async (req, res, next) => {
+  const { pool_id } = req.params;
+  const tenantId = req.user?.tenantId;
+  const { from, to, interval = 'day' } = req.query;
+  logger.info(
+    `GET /api/pools/${pool_id}/timeseries for tenant ${tenantId} (${from} - ${to} by ${interval})`
+  );
+
+  let validationError = null;
+  if (!uuidValidate(pool_id)) {
+    validationError = 'pool_id must be a valid UUID';
+  } else if (
+    from === undefined ||
+    to === undefined ||
+    !isValidAsOfDate(from) ||
+    !isValidAsOfDate(to)
+  ) {
+    validationError =
+      'from and to are required and must be valid dates (YYYY-MM-DD)';
+  } else if (from > to) {
+    validationError = 'from must not be after to';
+  } else if (!['day', 'month'].includes(interval)) {
+    validationError = 'interval must be either "day" or "month"';
+  } else {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    const bucketCount =
+      interval === 'day'
+        ? (Date.parse(to) - Date.parse(from)) / 86400000 + 1
+        : (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+    if (bucketCount > MAX_TIMESERIES_BUCKETS) {
+      validationError = `The range must not span more than ${MAX_TIMESERIES_BUCKETS} ${interval}s`;
+    }
+  }
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: validationError,
+      },
+    });
+  }
+
+  try {
+    const poolCheck = await pool.query(
+      'SELECT 1 FROM equity_pools WHERE pool_id = $1 AND tenant_id = $2 AND deleted_at IS NULL',
+      [pool_id, tenantId]
+    );
+    if (poolCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Equity pool not found or does not belong to this tenant',
+        },
+      });
+    }
+
+    // Monthly buckets start on the 1st, so the first one may begin before from
+    const seriesResult = await pool.query(
+      `WITH buckets AS (
+         SELECT
+           bucket::date AS bucket_start,
+           LEAST(
+             CASE WHEN $4 = 'month' THEN (bucket + INTERVAL '1 month' - INTERVAL '1 day')::date ELSE bucket::date END,
+             $3::date
+           ) AS as_of_date
+         FROM generate_series(
+           CASE WHEN $4 = 'month' THEN date_trunc('month', $2::date) ELSE $2::date END,
+           $3::date,
+           CASE WHEN $4 = 'month' THEN INTERVAL '1 month' ELSE INTERVAL '1 day' END
+         ) AS bucket
+       )
+       SELECT b.bucket_start::text AS bucket_start, b.as_of_date::text AS as_of_date,
+              m.total_pool, m.granted_shares, m.returned_shares, m.available_shares
+       FROM buckets b
+       CROSS JOIN LATERAL func_pool_metrics_as_of($1, b.as_of_date) m
+       ORDER BY b.bucket_start`,
+      [pool_id, from, to, interval]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        pool_id,
+        from,
+        to,
+        interval,
+        points: seriesResult.rows.map((point) => ({
+          bucket_start: point.bucket_start,
+          as_of_date: point.as_of_date,
+          total_pool: parseFloat(point.total_pool).toFixed(3),
+          granted_shares: parseFloat(point.granted_shares).toFixed(3),
+          returned_shares: parseFloat(point.returned_shares).toFixed(3),
+          available_shares: parseFloat(point.available_shares).toFixed(3),
+        })),
+      },
+    });
   } catch (error) {
-    logger.error(`Error creating pool event for pool ${pool_id}: ${error.message}`, { stack: error.stack });
+    logger.error(
+      `Error retrieving the timeseries of equity pool ${pool_id}: ${error.message}`,
+      { stack: error.stack }
+    );
     next(error);
   }
 });
 
+/**
+ * GET /api/pools/{pool_id}/reconcile
+ * Recomputes TotalPool, Granted, Returned and Available from the ledgers (initial_amount + pool events,
+ * grants and their vesting events), compares them with the stored values and lists every discrepancy
+ * with the row responsible
+ * Requires admin role
+ */
+router.get(
+  '/:pool_id/reconcile',
+  authorizeRole('admin'),
+  async (req, res, next) => {
+    const { pool_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    logger.info(`GET /api/pools/${pool_id}/reconcile for tenant ${tenantId}`);
+
+    if (!uuidValidate(pool_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'pool_id must be a valid UUID',
+        },
+      });
+    }
+
+    try {
+      const reconciliation = await reconcilePool(pool, {
+        poolId: pool_id,
+        tenantId,
+      });
+      if (!reconciliation) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Equity pool not found or does not belong to this tenant',
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: reconciliation,
+      });
+    } catch (error) {
+      logger.error(
+        `Error reconciling equity pool ${pool_id}: ${error.message}`,
+        { stack: error.stack }
+      );
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/pools/{pool_id}/reconcile/repair
+ * Resets a drifted total_pool to initial_amount + pool events and records the adjustment in the audit log
+ * Grant-level discrepancies are reported by GET /reconcile but must be corrected on the grants themselves
+ * Requires admin role
+ */
+router.post(
+  '/:pool_id/reconcile/repair',
+  authorizeRole('admin'),
+  async (req, res, next) => {
+    const { pool_id } = req.params;
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+    const { reason } = req.body || {};
+    logger.info(
+      `POST /api/pools/${pool_id}/reconcile/repair for tenant ${tenantId}`
+    );
+
+    if (
+      !uuidValidate(pool_id) ||
+      typeof reason !== 'string' ||
+      reason.trim() === ''
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: uuidValidate(pool_id)
+            ? 'reason is required'
+            : 'pool_id must be a valid UUID',
+        },
+      });
+    }
+
+    try {
+      const result = await withSerializableTransaction(async (client) => {
+        // The pool row stays locked until COMMIT, so no adjustment can slip in between check and repair
+        const before = await reconcilePool(client, {
+          poolId: pool_id,
+          tenantId,
+          forUpdate: true,
+        });
+        if (!before) {
+          const error = new Error(
+            'Equity pool not found or does not belong to this tenant'
+          );
+          error.status = 404;
+          error.code = 'NOT_FOUND';
+          throw error;
+        }
+        if (before.stored.total_pool === before.computed.total_pool) {
+          return { adjustment: null, reconciliation: before };
+        }
+
+        await client.query(
+          'UPDATE equity_pools SET total_pool = $1 WHERE pool_id = $2',
+          [before.computed.total_pool, pool_id]
+        );
+
+        const adjustment = {
+          field: 'total_pool',
+          before: before.stored.total_pool,
+          after: before.computed.total_pool,
+          difference: before.differences.total_pool,
+        };
+        await logAuditAction({
+          tenantId,
+          userId: adminUserId,
+          actionType: 'POOL_RECONCILE_REPAIR',
+          entityType: 'equity_pool',
+          entityId: pool_id,
+          details: {
+            before: { total_pool: adjustment.before },
+            after: { total_pool: adjustment.after },
+            reason: reason.trim(),
+            discrepancies: before.discrepancies,
+          },
+          dbClient: client,
+        });
+
+        return {
+          adjustment,
+          reconciliation: await reconcilePool(client, {
+            poolId: pool_id,
+            tenantId,
+          }),
+        };
+      });
+
+      if (result.adjustment) {
+        logger.info(
+          `Equity pool ${pool_id} total_pool repaired from ${result.adjustment.before} to ${result.adjustment.after} by admin ${adminUserId}`
+        );
+      }
+
+      res.json({
+        success: true,
+        data: {
+          repaired: result.adjustment !== null,
+          adjustment: result.adjustment,
+          reconciliation: result.reconciliation,
+        },
+      });
+    } catch (error) {
+      logger.error(`Error repairing equity pool ${pool_id}: ${error.message}`, {
+        stack: error.stack,
+      });
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/pools/{pool_id}/events
  * Lists events for a specific pool with pagination
+ * Reversed events and their reversals reference each other through reversed_by_event_id / reverses_event_id
  */
 router.get('/:pool_id/events', async (req, res, next) => {
   const { pool_id } = req.params;
@@ -211,13 +980,19 @@ router.get('/:pool_id/events', async (req, res, next) => {
   logger.info(`GET /api/pools/${pool_id}/events for tenant ${tenantId}`);
 
   // Input validation for pagination
-  if (isNaN(parseInt(page)) || parseInt(page) < 1 || isNaN(parseInt(limit)) || parseInt(limit) < 1 || parseInt(limit) > 100) {
+  if (
+    isNaN(parseInt(page)) ||
+    parseInt(page) < 1 ||
+    isNaN(parseInt(limit)) ||
+    parseInt(limit) < 1 ||
+    parseInt(limit) > 100
+  ) {
     return res.status(400).json({
       success: false,
       error: {
         code: 'BAD_REQUEST',
-        message: 'Invalid pagination parameters'
-      }
+        message: 'Invalid pagination parameters',
+      },
     });
   }
 
@@ -233,8 +1008,8 @@ router.get('/:pool_id/events', async (req, res, next) => {
         success: false,
         error: {
           code: 'NOT_FOUND',
-          message: 'Equity pool not found or does not belong to this tenant'
-        }
+          message: 'Equity pool not found or does not belong to this tenant',
+        },
       });
     }
 
@@ -254,10 +1029,13 @@ router.get('/:pool_id/events', async (req, res, next) => {
     }
 
     // Query for the events with pagination
+    // Reversal pairs link both ways: reverses_event_id on the compensating event, reversed_by_event_id on the original
     const eventsQuery = `
       SELECT 
         event_id, pool_id, tenant_id, amount, event_type, 
-        effective_date, notes, created_by, created_at
+        effective_date, notes, reverses_event_id,
+        (SELECT r.event_id FROM pool_events r WHERE r.reverses_event_id = pool_events.event_id) AS reversed_by_event_id,
+        created_by, created_at
       FROM pool_events 
       WHERE pool_id = $1 AND tenant_id = $2${dateFilterClause}
       ORDER BY effective_date DESC, created_at DESC
@@ -268,11 +1046,14 @@ router.get('/:pool_id/events', async (req, res, next) => {
     const countQuery = `
       SELECT COUNT(*) AS total_items
       FROM pool_events 
-      WHERE pool_id = $1 AND tenant_id = $2${dateFilterClause.replace(/\$\d+/g, (match, offset, string) => {
-        // Replace $5::date with $3::date and $6::date with $4::date for the count query
-        const paramNumber = parseInt(match.substring(1));
-        return `$${paramNumber - 2}::date`;
-      })}
+      WHERE pool_id = $1 AND tenant_id = $2${dateFilterClause.replace(
+        /\$\d+/g,
+        (match, offset, string) => {
+          // Replace $5::date with $3::date and $6::date with $4::date for the count query
+          const paramNumber = parseInt(match.substring(1));
+          return `$${paramNumber - 2}::date`;
+        }
+      )}
     `;
 
     // Prepare parameters for count query
@@ -287,12 +1068,12 @@ router.get('/:pool_id/events', async (req, res, next) => {
     // Execute both queries concurrently
     const [eventsResult, countResult] = await Promise.all([
       pool.query(eventsQuery, queryParams),
-      pool.query(countQuery, countParams)
+      pool.query(countQuery, countParams),
     ]);
 
-    const events = eventsResult.rows.map(event => ({
+    const events = eventsResult.rows.map((event) => ({
       ...event,
-      amount: parseFloat(event.amount).toFixed(3) // Format decimal as string with 3 decimal places
+      amount: parseFloat(event.amount).toFixed(3), // Format decimal as string with 3 decimal places
     }));
 
     const totalItems = parseInt(countResult.rows[0].total_items);
@@ -309,11 +1090,14 @@ router.get('/:pool_id/events', async (req, res, next) => {
           limit: parseInt(limit),
           next_page: parseInt(page) < totalPages ? parseInt(page) + 1 : null,
           prev_page: parseInt(page) > 1 ? parseInt(page) - 1 : null,
-        }
-      }
+        },
+      },
     });
   } catch (error) {
-    logger.error(`Error retrieving pool events for pool ${pool_id}: ${error.message}`, { stack: error.stack });
+    logger.error(
+      `Error retrieving pool events for pool ${pool_id}: ${error.message}`,
+      { stack: error.stack }
+    );
     next(error);
   }
 });
@@ -1,60 +1,134 @@
 const express = require('express');
+const { validate: uuidValidate } = require('uuid');
 const { pool } = require('../config/db');
 const logger = require('../config/logger');
 const { authorizeRole } = require('../middleware/auth');
 const { logAuditAction } = require('../utils/auditLogger');
+const {
+  getTenantToday,
+  repricePpsSnapshots,
+} = require('../utils/vestingEngine');
+const { findEffectivePps, findUpcomingPps } = require('../utils/ppsSchedule');
+const { isValidDate } = require('../utils/dates');
 
 const router = express.Router();
 
 // Ensure all routes require authentication
 router.use(authorizeRole(['admin', 'employee']));
 
+// Response for a correction or deletion that would leave the tenant without an effective PPS
+const lastEffectivePpsResponse = (res) =>
+  res.status(409).json({
+    success: false,
+    error: {
+      code: 'LAST_EFFECTIVE_PPS',
+      message:
+        'At least one effective price per share must remain. Add the replacement price before correcting or deleting this one.',
+    },
+  });
+
+// Locks the tenant's live PPS entries before a correction or deletion. Concurrent changes are serialized,
+// so each one checks that an effective PPS remains against what the others left, not against a stale view
+const lockLivePpsEntries = (client, tenantId) =>
+  client.query(
+    'SELECT pps_id FROM pps_history WHERE tenant_id = $1 AND deleted_at IS NULL ORDER BY pps_id FOR UPDATE',
+    [tenantId]
+  );
+
 /**
  * GET /api/pps/current
- * Retrieves the currently effective price per share for the tenant
+ * Retrieves the currently effective price per share for the tenant (today in the tenant's timezone),
+ * with the next scheduled price as upcoming_pps (null if none)
  */
 router.get('/current', async (req, res, next) => {
   const tenantId = req.user?.tenantId;
   logger.info(`GET /api/pps/current for tenant ${tenantId}`);
 
   try {
-    // Find the most recent PPS for the current date using the special lookup query
-    // This retrieves the PPS with the most recent effective date that's <= today,
-    // and if multiple entries have the same date, it takes the one with the latest created_at
-    const result = await pool.query(`
-      SELECT 
-        pps_id, tenant_id, effective_date, price_per_share, created_by, created_at
-      FROM 
-        pps_history
-      WHERE 
-        tenant_id = $1
-        AND effective_date <= CURRENT_DATE
-        AND deleted_at IS NULL
-      ORDER BY 
-        effective_date DESC, created_at DESC
-      LIMIT 1
-    `, [tenantId]);
+    const today = await getTenantToday(pool, tenantId);
+    const [pps, upcomingPps] = await Promise.all([
+      findEffectivePps(pool, tenantId, today),
+      findUpcomingPps(pool, tenantId, today),
+    ]);
 
-    if (result.rows.length === 0) {
+    if (!pps) {
       return res.status(404).json({
         success: false,
         error: {
           code: 'NOT_FOUND',
-          message: 'No price per share has been set for this tenant.'
-        }
+          message: upcomingPps
+            ? 'No price per share is in effect yet. The first one is scheduled for a future date.'
+            : 'No price per share has been set for this tenant.',
+        },
       });
     }
 
-    // Format price_per_share as string with 3 decimal places
-    const pps = result.rows[0];
-    pps.price_per_share = parseFloat(pps.price_per_share).toFixed(3);
+    res.json({
+      success: true,
+      data: {
+        ...pps,
+        upcoming_pps: upcomingPps,
+      },
+    });
+  } catch (error) {
+    logger.error(
+      `Error retrieving current PPS for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pps/at?date=YYYY-MM-DD
+ * Retrieves the price per share in effect on a date (a day in the tenant's timezone): the entry with the
+ * most recent effective date on or before it, and if multiple entries have the same date, the latest created
+ */
+router.get('/at', async (req, res, next) => {
+  const tenantId = req.user?.tenantId;
+  const { date } = req.query;
+  logger.info(`GET /api/pps/at?date=${date} for tenant ${tenantId}`);
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'date is required and must be a valid date (YYYY-MM-DD)',
+      },
+    });
+  }
+
+  try {
+    const [pps, today] = await Promise.all([
+      findEffectivePps(pool, tenantId, date),
+      getTenantToday(pool, tenantId),
+    ]);
+
+    if (!pps) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: `No price per share was in effect on ${date}.`,
+        },
+      });
+    }
 
     res.json({
       success: true,
-      data: pps
+      data: {
+        ...pps,
+        date,
+        // A date after today resolves against the prices scheduled so far
+        is_upcoming: date > today,
+      },
     });
   } catch (error) {
-    logger.error(`Error retrieving current PPS for tenant ${tenantId}: ${error.message}`, { stack: error.stack });
+    logger.error(
+      `Error retrieving PPS on ${date} for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
     next(error);
   }
 });
@@ -62,6 +136,7 @@ router.get('/current', async (req, res, next) => {
 /**
  * GET /api/pps
  * Lists all PPS history entries with pagination
+ * Entries that take effect after today in the tenant's timezone are flagged with is_upcoming
  */
 router.get('/', async (req, res, next) => {
   const tenantId = req.user?.tenantId;
@@ -100,7 +175,8 @@ router.get('/', async (req, res, next) => {
     // Query for PPS history with pagination
     const ppsQuery = `
       SELECT 
-        pps_id, tenant_id, effective_date, price_per_share, created_by, created_at
+        pps_id, tenant_id, effective_date, price_per_share, created_by, created_at,
+        effective_date > (SELECT (NOW() AT TIME ZONE timezone)::date FROM tenants WHERE tenant_id = $1) AS is_upcoming
       FROM 
         pps_history
       WHERE 
@@ -188,8 +264,17 @@ router.post('/', authorizeRole('admin'), async (req, res, next) => {
       success: false,
       error: {
         code: 'BAD_REQUEST',
-        message: 'Missing required fields: effective_date, price_per_share'
-      }
+        message: 'Missing required fields: effective_date, price_per_share',
+      },
+    });
+  }
+  if (!isValidDate(effective_date)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'effective_date must be a valid date (YYYY-MM-DD)',
+      },
     });
   }
 
@@ -200,51 +285,365 @@ router.post('/', authorizeRole('admin'), async (req, res, next) => {
       success: false,
       error: {
         code: 'BAD_REQUEST',
-        message: 'Price per share must be a positive number'
-      }
+        message: 'Price per share must be a positive number',
+      },
     });
   }
 
   try {
     // Begin transaction
     const client = await pool.connect();
-    
+
     try {
       await client.query('BEGIN');
 
       // Insert the new PPS record
-      const ppsResult = await client.query(`
+      const ppsResult = await client.query(
+        `
         INSERT INTO pps_history(
           tenant_id, effective_date, price_per_share, created_by
         ) VALUES ($1, $2, $3, $4)
         RETURNING pps_id, tenant_id, effective_date, price_per_share, created_by, created_at
-      `, [tenantId, effective_date, ppsValue, adminUserId]);
+      `,
+        [tenantId, effective_date, ppsValue, adminUserId]
+      );
 
       const newPps = ppsResult.rows[0];
 
       // Format decimal fields
       newPps.price_per_share = parseFloat(newPps.price_per_share).toFixed(3);
 
-      // TODO: When VestingEvent table exists, update pps_snapshot for affected vesting events
-      // This would be implemented in Stage 4 when the vesting engine is created
-
-      await client.query('COMMIT');
+      // Re-price vesting events whose vest_date now falls under this PPS (SPECIFICATION.md §4.1 rule 8)
+      newPps.repriced_vesting_events = await repricePpsSnapshots(
+        client,
+        tenantId,
+        effective_date
+      );
 
-      logger.info(`PPS entry created successfully for tenant ${tenantId} by admin ${adminUserId}`);
-      
-      logAuditAction({
+      await logAuditAction({
         tenantId,
         userId: adminUserId,
         actionType: 'PPS_CREATE',
         entityType: 'pps_history',
         entityId: newPps.pps_id,
-        details: { request: req.body, createdPps: newPps },
-        dbClient: client // Pass the client to ensure audit log is part of the same transaction
+        details: {
+          before: null,
+          after: newPps,
+          request: req.body,
+          repricedVestingEvents: newPps.repriced_vesting_events,
+        },
+        dbClient: client, // Pass the client to ensure audit log is part of the same transaction
       });
 
+      await client.query('COMMIT');
+
+      logger.info(
+        `PPS entry created successfully for tenant ${tenantId} by admin ${adminUserId} (${newPps.repriced_vesting_events} vesting events repriced)`
+      );
+
       res.status(201).json({
         success: true,
-        data: newPps
+        data: newPps,
+      });
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    logger.error(
+      `Error creating PPS entry for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/pps/{pps_id}
+ * Corrects the price and/or effective date of a PPS entry and re-prices the affected vesting events.
+ * Returns the entry together with the PPS that is current afterwards; a correction that would leave
+ * no effective PPS is rejected
+ * Requires admin role
+ */
+router.patch('/:pps_id', authorizeRole('admin'), async (req, res, next) => {
+  const { pps_id } = req.params;
+  const tenantId = req.user?.tenantId;
+  const adminUserId = req.user?.id;
+  const { effective_date, price_per_share } = req.body;
+
+  logger.info(`PATCH /api/pps/${pps_id} for tenant ${tenantId}`);
+
+  if (!uuidValidate(pps_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'pps_id must be a valid UUID',
+      },
+    });
+  }
+
+  // Input validation
+  if (effective_date === undefined && price_per_share === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message:
+          'At least one of effective_date, price_per_share must be provided',
+      },
+    });
+  }
+  if (effective_date !== undefined && !isValidDate(effective_date)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'effective_date must be a valid date (YYYY-MM-DD)',
+      },
+    });
+  }
+  const ppsValue =
+    price_per_share === undefined ? undefined : parseFloat(price_per_share);
+  if (ppsValue !== undefined && (isNaN(ppsValue) || ppsValue <= 0)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'Price per share must be a positive number',
+      },
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lockLivePpsEntries(client, tenantId);
+
+      const existingResult = await client.query(
+        `
+        SELECT pps_id, effective_date::text AS effective_date, price_per_share
+        FROM pps_history
+        WHERE pps_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+        FOR UPDATE
+      `,
+        [pps_id, tenantId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'PPS entry not found',
+          },
+        });
+      }
+
+      const before = existingResult.rows[0];
+      const today = await getTenantToday(client, tenantId);
+      const currentBefore = await findEffectivePps(client, tenantId, today);
+      const newEffectiveDate =
+        effective_date !== undefined ? effective_date : before.effective_date;
+
+      const ppsResult = await client.query(
+        `
+        UPDATE pps_history
+        SET effective_date = $3, price_per_share = $4
+        WHERE pps_id = $1 AND tenant_id = $2
+        RETURNING pps_id, tenant_id, effective_date, price_per_share, created_by, created_at
+      `,
+        [
+          pps_id,
+          tenantId,
+          newEffectiveDate,
+          ppsValue !== undefined ? ppsValue : before.price_per_share,
+        ]
+      );
+
+      const updatedPps = ppsResult.rows[0];
+      updatedPps.price_per_share = parseFloat(
+        updatedPps.price_per_share
+      ).toFixed(3);
+
+      // Moving the only effective entry into the future would leave no current PPS
+      const currentAfter = await findEffectivePps(client, tenantId, today);
+      if (currentBefore && !currentAfter) {
+        await client.query('ROLLBACK');
+        return lastEffectivePpsResponse(res);
+      }
+      updatedPps.current_pps = currentAfter;
+
+      // A moved entry affects vest dates from the earlier of both dates up to the PPS following the later one
+      const [fromDate, throughDate] = [
+        before.effective_date,
+        newEffectiveDate,
+      ].sort();
+      updatedPps.repriced_vesting_events = await repricePpsSnapshots(
+        client,
+        tenantId,
+        fromDate,
+        throughDate
+      );
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'PPS_UPDATE',
+        entityType: 'pps_history',
+        entityId: pps_id,
+        details: {
+          before: {
+            effective_date: before.effective_date,
+            price_per_share: parseFloat(before.price_per_share).toFixed(3),
+          },
+          after: {
+            effective_date: newEffectiveDate,
+            price_per_share: updatedPps.price_per_share,
+          },
+          currentPpsId: {
+            before: currentBefore ? currentBefore.pps_id : null,
+            after: currentAfter ? currentAfter.pps_id : null,
+          },
+          repricedVestingEvents: updatedPps.repriced_vesting_events,
+        },
+        dbClient: client,
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `PPS entry ${pps_id} corrected for tenant ${tenantId} by admin ${adminUserId} (${updatedPps.repriced_vesting_events} vesting events repriced)`
+      );
+
+      res.json({
+        success: true,
+        data: updatedPps,
+      });
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    logger.error(
+      `Error updating PPS entry ${pps_id} for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/pps/{pps_id}
+ * Soft-deletes a PPS entry and re-prices the vesting events it governed.
+ * Returns the PPS that is current afterwards; deleting the last effective PPS is rejected
+ * Requires admin role
+ */
+router.delete('/:pps_id', authorizeRole('admin'), async (req, res, next) => {
+  const { pps_id } = req.params;
+  const tenantId = req.user?.tenantId;
+  const adminUserId = req.user?.id;
+
+  logger.info(`DELETE /api/pps/${pps_id} for tenant ${tenantId}`);
+
+  if (!uuidValidate(pps_id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'BAD_REQUEST',
+        message: 'pps_id must be a valid UUID',
+      },
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lockLivePpsEntries(client, tenantId);
+
+      const today = await getTenantToday(client, tenantId);
+      const currentBefore = await findEffectivePps(client, tenantId, today);
+
+      const ppsResult = await client.query(
+        `
+        UPDATE pps_history
+        SET deleted_at = NOW()
+        WHERE pps_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+        RETURNING pps_id, effective_date::text AS effective_date, price_per_share
+      `,
+        [pps_id, tenantId]
+      );
+
+      if (ppsResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'PPS entry not found',
+          },
+        });
+      }
+
+      const deletedPps = ppsResult.rows[0];
+
+      const currentAfter = await findEffectivePps(client, tenantId, today);
+      if (currentBefore && !currentAfter) {
+        await client.query('ROLLBACK');
+        return lastEffectivePpsResponse(res);
+      }
+
+      // Vest dates it governed fall back to the preceding PPS entry
+      const repricedVestingEvents = await repricePpsSnapshots(
+        client,
+        tenantId,
+        deletedPps.effective_date
+      );
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'PPS_DELETE',
+        entityType: 'pps_history',
+        entityId: pps_id,
+        details: {
+          before: {
+            effective_date: deletedPps.effective_date,
+            price_per_share: parseFloat(deletedPps.price_per_share).toFixed(3),
+          },
+          after: null,
+          currentPpsId: {
+            before: currentBefore ? currentBefore.pps_id : null,
+            after: currentAfter ? currentAfter.pps_id : null,
+          },
+          repricedVestingEvents,
+        },
+        dbClient: client,
+      });
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `PPS entry ${pps_id} deleted for tenant ${tenantId} by admin ${adminUserId} (${repricedVestingEvents} vesting events repriced)`
+      );
+
+      res.json({
+        success: true,
+        data: {
+          message: 'PPS entry deleted successfully',
+          pps_id,
+          repriced_vesting_events: repricedVestingEvents,
+          current_pps: currentAfter,
+        },
       });
     } catch (txError) {
       await client.query('ROLLBACK');
@@ -253,7 +652,10 @@ router.post('/', authorizeRole('admin'), async (req, res, next) => {
       client.release();
     }
   } catch (error) {
-    logger.error(`Error creating PPS entry for tenant ${tenantId}: ${error.message}`, { stack: error.stack });
+    logger.error(
+      `Error deleting PPS entry ${pps_id} for tenant ${tenantId}: ${error.message}`,
+      { stack: error.stack }
+    );
     next(error);
   }
 });
@@ -97,25 +97,45 @@ router.patch('/', authorizeRole('admin'), async (req, res, next) => {
   `;
 
   try {
-    const result = await pool.query(updateQuery, values);
+    const client = await pool.connect();
+    let updatedTenant;
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(
+        'SELECT tenant_id, name, currency, timezone, created_at FROM tenants WHERE tenant_id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [tenantId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        logger.warn(`Attempted to update non-existent or deleted tenant: ${tenantId}`);
+        return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Tenant not found or already deleted.' } });
+      }
+
+      const result = await client.query(updateQuery, values);
+      updatedTenant = result.rows[0];
+
+      // Audit log entry, written in the same transaction as the change
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'TENANT_UPDATE',
+        entityType: 'tenant',
+        entityId: tenantId,
+        details: { before: existingResult.rows[0], after: updatedTenant, updatedFields: req.body }, // Log requested changes and actual result
+        dbClient: client
+      });
 
-    if (result.rows.length === 0) {
-      logger.warn(`Attempted to update non-existent or deleted tenant: ${tenantId}`);
-      return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Tenant not found or already deleted.' } });
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
     }
 
-    const updatedTenant = result.rows[0];
     logger.info(`Tenant ${tenantId} updated successfully by user ${adminUserId}`);
-    
-    // Audit log entry
-    logAuditAction({
-      tenantId,
-      userId: adminUserId,
-      actionType: 'TENANT_UPDATE',
-      entityType: 'tenant',
-      entityId: tenantId,
-      details: { updatedFields: req.body, afrer: updatedTenant } // Log requested changes and actual result
-    });
 
     res.json({ success: true, data: updatedTenant });
 
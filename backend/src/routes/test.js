@@ -77,9 +77,9 @@ if (process.env.NODE_ENV === 'test' || process.env.NODE_ENV === 'e2e') {
         const poolId = uuidv4();
         const initialAmount = '1000.000';
         await client.query(
-          `INSERT INTO equity_pools (pool_id, tenant_id, initial_amount, total_pool, created_by)
-           VALUES ($1, $2, $3, $3, $4)`,
-          [poolId, tenantId, initialAmount, adminId]
+          `INSERT INTO equity_pools (pool_id, tenant_id, name, initial_amount, total_pool, created_by)
+           VALUES ($1, $2, $3, $4, $4, $5)`,
+          [poolId, tenantId, 'Equity Pool', initialAmount, adminId]
         );
         
         // Create initial pool event
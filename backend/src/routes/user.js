@@ -36,24 +36,38 @@ router.post('/', async (req, res, next) => {
       return res.status(409).json({ success: false, error: { code: 'CONFLICT', message: 'User with this email already exists in this tenant.' } });
     }
 
-    // Insert new user (status defaults to 'active')
-    // Note: auth0_user_id will be null initially, populated by syncUser on first login.
-    const result = await pool.query(
-      'INSERT INTO user_accounts (tenant_id, email, name, role) VALUES ($1, $2, $3, $4) RETURNING user_id, tenant_id, auth0_user_id, email, name, role, status, created_at, deleted_at',
-      [tenantId, email, name, role]
-    );
+    const client = await pool.connect();
+    let newUser;
+    try {
+      await client.query('BEGIN');
+
+      // Insert new user (status defaults to 'active')
+      // Note: auth0_user_id will be null initially, populated by syncUser on first login.
+      const result = await client.query(
+        'INSERT INTO user_accounts (tenant_id, email, name, role) VALUES ($1, $2, $3, $4) RETURNING user_id, tenant_id, auth0_user_id, email, name, role, status, created_at, deleted_at',
+        [tenantId, email, name, role]
+      );
+      newUser = result.rows[0];
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'USER_CREATE',
+        entityType: 'user',
+        entityId: newUser.user_id,
+        details: { before: null, after: newUser },
+        dbClient: client
+      });
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
+    }
 
-    const newUser = result.rows[0];
     logger.info(`Admin ${adminUserId} created user ${newUser.user_id} with email ${email} in tenant ${tenantId}`);
-    
-    logAuditAction({
-      tenantId,
-      userId: adminUserId,
-      actionType: 'USER_CREATE',
-      entityType: 'user',
-      entityId: newUser.user_id,
-      details: { createdUser: newUser } 
-    });
 
     res.status(201).json({ success: true, data: newUser });
   } catch (error) {
@@ -199,24 +213,44 @@ router.patch('/:user_id', async (req, res, next) => {
   `;
 
   try {
-    const result = await pool.query(updateQuery, values);
-
-    if (result.rows.length === 0) {
-      logger.warn(`Admin ${adminUserId} failed to update non-existent/deleted user ${user_id} in tenant ${tenantId}`);
-      return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'User not found or already deleted.' } });
+    const client = await pool.connect();
+    let updatedUser;
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(
+        'SELECT user_id, tenant_id, auth0_user_id, email, name, role, status, created_at, deleted_at FROM user_accounts WHERE user_id = $1 AND tenant_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [user_id, tenantId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        logger.warn(`Admin ${adminUserId} failed to update non-existent/deleted user ${user_id} in tenant ${tenantId}`);
+        return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'User not found or already deleted.' } });
+      }
+
+      const result = await client.query(updateQuery, values);
+      updatedUser = result.rows[0];
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'USER_UPDATE',
+        entityType: 'user',
+        entityId: user_id,
+        details: { before: existingResult.rows[0], after: updatedUser, updatedFields: req.body },
+        dbClient: client
+      });
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
     }
 
-    const updatedUser = result.rows[0];
     logger.info(`Admin ${adminUserId} updated user ${user_id} in tenant ${tenantId}. Changes: ${JSON.stringify(req.body)}`);
-    
-    logAuditAction({
-      tenantId,
-      userId: adminUserId,
-      actionType: 'USER_UPDATE',
-      entityType: 'user',
-      entityId: user_id,
-      details: { updatedFields: req.body, userAfterUpdate: updatedUser }
-    });
 
     res.json({ success: true, data: updatedUser });
   } catch (error) {
@@ -233,28 +267,67 @@ router.delete('/:user_id', async (req, res, next) => {
   const adminUserId = req.user?.id;
 
   try {
-    const result = await pool.query(
-      'UPDATE user_accounts SET deleted_at = current_timestamp WHERE user_id = $1 AND tenant_id = $2 AND deleted_at IS NULL RETURNING user_id',
-      [user_id, tenantId]
-    );
-
-    if (result.rowCount === 0) {
-      // Either user doesn't exist or was already deleted
-      logger.warn(`Admin ${adminUserId} failed to delete user ${user_id} in tenant ${tenantId} (not found or already deleted).`);
-      // Consider returning 404, but 200 is also acceptable for idempotency if already deleted
-      return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'User not found or already deleted.' } });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(
+        'SELECT user_id, tenant_id, auth0_user_id, email, name, role, status, created_at, deleted_at FROM user_accounts WHERE user_id = $1 AND tenant_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [user_id, tenantId]
+      );
+
+      if (existingResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        // Either user doesn't exist or was already deleted
+        logger.warn(`Admin ${adminUserId} failed to delete user ${user_id} in tenant ${tenantId} (not found or already deleted).`);
+        // Consider returning 404, but 200 is also acceptable for idempotency if already deleted
+        return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'User not found or already deleted.' } });
+      }
+
+      await client.query(
+        'UPDATE user_accounts SET deleted_at = current_timestamp WHERE user_id = $1 AND tenant_id = $2',
+        [user_id, tenantId]
+      );
+
+      await logAuditAction({
+        tenantId,
+        userId: adminUserId,
+        actionType: 'USER_DELETE',
+        entityType: 'user',
+        entityId: user_id,
+        details: { before: existingResult.rows[0], after: null },
+        dbClient: client
+      });
+
+      // Release the employee record so a new account with the same email can be linked to it
+      const unlinkedResult = await client.query(
+        `UPDATE employees SET user_id = NULL
+         WHERE tenant_id = $1 AND user_id = $2
+         RETURNING *, $2::uuid AS previous_user_id`,
+        [tenantId, user_id]
+      );
+      for (const unlinkedEmployee of unlinkedResult.rows) {
+        const { previous_user_id, ...after } = unlinkedEmployee;
+        await logAuditAction({
+          tenantId,
+          userId: adminUserId,
+          actionType: 'EMPLOYEE_UNLINK_USER',
+          entityType: 'employee',
+          entityId: unlinkedEmployee.employee_id,
+          details: { before: { ...after, user_id: previous_user_id }, after },
+          dbClient: client
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK');
+      throw txError;
+    } finally {
+      client.release();
     }
 
     logger.info(`Admin ${adminUserId} soft deleted user ${user_id} in tenant ${tenantId}`);
-    
-    logAuditAction({
-      tenantId,
-      userId: adminUserId,
-      actionType: 'USER_DELETE',
-      entityType: 'user',
-      entityId: user_id,
-      details: { deletedUserId: user_id }
-    });
 
     res.status(200).json({ success: true, data: { message: 'User successfully deleted.' } }); // Send success message as per api.yml Success schema
 
@@ -0,0 +1,98 @@
+const express = require('express');
+const { validate: uuidValidate } = require('uuid');
+const logger = require('../config/logger');
+const { authorizeRole } = require('../middleware/auth');
+const { runVestingBatch } = require('../utils/vestingBatch');
+const { isValidDate } = require('../utils/dates');
+
+const router = express.Router();
+
+/**
+ * POST /api/vesting/batch-calculate
+ * Runs vesting up to as_of_date (calculation_date is accepted as an alias, default: today in the
+ * tenant's timezone) for all due grants of the tenant, or exactly the given grant_ids, the same way
+ * the nightly job does. With dry_run the events that would be created are returned without being
+ * written.
+ * data holds one result per grant (including failures); summary holds the run totals.
+ * Requires admin role
+ */
+router.post(
+  '/batch-calculate',
+  authorizeRole('admin'),
+  async (req, res, next) => {
+    const tenantId = req.user?.tenantId;
+    const adminUserId = req.user?.id;
+    const { grant_ids, dry_run = false } = req.body || {};
+    const asOfDate = req.body?.as_of_date ?? req.body?.calculation_date;
+
+    logger.info(
+      `POST /api/vesting/batch-calculate for tenant ${tenantId}${dry_run === true ? ' (dry run)' : ''}`
+    );
+
+    // Input validation
+    if (asOfDate !== undefined && !isValidDate(asOfDate)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'as_of_date must be a valid date (YYYY-MM-DD)',
+        },
+      });
+    }
+    if (
+      grant_ids !== undefined &&
+      (!Array.isArray(grant_ids) ||
+        grant_ids.length === 0 ||
+        !grant_ids.every((id) => uuidValidate(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'grant_ids must be a non-empty array of grant IDs',
+        },
+      });
+    }
+    if (typeof dry_run !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'BAD_REQUEST',
+          message: 'dry_run must be a boolean',
+        },
+      });
+    }
+
+    try {
+      const { results, ...summary } = await runVestingBatch({
+        tenantId,
+        runDate: asOfDate,
+        trigger: 'manual',
+        triggeredBy: adminUserId,
+        grantIds: grant_ids
+          ? [...new Set(grant_ids.map((id) => id.toLowerCase()))]
+          : null,
+        dryRun: dry_run,
+      });
+
+      res.json({
+        success: true,
+        data: results,
+        summary: {
+          ...summary,
+          processed_count: summary.grants_processed,
+        },
+      });
+    } catch (error) {
+      logger.error(
+        `Error running vesting batch for tenant ${tenantId}: ${error.message}`,
+        {
+          stack: error.stack,
+        }
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
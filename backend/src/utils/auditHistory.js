@@ -0,0 +1,94 @@
+/**
+ * Builds the change history of an entity from its audit log entries, whose details record the
+ * state of the entity as { before, after } snapshots (see auditLogger.logAuditAction).
+ */
+
+const isSnapshot = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Classifies an audit entry by the snapshots it records.
+ *
+ * @param {object|null} before - The state before the action.
+ * @param {object|null} after - The state after the action.
+ * @returns {string} 'create', 'update', 'delete' or 'none' (the action did not record a state change).
+ */
+function classifyChange(before, after) {
+  if (isSnapshot(after)) {
+    return isSnapshot(before) ? 'update' : 'create';
+  }
+  return isSnapshot(before) ? 'delete' : 'none';
+}
+
+/**
+ * Lists the fields whose values differ between two snapshots. Values are compared by their JSON
+ * representation, so nested objects are compared deeply. A field missing from a snapshot is null.
+ *
+ * @param {object|null} before - The state before the action.
+ * @param {object|null} after - The state after the action.
+ * @returns {Array<{field: string, before: *, after: *}>} The changes, sorted by field name.
+ */
+function diffSnapshots(before, after) {
+  const beforeState = isSnapshot(before) ? before : {};
+  const afterState = isSnapshot(after) ? after : {};
+  const fields = [
+    ...new Set([...Object.keys(beforeState), ...Object.keys(afterState)]),
+  ].sort();
+
+  return fields
+    .map((field) => ({
+      field,
+      before: beforeState[field] === undefined ? null : beforeState[field],
+      after: afterState[field] === undefined ? null : afterState[field],
+    }))
+    .filter(
+      (change) => JSON.stringify(change.before) !== JSON.stringify(change.after)
+    );
+}
+
+/**
+ * Builds the diffed timeline of an entity and reconstructs its state after the last entry.
+ *
+ * Snapshots may be partial (e.g. a vesting calculation only records the vested amount), so the
+ * state is rebuilt by layering each entry's snapshots onto the state before it: the before
+ * snapshot fills in fields not yet known, the after snapshot overrides them. A delete clears it.
+ *
+ * @param {Array<object>} entries - The entity's audit log rows in chain order, each with details.
+ * @returns {{timeline: Array<object>, state: object|null, deleted: boolean}}
+ */
+function buildEntityHistory(entries) {
+  let state = null;
+  let deleted = false;
+
+  const timeline = entries.map((entry) => {
+    const before = isSnapshot(entry.details?.before)
+      ? entry.details.before
+      : null;
+    const after = isSnapshot(entry.details?.after) ? entry.details.after : null;
+    const change = classifyChange(before, after);
+
+    if (change === 'delete') {
+      state = null;
+      deleted = true;
+    } else if (change !== 'none') {
+      state = { ...(state || {}), ...(before || {}), ...after };
+      deleted = false;
+    }
+
+    return {
+      log_id: entry.log_id,
+      chain_seq: parseInt(entry.chain_seq),
+      created_at: entry.created_at,
+      action_type: entry.action_type,
+      user_id: entry.user_id,
+      user_name: entry.user_name,
+      user_email: entry.user_email,
+      change,
+      changes: diffSnapshots(before, after),
+    };
+  });
+
+  return { timeline, state, deleted };
+}
+
+module.exports = { classifyChange, diffSnapshots, buildEntityHistory };
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for building entity histories from audit log { before, after } snapshots
+ */
+const {
+  classifyChange,
+  diffSnapshots,
+  buildEntityHistory,
+} = require('./auditHistory');
+
+const entry = (seq, before, after, extra = {}) => ({
+  log_id: `log-${seq}`,
+  chain_seq: String(seq),
+  created_at: `2025-01-0${seq}T00:00:00.000Z`,
+  action_type: 'EMPLOYEE_UPDATE',
+  details: { before, after, ...extra },
+});
+
+describe('Audit History', () => {
+  describe('classifyChange', () => {
+    it('should classify entries by the snapshots they record', () => {
+      expect(classifyChange(null, { a: 1 })).toBe('create');
+      expect(classifyChange({ a: 1 }, { a: 2 })).toBe('update');
+      expect(classifyChange({ a: 1 }, null)).toBe('delete');
+      expect(classifyChange(null, null)).toBe('none');
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list only the changed fields, sorted by name', () => {
+      expect(
+        diffSnapshots(
+          { name: 'A', status: 'active', tags: { x: 1 } },
+          { name: 'B', status: 'active', tags: { x: 2 }, email: 'a@x.com' }
+        )
+      ).toEqual([
+        { field: 'email', before: null, after: 'a@x.com' },
+        { field: 'name', before: 'A', after: 'B' },
+        { field: 'tags', before: { x: 1 }, after: { x: 2 } },
+      ]);
+    });
+
+    it('should treat a missing snapshot as an empty record', () => {
+      expect(diffSnapshots({ name: 'A' }, null)).toEqual([
+        { field: 'name', before: 'A', after: null },
+      ]);
+    });
+  });
+
+  describe('buildEntityHistory', () => {
+    it('should layer partial snapshots onto the reconstructed state', () => {
+      const { timeline, state, deleted } = buildEntityHistory([
+        entry(1, null, { grant_id: 'g1', vested_amount: '0.000', version: 1 }),
+        entry(2, { vested_amount: '0.000' }, { vested_amount: '12.000' }),
+        entry(3, null, null, { note: 'no state change' }),
+      ]);
+
+      expect(state).toEqual({
+        grant_id: 'g1',
+        vested_amount: '12.000',
+        version: 1,
+      });
+      expect(deleted).toBe(false);
+      expect(timeline.map((item) => item.change)).toEqual([
+        'create',
+        'update',
+        'none',
+      ]);
+      expect(timeline[1].changes).toEqual([
+        { field: 'vested_amount', before: '0.000', after: '12.000' },
+      ]);
+      expect(timeline[2].changes).toEqual([]);
+      expect(timeline.map((item) => item.chain_seq)).toEqual([1, 2, 3]);
+    });
+
+    it('should clear the state when the record is deleted', () => {
+      const { state, deleted } = buildEntityHistory([
+        entry(1, null, { name: 'A' }),
+        entry(2, { name: 'A' }, null),
+      ]);
+
+      expect(state).toBeNull();
+      expect(deleted).toBe(true);
+    });
+
+    it('should start from the before snapshot when the creation was not recorded', () => {
+      const { state } = buildEntityHistory([
+        entry(1, { name: 'A', email: 'a@x.com' }, { name: 'B' }),
+      ]);
+
+      expect(state).toEqual({ name: 'B', email: 'a@x.com' });
+    });
+  });
+});
@@ -1,33 +1,56 @@
-const { pool } = require('../config/db');
 const logger = require('../config/logger');
 
+/**
+ * Checks that audit details follow the { before, after } structure enforced by
+ * chk_audit_log_details_structure: both keys present, each an object or null.
+ *
+ * @param {*} details - The audit details.
+ * @returns {boolean}
+ */
+function hasDetailsStructure(details) {
+  const isObjectOrNull = (value) => value === null || (typeof value === 'object' && !Array.isArray(value));
+  return (
+    typeof details === 'object' && details !== null && !Array.isArray(details) &&
+    details.before !== undefined && isObjectOrNull(details.before) &&
+    details.after !== undefined && isObjectOrNull(details.after)
+  );
+}
+
 /**
  * Logs an action to the audit_logs table.
  *
+ * Audit logging is mandatory: the entry is written with the given client, which must be the client of the
+ * transaction making the change so that the change never commits without its audit entry. Failures are
+ * thrown, rolling that transaction back. Actions that do not run in a transaction (e.g. exports) pass the pool.
+ * The database chains the entry into the tenant's hash chain (trg_audit_logs_chain) on insert.
+ *
  * @param {object} options - The audit log options.
  * @param {string} options.tenantId - The ID of the tenant.
  * @param {string} [options.userId] - The ID of the user performing the action (can be null for system actions).
  * @param {string} options.actionType - The type of action performed (e.g., 'USER_CREATE', 'TENANT_UPDATE').
  * @param {string} [options.entityType] - The type of entity being affected (e.g., 'user', 'tenant', 'pool_event').
  * @param {string} [options.entityId] - The ID of the entity being affected.
- * @param {object} [options.details] - An object containing details about the action (e.g., { before: {...}, after: {...} } or request payload).
- * @param {object} [options.dbClient] - Optional database client if called within an existing transaction.
+ * @param {object} options.details - { before, after } state of the entity (null for creations and deletions),
+ *   optionally with further keys describing the action (e.g. the request payload).
+ * @param {object} options.dbClient - The database client of the transaction making the change.
+ * @returns {Promise<string>} The log_id of the entry.
  */
 async function logAuditAction(options) {
-  const { 
-    tenantId, 
-    userId, 
-    actionType, 
-    entityType, 
-    entityId, 
-    details = {}, // Default to empty object for details
-    dbClient // Optional existing DB client
+  const {
+    tenantId,
+    userId,
+    actionType,
+    entityType,
+    entityId,
+    details,
+    dbClient
   } = options;
 
-  if (!tenantId || !actionType) {
-    logger.error('[AuditLogger] Missing required fields for audit logging: tenantId and actionType must be provided.', options);
-    // Decide if to throw an error or just log and continue if audit logging is non-critical path
-    return;
+  if (!tenantId || !actionType || !dbClient) {
+    throw new Error('[AuditLogger] tenantId, actionType and dbClient are required for audit logging.');
+  }
+  if (!hasDetailsStructure(details)) {
+    throw new Error(`[AuditLogger] Details of ${actionType} must have the structure { before, after } (each an object or null).`);
   }
 
   const query = `
@@ -38,22 +61,20 @@ async function logAuditAction(options) {
   const params = [tenantId, userId, actionType, entityType, entityId, details];
 
   try {
-    const client = dbClient || pool; // Use provided client or get one from the pool
-    const result = await client.query(query, params);
-    // logger.info(`[AuditLogger] Action logged successfully. Log ID: ${result.rows[0].log_id}`, { actionType, entityId });
+    const result = await dbClient.query(query, params);
+    return result.rows[0].log_id;
   } catch (error) {
-    logger.error('[AuditLogger] Failed to write audit log.', 
-      { 
-        errorMessage: error.message, 
-        stack: error.stack, 
-        actionType, 
-        entityId, 
-        tenantId 
+    logger.error('[AuditLogger] Failed to write audit log.',
+      {
+        errorMessage: error.message,
+        stack: error.stack,
+        actionType,
+        entityId,
+        tenantId
       }
     );
-    // Depending on policy, this error might need to be handled more strictly,
-    // but for now, we log it and don't let it break the main operation.
+    throw error;
   }
 }
 
-module.exports = { logAuditAction }; 
\ No newline at end of file
+module.exports = { logAuditAction };
@@ -0,0 +1,20 @@
+/**
+ * Checks that a value is a real calendar date in 'YYYY-MM-DD' form.
+ * Date.parse accepts impossible days such as '2026-02-30' (it rolls them over
+ * to March), which PostgreSQL then rejects, so the date is built in UTC and
+ * must come back with the same year, month and day.
+ *
+ * @param {*} value - The value to check, usually a request parameter.
+ * @returns {boolean} Whether the value is a valid 'YYYY-MM-DD' date.
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+module.exports = {
+  isValidDate,
+};
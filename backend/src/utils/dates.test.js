@@ -0,0 +1,29 @@
+/**
+ * Unit tests for date validation
+ */
+const { isValidDate } = require('./dates');
+
+describe('isValidDate', () => {
+  it('should accept calendar dates in YYYY-MM-DD form', () => {
+    expect(isValidDate('2024-01-15')).toBe(true);
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-12-31')).toBe(true);
+  });
+
+  it('should reject days that do not exist in the month', () => {
+    expect(isValidDate('2026-02-30')).toBe(false);
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2024-04-31')).toBe(false);
+    expect(isValidDate('2024-13-01')).toBe(false);
+    expect(isValidDate('2024-00-10')).toBe(false);
+  });
+
+  it('should reject values that are not YYYY-MM-DD strings', () => {
+    expect(isValidDate('garbage')).toBe(false);
+    expect(isValidDate('2024-1-15')).toBe(false);
+    expect(isValidDate('2024-01-15T00:00:00Z')).toBe(false);
+    expect(isValidDate(20240115)).toBe(false);
+    expect(isValidDate(undefined)).toBe(false);
+    expect(isValidDate(null)).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+const { pool } = require('../config/db');
+const logger = require('../config/logger');
+const { logAuditAction } = require('./auditLogger');
+
+/**
+ * Finds the active employee record belonging to an authenticated user.
+ * Employees are linked to user accounts through employees.user_id.
+ *
+ * @param {string} userId - The user_accounts.user_id of the caller.
+ * @param {string} tenantId - The ID of the tenant.
+ * @returns {Promise<object|null>} The employee row, or null if none is linked.
+ */
+async function findEmployeeForUser(userId, tenantId) {
+  const result = await pool.query(
+    `SELECT e.employee_id, e.email
+     FROM employees e
+     WHERE e.user_id = $1 AND e.tenant_id = $2 AND e.deleted_at IS NULL AND e.status = 'active'`,
+    [userId, tenantId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Links a user account to the unlinked employee record with the same email, unless the user is
+ * already linked to an employee or an admin has linked or unlinked that employee by hand
+ * (user_link_locked). Run on every authenticated request by syncUser, so it only writes when there
+ * is something to link.
+ *
+ * @param {object} user - The user_accounts row (user_id, tenant_id, email).
+ * @returns {Promise<object|null>} The linked employee row, or null if nothing was linked.
+ */
+async function linkEmployeeByEmail(user) {
+  const candidateResult = await pool.query(
+    `SELECT e.employee_id
+     FROM employees e
+     WHERE e.tenant_id = $1 AND e.email = $2 AND e.user_id IS NULL AND e.user_link_locked = false
+       AND e.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM employees linked WHERE linked.user_id = $3 AND linked.deleted_at IS NULL
+       )`,
+    [user.tenant_id, user.email, user.user_id]
+  );
+  if (candidateResult.rows.length === 0) {
+    return null;
+  }
+  const employeeId = candidateResult.rows[0].employee_id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Re-checked under the row lock: a concurrent request or an admin may have linked it meanwhile
+    const existingResult = await client.query(
+      `SELECT * FROM employees
+       WHERE employee_id = $1 AND user_id IS NULL AND user_link_locked = false AND deleted_at IS NULL
+       FOR UPDATE`,
+      [employeeId]
+    );
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const linkResult = await client.query(
+      'UPDATE employees SET user_id = $1 WHERE employee_id = $2 RETURNING *',
+      [user.user_id, employeeId]
+    );
+    const linkedEmployee = linkResult.rows[0];
+
+    await logAuditAction({
+      tenantId: user.tenant_id,
+      userId: user.user_id,
+      actionType: 'EMPLOYEE_LINK_USER',
+      entityType: 'employee',
+      entityId: employeeId,
+      details: {
+        before: existingResult.rows[0],
+        after: linkedEmployee,
+        automatic: true,
+      },
+      dbClient: client,
+    });
+
+    await client.query('COMMIT');
+    logger.info(
+      `Linked user ${user.user_id} to employee ${employeeId} by email for tenant ${user.tenant_id}`
+    );
+    return linkedEmployee;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Another request linked the user to an employee first (idx_employees_user_id_unique)
+    if (error.code === '23505') {
+      return null;
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { findEmployeeForUser, linkEmployeeByEmail };
@@ -0,0 +1,194 @@
+const { pool } = require('../config/db');
+const logger = require('../config/logger');
+
+// SQLSTATEs that mean "retry the whole transaction": serialization_failure, deadlock_detected
+const RETRYABLE_ERROR_CODES = ['40001', '40P01'];
+const MAX_SERIALIZABLE_ATTEMPTS = 5;
+
+/**
+ * Builds an error the central error handler turns into a JSON error response.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {string} code - API error code.
+ * @param {string} message - Error message.
+ * @returns {Error}
+ */
+function poolError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Runs work(client) inside a SERIALIZABLE transaction, retrying the whole
+ * transaction when PostgreSQL aborts it with a serialization failure or a
+ * deadlock. work must not send responses: it either returns a result or
+ * throws, and it may run more than once.
+ *
+ * @param {function(object): Promise<*>} work - Receives a pg client with an open transaction.
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before giving up with a 409.
+ * @returns {Promise<*>} The value returned by work.
+ */
+async function withSerializableTransaction(
+  work,
+  { maxAttempts = MAX_SERIALIZABLE_ATTEMPTS } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!RETRYABLE_ERROR_CODES.includes(error.code)) {
+        throw error;
+      }
+      if (attempt >= maxAttempts) {
+        logger.warn(
+          `Serializable transaction failed after ${attempt} attempts: ${error.message}`
+        );
+        throw poolError(
+          409,
+          'CONFLICT',
+          'The pool was modified concurrently. Please retry.'
+        );
+      }
+      logger.info(
+        `Serialization failure (attempt ${attempt}/${maxAttempts}), retrying transaction`
+      );
+      // Short randomized backoff so competing transactions don't collide again
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.floor(Math.random() * 20 * attempt))
+      );
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Resolves the equity pool a grant draws from. An explicit poolId must be one
+ * of the tenant's pools; without one the tenant must have exactly one pool.
+ *
+ * @param {object} client - A pg client or pool.
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string} [poolId] - The pool_id requested by the client, if any.
+ * @returns {Promise<string>} The pool_id.
+ */
+async function resolvePoolId(client, tenantId, poolId = null) {
+  const result = await client.query(
+    `SELECT pool_id FROM equity_pools
+     WHERE tenant_id = $1 AND deleted_at IS NULL AND ($2::uuid IS NULL OR pool_id = $2::uuid)
+     ORDER BY created_at`,
+    [tenantId, poolId]
+  );
+  if (result.rows.length === 0) {
+    throw poolError(
+      404,
+      'POOL_NOT_FOUND',
+      poolId
+        ? 'Equity pool not found for this tenant.'
+        : 'No equity pool exists for this tenant.'
+    );
+  }
+  if (result.rows.length > 1) {
+    throw poolError(
+      400,
+      'POOL_REQUIRED',
+      'pool_id is required because this tenant has multiple equity pools.'
+    );
+  }
+  return result.rows[0].pool_id;
+}
+
+/**
+ * Applies a pool adjustment through sp_adjust_pool(). Must be called inside
+ * withSerializableTransaction. For 'grant', 'termination' and 'grant_delete'
+ * the grant row must already be inserted (or resized) / terminated /
+ * soft-deleted in the same transaction.
+ *
+ * Validation failures raised by the stored function are rethrown with an HTTP
+ * status and API error code (e.g. 400 INSUFFICIENT_SHARES).
+ *
+ * @param {object} client - A pg client inside a SERIALIZABLE transaction.
+ * @param {object} adjustment
+ * @param {string} adjustment.poolId - The pool to adjust.
+ * @param {string} adjustment.tenantId - The ID of the tenant.
+ * @param {string} adjustment.operation - 'initial', 'top_up', 'reduction', 'grant', 'termination' or 'grant_delete'.
+ * @param {string|number} adjustment.amount - Signed for pool events; share_amount / unvested_shares_returned for grants.
+ * @param {string} [adjustment.effectiveDate] - Effective date of a pool event ('YYYY-MM-DD').
+ * @param {string} [adjustment.notes] - Notes for a pool event.
+ * @param {string} adjustment.userId - The user making the change.
+ * @param {string} [adjustment.grantId] - The grant for 'grant', 'termination' and 'grant_delete'.
+ * @returns {Promise<{event_id: string|null, total_pool: string, granted_shares: string, returned_shares: string, available_shares: string}>}
+ */
+async function adjustPool(
+  client,
+  {
+    poolId,
+    tenantId,
+    operation,
+    amount,
+    effectiveDate = null,
+    notes = null,
+    userId,
+    grantId = null,
+  }
+) {
+  let result;
+  try {
+    result = await client.query(
+      'SELECT * FROM sp_adjust_pool($1::UUID, $2::UUID, $3::VARCHAR, $4::TEXT, $5::DATE, $6::TEXT, $7::UUID, $8::UUID)',
+      [
+        poolId,
+        tenantId,
+        operation,
+        parseFloat(amount).toFixed(3),
+        effectiveDate,
+        notes,
+        userId,
+        grantId,
+      ]
+    );
+  } catch (error) {
+    // Serialization failures are left untouched so the transaction is retried
+    if (RETRYABLE_ERROR_CODES.includes(error.code)) throw error;
+    if (error.message.startsWith('Insufficient available shares')) {
+      throw poolError(400, 'INSUFFICIENT_SHARES', error.message);
+    }
+    if (error.message.startsWith('Pool not found with ID:')) {
+      throw poolError(404, 'POOL_NOT_FOUND', error.message);
+    }
+    if (error.message.startsWith('Cannot reduce pool by')) {
+      throw poolError(400, 'INSUFFICIENT_AVAILABLE_SHARES', error.message);
+    }
+    if (
+      error.message.startsWith('Pool total cannot be negative') ||
+      error.message.startsWith('Invalid amount') ||
+      error.message.includes('is out of range for DECIMAL') ||
+      error.message.includes('already has an initial event')
+    ) {
+      throw poolError(400, 'POOL_ADJUSTMENT_VALIDATION_ERROR', error.message);
+    }
+    throw error;
+  }
+
+  const metrics = result.rows[0];
+  return {
+    event_id: metrics.event_id,
+    total_pool: parseFloat(metrics.total_pool).toFixed(3),
+    granted_shares: parseFloat(metrics.granted_shares).toFixed(3),
+    returned_shares: parseFloat(metrics.returned_shares).toFixed(3),
+    available_shares: parseFloat(metrics.available_shares).toFixed(3),
+  };
+}
+
+module.exports = {
+  withSerializableTransaction,
+  resolvePoolId,
+  adjustPool,
+};
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the serializable transaction retry
+ */
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Mock the db pool: every attempt checks out a fresh client
+jest.mock('../config/db', () => ({
+  pool: {
+    connect: jest.fn(),
+  },
+}));
+
+const { pool } = require('../config/db');
+const { withSerializableTransaction } = require('./poolAdjustment');
+
+/**
+ * Creates a client whose COMMIT fails with failures[n] on the nth attempt (no error once they run out)
+ * @param {Array<Object>} failures - The errors thrown by COMMIT, attempt by attempt
+ * @returns {Object} - The mocked client
+ */
+const createClient = (failures) => ({
+  query: jest.fn(async (text) => {
+    if (text === 'COMMIT' && failures.length > 0) {
+      throw failures.shift();
+    }
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+});
+
+describe('withSerializableTransaction', () => {
+  let clients;
+
+  // Connects the clients for the given failures, one client per attempt
+  const mockConnections = (failures) => {
+    clients = [];
+    pool.connect.mockImplementation(async () => {
+      const client = createClient(failures);
+      clients.push(client);
+      return client;
+    });
+  };
+
+  beforeEach(() => {
+    pool.connect.mockReset();
+    // No backoff delay between attempts
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should retry the transaction after serialization failures and deadlocks', async () => {
+    mockConnections([{ code: '40001' }, { code: '40P01' }]);
+    const work = jest.fn(async () => 'done');
+
+    await expect(withSerializableTransaction(work)).resolves.toBe('done');
+
+    expect(work).toHaveBeenCalledTimes(3);
+    expect(pool.connect).toHaveBeenCalledTimes(3);
+    clients.forEach((client) => {
+      expect(client.query).toHaveBeenCalledWith(
+        'BEGIN ISOLATION LEVEL SERIALIZABLE'
+      );
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+    expect(clients[0].query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(clients[2].query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('should give up with a 409 CONFLICT after 5 attempts', async () => {
+    mockConnections(Array.from({ length: 10 }, () => ({ code: '40001' })));
+    const work = jest.fn(async () => 'done');
+
+    await expect(withSerializableTransaction(work)).rejects.toMatchObject({
+      status: 409,
+      code: 'CONFLICT',
+    });
+
+    expect(work).toHaveBeenCalledTimes(5);
+    expect(pool.connect).toHaveBeenCalledTimes(5);
+    clients.forEach((client) => {
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should honor maxAttempts', async () => {
+    mockConnections(Array.from({ length: 10 }, () => ({ code: '40001' })));
+
+    await expect(
+      withSerializableTransaction(async () => 'done', { maxAttempts: 2 })
+    ).rejects.toMatchObject({ status: 409, code: 'CONFLICT' });
+
+    expect(pool.connect).toHaveBeenCalledTimes(2);
+  });
+
+  it('should rethrow other errors without retrying', async () => {
+    mockConnections([]);
+    const error = Object.assign(new Error('Insufficient shares'), {
+      status: 400,
+      code: 'INSUFFICIENT_SHARES',
+    });
+    const work = jest.fn(async () => {
+      throw error;
+    });
+
+    await expect(withSerializableTransaction(work)).rejects.toBe(error);
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(clients[0].query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(clients[0].release).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,218 @@
+const { toThousandths, formatThousandths } = require('./vestingEngine');
+
+const METRIC_FIELDS = [
+  'total_pool',
+  'granted_shares',
+  'returned_shares',
+  'available_shares',
+];
+
+/**
+ * Recomputes a pool's metrics from first principles and compares them with the stored values.
+ *
+ * Stored values are the running total equity_pools.total_pool and the grants' own
+ * unvested_shares_returned, as used by func_pool_metrics(). Computed values come from the ledgers:
+ *   TotalPool = initial_amount + Σ non-initial pool_events.amount
+ *   Granted   = Σ share_amount of the pool's non-deleted grants
+ *   Returned  = Σ (share_amount - Σ vesting_events.shares_vested) of its inactive grants
+ *   Available = TotalPool - Granted + Returned
+ *
+ * @param {object} input
+ * @param {object} input.equityPool - The equity_pools row (pool_id, initial_amount, total_pool).
+ * @param {object[]} input.initialEvents - The pool's 'initial' pool_events (event_id, amount).
+ * @param {string} input.eventTotal - Σ amount of the pool's other events.
+ * @param {object[]} input.grants - The pool's non-deleted grants (grant_id, status, share_amount,
+ *   vested_amount, unvested_shares_returned, vested_from_events).
+ * @param {object} input.storedMetrics - The row returned by func_pool_metrics().
+ * @returns {{pool_id: string, consistent: boolean, stored: object, computed: object, differences: object, discrepancies: object[]}}
+ */
+function buildReconciliation({
+  equityPool,
+  initialEvents,
+  eventTotal,
+  grants,
+  storedMetrics,
+}) {
+  const discrepancies = [];
+  const initialAmount = toThousandths(equityPool.initial_amount);
+
+  if (initialEvents.length === 0) {
+    discrepancies.push({
+      type: 'missing_initial_event',
+      message: 'The pool has no initial event.',
+      entity_type: 'equity_pool',
+      entity_id: equityPool.pool_id,
+      stored: null,
+      computed: formatThousandths(initialAmount),
+    });
+  }
+  initialEvents.forEach((event, index) => {
+    if (index > 0) {
+      discrepancies.push({
+        type: 'duplicate_initial_event',
+        message: 'The pool has more than one initial event.',
+        entity_type: 'pool_event',
+        entity_id: event.event_id,
+        stored: formatThousandths(toThousandths(event.amount)),
+        computed: null,
+      });
+    } else if (toThousandths(event.amount) !== initialAmount) {
+      discrepancies.push({
+        type: 'initial_event_amount_mismatch',
+        message:
+          "The initial event's amount differs from the pool's initial_amount.",
+        entity_type: 'pool_event',
+        entity_id: event.event_id,
+        stored: formatThousandths(toThousandths(event.amount)),
+        computed: formatThousandths(initialAmount),
+      });
+    }
+  });
+
+  const computed = {
+    total_pool: initialAmount + toThousandths(eventTotal),
+    granted_shares: 0,
+    returned_shares: 0,
+  };
+  if (toThousandths(equityPool.total_pool) !== computed.total_pool) {
+    discrepancies.push({
+      type: 'total_pool_mismatch',
+      message:
+        'The stored total_pool differs from initial_amount plus the pool events.',
+      entity_type: 'equity_pool',
+      entity_id: equityPool.pool_id,
+      stored: formatThousandths(toThousandths(equityPool.total_pool)),
+      computed: formatThousandths(computed.total_pool),
+    });
+  }
+
+  grants.forEach((grant) => {
+    const shareAmount = toThousandths(grant.share_amount);
+    const vested = toThousandths(grant.vested_from_events);
+    computed.granted_shares += shareAmount;
+
+    if (toThousandths(grant.vested_amount) !== vested) {
+      discrepancies.push({
+        type: 'vested_amount_mismatch',
+        message:
+          "The grant's vested_amount differs from the sum of its vesting events.",
+        entity_type: 'grant',
+        entity_id: grant.grant_id,
+        stored: formatThousandths(toThousandths(grant.vested_amount)),
+        computed: formatThousandths(vested),
+      });
+    }
+
+    // Only terminated grants give their unvested shares back to the pool
+    const expectedReturned =
+      grant.status === 'inactive' ? shareAmount - vested : 0;
+    computed.returned_shares += expectedReturned;
+    if (toThousandths(grant.unvested_shares_returned) !== expectedReturned) {
+      discrepancies.push({
+        type: 'returned_shares_mismatch',
+        message:
+          grant.status === 'inactive'
+            ? "The terminated grant's unvested_shares_returned differs from its unvested shares."
+            : 'The active grant has unvested_shares_returned set.',
+        entity_type: 'grant',
+        entity_id: grant.grant_id,
+        stored: formatThousandths(
+          toThousandths(grant.unvested_shares_returned)
+        ),
+        computed: formatThousandths(expectedReturned),
+      });
+    }
+  });
+
+  computed.available_shares =
+    computed.total_pool - computed.granted_shares + computed.returned_shares;
+  if (computed.available_shares < 0) {
+    discrepancies.push({
+      type: 'negative_available',
+      message: 'More shares are granted than the pool holds.',
+      entity_type: 'equity_pool',
+      entity_id: equityPool.pool_id,
+      stored: null,
+      computed: formatThousandths(computed.available_shares),
+    });
+  }
+
+  const stored = {};
+  const differences = {};
+  const computedFormatted = {};
+  METRIC_FIELDS.forEach((field) => {
+    const storedValue = toThousandths(storedMetrics[field]);
+    stored[field] = formatThousandths(storedValue);
+    computedFormatted[field] = formatThousandths(computed[field]);
+    differences[field] = formatThousandths(computed[field] - storedValue);
+  });
+
+  return {
+    pool_id: equityPool.pool_id,
+    consistent: discrepancies.length === 0,
+    stored,
+    computed: computedFormatted,
+    differences,
+    discrepancies,
+  };
+}
+
+/**
+ * Loads a pool's ledgers and reconciles them with its stored values (see buildReconciliation).
+ *
+ * @param {object} db - A pg client or pool.
+ * @param {object} options
+ * @param {string} options.poolId - The pool to reconcile.
+ * @param {string} options.tenantId - The ID of the tenant.
+ * @param {boolean} [options.forUpdate] - Lock the pool row, for a repair in the same transaction.
+ * @returns {Promise<object|null>} The reconciliation, or null if the pool does not exist.
+ */
+async function reconcilePool(db, { poolId, tenantId, forUpdate = false }) {
+  const poolResult = await db.query(
+    `SELECT pool_id, initial_amount, total_pool
+     FROM equity_pools
+     WHERE pool_id = $1 AND tenant_id = $2 AND deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+    [poolId, tenantId]
+  );
+  if (poolResult.rows.length === 0) {
+    return null;
+  }
+
+  const [eventsResult, grantsResult, metricsResult] = await Promise.all([
+    db.query(
+      `SELECT event_id, amount, event_type
+       FROM pool_events
+       WHERE pool_id = $1
+       ORDER BY created_at, event_id`,
+      [poolId]
+    ),
+    db.query(
+      `SELECT g.grant_id, g.status, g.share_amount, g.vested_amount, g.unvested_shares_returned,
+              COALESCE(SUM(ve.shares_vested), 0) AS vested_from_events
+       FROM grants g
+       LEFT JOIN vesting_events ve ON ve.grant_id = g.grant_id
+       WHERE g.pool_id = $1 AND g.deleted_at IS NULL
+       GROUP BY g.grant_id
+       ORDER BY g.created_at, g.grant_id`,
+      [poolId]
+    ),
+    db.query('SELECT * FROM func_pool_metrics($1)', [poolId]),
+  ]);
+
+  const otherEvents = eventsResult.rows.filter(
+    (event) => event.event_type !== 'initial'
+  );
+  return buildReconciliation({
+    equityPool: poolResult.rows[0],
+    initialEvents: eventsResult.rows.filter(
+      (event) => event.event_type === 'initial'
+    ),
+    eventTotal: formatThousandths(
+      otherEvents.reduce((sum, event) => sum + toThousandths(event.amount), 0)
+    ),
+    grants: grantsResult.rows,
+    storedMetrics: metricsResult.rows[0],
+  });
+}
+
+module.exports = { buildReconciliation, reconcilePool };
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for reconciling a pool's stored values with its ledgers
+ */
+const { buildReconciliation } = require('./poolReconciliation');
+
+const consistentInput = () => ({
+  equityPool: {
+    pool_id: 'pool-1',
+    initial_amount: '1000.000',
+    total_pool: '1100.000',
+  },
+  initialEvents: [{ event_id: 'event-1', amount: '1000.000' }],
+  eventTotal: '100.000',
+  grants: [
+    {
+      grant_id: 'grant-1',
+      status: 'active',
+      share_amount: '480.000',
+      vested_amount: '120.000',
+      unvested_shares_returned: '0.000',
+      vested_from_events: '120.000',
+    },
+    {
+      grant_id: 'grant-2',
+      status: 'inactive',
+      share_amount: '48.000',
+      vested_amount: '12.000',
+      unvested_shares_returned: '36.000',
+      vested_from_events: '12.000',
+    },
+  ],
+  storedMetrics: {
+    total_pool: '1100.000',
+    granted_shares: '528.000',
+    returned_shares: '36.000',
+    available_shares: '608.000',
+  },
+});
+
+describe('Pool Reconciliation', () => {
+  describe('buildReconciliation', () => {
+    it('should report a pool whose stored values match its ledgers as consistent', () => {
+      const reconciliation = buildReconciliation(consistentInput());
+
+      expect(reconciliation.consistent).toBe(true);
+      expect(reconciliation.discrepancies).toEqual([]);
+      expect(reconciliation.computed).toEqual(reconciliation.stored);
+      expect(reconciliation.differences.available_shares).toBe('0.000');
+    });
+
+    it('should report a drifted total_pool with the difference to the ledger', () => {
+      const input = consistentInput();
+      input.equityPool.total_pool = '1150.000';
+      input.storedMetrics.total_pool = '1150.000';
+      input.storedMetrics.available_shares = '658.000';
+
+      const reconciliation = buildReconciliation(input);
+
+      expect(reconciliation.consistent).toBe(false);
+      expect(reconciliation.differences.total_pool).toBe('-50.000');
+      expect(reconciliation.differences.available_shares).toBe('-50.000');
+      expect(reconciliation.discrepancies).toEqual([
+        expect.objectContaining({
+          type: 'total_pool_mismatch',
+          entity_type: 'equity_pool',
+          entity_id: 'pool-1',
+          stored: '1150.000',
+          computed: '1100.000',
+        }),
+      ]);
+    });
+
+    it('should name the grants whose vested or returned shares disagree with their vesting events', () => {
+      const input = consistentInput();
+      input.grants[1].vested_from_events = '24.000';
+
+      const reconciliation = buildReconciliation(input);
+
+      expect(reconciliation.computed.returned_shares).toBe('24.000');
+      expect(
+        reconciliation.discrepancies.map((discrepancy) => [
+          discrepancy.type,
+          discrepancy.entity_id,
+        ])
+      ).toEqual([
+        ['vested_amount_mismatch', 'grant-2'],
+        ['returned_shares_mismatch', 'grant-2'],
+      ]);
+    });
+
+    it('should report missing initial events and negative Available', () => {
+      const input = consistentInput();
+      input.initialEvents = [];
+      input.grants[0].share_amount = '2000.000';
+
+      const types = buildReconciliation(input).discrepancies.map(
+        (discrepancy) => discrepancy.type
+      );
+
+      expect(types).toEqual(['missing_initial_event', 'negative_available']);
+    });
+  });
+});
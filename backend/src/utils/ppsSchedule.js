@@ -0,0 +1,149 @@
+const logger = require('../config/logger');
+const { logAuditAction } = require('./auditLogger');
+
+const PPS_COLUMNS =
+  'pps_id, tenant_id, effective_date, price_per_share, created_by, created_at';
+
+const formatPps = (pps) => ({
+  ...pps,
+  price_per_share: parseFloat(pps.price_per_share).toFixed(3),
+});
+
+/**
+ * Finds the PPS entry in effect on a date: the one with the most recent
+ * effective date on or before it, and if multiple entries have the same date,
+ * the one with the latest created_at.
+ *
+ * @param {object} db - A pg client or pool.
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string} date - The tenant-local date ('YYYY-MM-DD').
+ * @returns {Promise<object|null>} The PPS entry, or null if no price was in effect.
+ */
+async function findEffectivePps(db, tenantId, date) {
+  const result = await db.query(
+    `SELECT ${PPS_COLUMNS}
+     FROM pps_history
+     WHERE tenant_id = $1 AND effective_date <= $2::date AND deleted_at IS NULL
+     ORDER BY effective_date DESC, created_at DESC
+     LIMIT 1`,
+    [tenantId, date]
+  );
+  return result.rows.length > 0 ? formatPps(result.rows[0]) : null;
+}
+
+/**
+ * Finds the next scheduled PPS entry after a date: the one with the earliest
+ * future effective date, and of those the one that will win (latest created_at).
+ *
+ * @param {object} db - A pg client or pool.
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string} date - The tenant-local date ('YYYY-MM-DD').
+ * @returns {Promise<object|null>} The PPS entry, or null if no price is scheduled.
+ */
+async function findUpcomingPps(db, tenantId, date) {
+  const result = await db.query(
+    `SELECT ${PPS_COLUMNS}
+     FROM pps_history
+     WHERE tenant_id = $1 AND effective_date > $2::date AND deleted_at IS NULL
+     ORDER BY effective_date ASC, created_at DESC
+     LIMIT 1`,
+    [tenantId, date]
+  );
+  return result.rows.length > 0 ? formatPps(result.rows[0]) : null;
+}
+
+/**
+ * Records a PPS_EFFECTIVE audit entry when a scheduled PPS has become effective
+ * by date, so the change of price can be notified. A PPS counts as scheduled
+ * when it was entered before its effective date in the tenant's timezone;
+ * entries that were effective right away were already audited by PPS_CREATE.
+ * Only the entry that wins for the date is reported, and at most once, so the
+ * call is safe to repeat. A day the worker missed is reported on the next one.
+ *
+ * @param {object} db - The pool; the entry is written in its own transaction.
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string} date - The tenant-local date ('YYYY-MM-DD').
+ * @returns {Promise<object|null>} The PPS that became effective (pps_id, effective_date,
+ *   price_per_share), or null if no scheduled PPS that was not reported yet is in effect on date.
+ */
+async function notifyScheduledPpsEffective(db, tenantId, date) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    // The winning entry for date, whether it was entered in advance and whether it was already reported
+    const result = await client.query(
+      `SELECT p.pps_id, p.effective_date::text AS effective_date, p.price_per_share,
+         (p.created_at AT TIME ZONE t.timezone)::date < p.effective_date AS scheduled,
+         EXISTS (
+           SELECT 1 FROM audit_logs a
+           WHERE a.tenant_id = p.tenant_id AND a.action_type = 'PPS_EFFECTIVE' AND a.entity_id = p.pps_id
+         ) AS notified
+       FROM pps_history p
+       JOIN tenants t ON t.tenant_id = p.tenant_id
+       WHERE p.tenant_id = $1 AND p.effective_date <= $2::date AND p.deleted_at IS NULL
+       ORDER BY p.effective_date DESC, p.created_at DESC
+       LIMIT 1
+       FOR UPDATE OF p`,
+      [tenantId, date]
+    );
+    const pps = result.rows[0];
+    if (!pps || !pps.scheduled || pps.notified) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const previousResult = await client.query(
+      `SELECT pps_id, price_per_share
+       FROM pps_history
+       WHERE tenant_id = $1 AND effective_date < $2::date AND deleted_at IS NULL
+       ORDER BY effective_date DESC, created_at DESC
+       LIMIT 1`,
+      [tenantId, pps.effective_date]
+    );
+    const previous = previousResult.rows[0];
+    const pricePerShare = parseFloat(pps.price_per_share).toFixed(3);
+
+    await logAuditAction({
+      tenantId,
+      userId: null,
+      actionType: 'PPS_EFFECTIVE',
+      entityType: 'pps_history',
+      entityId: pps.pps_id,
+      details: {
+        before: previous
+          ? {
+              pps_id: previous.pps_id,
+              price_per_share: parseFloat(previous.price_per_share).toFixed(3),
+            }
+          : null,
+        after: {
+          pps_id: pps.pps_id,
+          effective_date: pps.effective_date,
+          price_per_share: pricePerShare,
+        },
+      },
+      dbClient: client,
+    });
+    await client.query('COMMIT');
+
+    logger.info(
+      `Scheduled PPS ${pps.pps_id} became effective for tenant ${tenantId} on ${pps.effective_date}`
+    );
+    return {
+      pps_id: pps.pps_id,
+      effective_date: pps.effective_date,
+      price_per_share: pricePerShare,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  findEffectivePps,
+  findUpcomingPps,
+  notifyScheduledPpsEffective,
+};
@@ -0,0 +1,384 @@
+const { pool } = require('../config/db');
+const logger = require('../config/logger');
+const { logAuditAction } = require('./auditLogger');
+const { getTenantToday, vestGrant } = require('./vestingEngine');
+
+/**
+ * Finds the tenants whose scheduled daily vesting run is due: it is at or past
+ * runHour in the tenant's timezone and no scheduled run exists yet for the
+ * tenant-local date. Failed runs are retried on the next poll.
+ *
+ * A scheduled run still 'running' after staleRunMinutes was left behind by a
+ * worker that stopped mid-run (e.g. a crash). It is marked failed first, so its
+ * tenant-day is retried instead of being blocked forever.
+ *
+ * @param {number} runHour - Local hour (0-23) at which the daily run starts.
+ * @param {number} [staleRunMinutes] - Minutes after which a running scheduled run is considered abandoned.
+ * @returns {Promise<Array<{tenant_id: string, timezone: string, local_date: string}>>}
+ */
+async function findTenantsDueForScheduledRun(runHour, staleRunMinutes = 360) {
+  await pool.query(
+    `UPDATE vesting_batch_runs
+     SET status = 'failed', failures = $2, finished_at = NOW()
+     WHERE trigger = 'scheduled' AND status = 'running'
+       AND started_at < NOW() - make_interval(mins => $1)`,
+    [
+      staleRunMinutes,
+      JSON.stringify([
+        {
+          grant_id: null,
+          error: `The run did not finish within ${staleRunMinutes} minutes.`,
+        },
+      ]),
+    ]
+  );
+
+  const result = await pool.query(
+    `
+    SELECT t.tenant_id, t.timezone, (NOW() AT TIME ZONE t.timezone)::date::text AS local_date
+    FROM tenants t
+    WHERE t.deleted_at IS NULL
+      AND EXTRACT(HOUR FROM NOW() AT TIME ZONE t.timezone) >= $1
+      AND NOT EXISTS (
+        SELECT 1 FROM vesting_batch_runs r
+        WHERE r.tenant_id = t.tenant_id
+          AND r.trigger = 'scheduled'
+          AND r.run_date = (NOW() AT TIME ZONE t.timezone)::date
+          AND r.status <> 'failed'
+      )
+    ORDER BY t.tenant_id
+  `,
+    [runHour]
+  );
+  return result.rows;
+}
+
+/**
+ * Vests a single grant in its own transaction. The grant row is locked with
+ * FOR UPDATE so the batch and POST /grants/:grant_id/calculate-vesting (or a
+ * termination) serialize on the same grant instead of racing each other.
+ * Created events are recorded as a VESTING_CALCULATE audit entry in the same
+ * transaction. With dryRun the vesting engine runs as usual but the transaction
+ * is rolled back, so the result shows exactly what a real run would create.
+ *
+ * @param {string} grantId - The ID of the grant.
+ * @param {string} asOfDate - Vest tranches up to this date ('YYYY-MM-DD').
+ * @param {string|null} userId - The user who triggered the run (null for the scheduler).
+ * @param {string} runId - The vesting batch run the grant is vested by.
+ * @param {boolean} [dryRun] - Roll back instead of committing.
+ * @returns {Promise<{createdEvents: object[], vestedAmount: string, version: number}>}
+ */
+async function vestGrantLocked(
+  grantId,
+  asOfDate,
+  userId,
+  runId,
+  dryRun = false
+) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const grantResult = await client.query(
+      `SELECT grant_id, tenant_id, grant_date::text AS grant_date, share_amount, vested_amount, status, version
+       FROM grants
+       WHERE grant_id = $1 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [grantId]
+    );
+    // The grant may have been terminated or deleted since it was selected
+    const grant = grantResult.rows[0];
+    const vesting = grant
+      ? await vestGrant(client, grant, asOfDate, userId)
+      : { createdEvents: [], vestedAmount: null, version: null };
+    if (vesting.createdEvents.length > 0) {
+      await logAuditAction({
+        tenantId: grant.tenant_id,
+        userId,
+        actionType: 'VESTING_CALCULATE',
+        entityType: 'grant',
+        entityId: grantId,
+        details: {
+          before: {
+            vested_amount: parseFloat(grant.vested_amount).toFixed(3),
+            version: grant.version,
+          },
+          after: {
+            vested_amount: vesting.vestedAmount,
+            version: vesting.version,
+          },
+          calculationDate: asOfDate,
+          createdEvents: vesting.createdEvents,
+          batchRunId: runId,
+        },
+        dbClient: client,
+      });
+    }
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return vesting;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs the vesting batch for one tenant: every active grant whose cliff has
+ * passed gets the tranches that are due up to runDate. Each grant is vested in
+ * its own transaction so one failure does not abort the run; the outcome is
+ * recorded in vesting_batch_runs.
+ *
+ * A dry run computes the same per-grant results without writing anything: no
+ * vesting events, no vesting_batch_runs row and no audit entry.
+ *
+ * @param {object} options - The run options.
+ * @param {string} options.tenantId - The ID of the tenant.
+ * @param {string} [options.runDate] - Tenant-local date to vest up to ('YYYY-MM-DD'), defaults to today in the tenant's timezone.
+ * @param {string} [options.trigger] - 'scheduled' for the daily job, 'manual' for on-demand runs and backfills.
+ * @param {string} [options.triggeredBy] - The user who requested a manual run.
+ * @param {string[]} [options.grantIds] - Process exactly these grants instead of all due grants of the tenant.
+ * @param {boolean} [options.dryRun] - Report what would be vested without persisting it.
+ * @returns {Promise<object>} The vesting_batch_runs row for the run (run_id is null for a dry run),
+ *   plus dry_run and results: one entry per grant processed or failed.
+ */
+async function runVestingBatch({
+  tenantId,
+  runDate,
+  trigger = 'manual',
+  triggeredBy = null,
+  grantIds = null,
+  dryRun = false,
+}) {
+  const today = await getTenantToday(pool, tenantId);
+  const asOfDate = runDate || today;
+  if (asOfDate > today) {
+    const error = new Error(
+      `Run date cannot be after the current date in the tenant's timezone (${today}).`
+    );
+    error.status = 400;
+    error.code = 'BAD_REQUEST';
+    throw error;
+  }
+
+  let runId = 'dry-run';
+  if (!dryRun) {
+    let runResult;
+    try {
+      runResult = await pool.query(
+        `INSERT INTO vesting_batch_runs (tenant_id, run_date, trigger, triggered_by)
+         VALUES ($1, $2::date, $3, $4)
+         RETURNING run_id`,
+        [tenantId, asOfDate, trigger, triggeredBy]
+      );
+    } catch (error) {
+      // idx_vesting_batch_runs_scheduled_unique: one scheduled run per tenant-day unless it failed
+      if (error.code === '23505') {
+        const conflict = new Error(
+          `A scheduled vesting batch for tenant ${tenantId} on ${asOfDate} has already been started.`
+        );
+        conflict.status = 409;
+        conflict.code = 'CONFLICT';
+        throw conflict;
+      }
+      throw error;
+    }
+    runId = runResult.rows[0].run_id;
+  }
+  logger.info(
+    `Vesting batch ${runId} started for tenant ${tenantId} as of ${asOfDate} (${trigger})`
+  );
+
+  let grantsProcessed = 0;
+  let eventsCreated = 0;
+  let sharesVested = 0;
+  const failures = [];
+  const results = [];
+
+  try {
+    // Without grantIds only grants with tranches possibly due are selected;
+    // (grant_date + 12 months) applies the same month-end clamp as the cliff vest date
+    const grantsResult = await pool.query(
+      `SELECT grant_id
+       FROM grants
+       WHERE tenant_id = $1 AND deleted_at IS NULL
+         AND (
+           ($3::uuid[] IS NULL AND status = 'active'
+             AND vested_amount < share_amount
+             AND (grant_date + INTERVAL '12 months')::date <= $2::date)
+           OR grant_id = ANY($3::uuid[])
+         )
+       ORDER BY grant_date, grant_id`,
+      [tenantId, asOfDate, grantIds]
+    );
+
+    // Requested grants that do not exist in this tenant are reported as failures
+    const foundGrantIds = new Set(grantsResult.rows.map((row) => row.grant_id));
+    (grantIds || [])
+      .filter((grantId) => !foundGrantIds.has(grantId))
+      .forEach((grantId) => {
+        failures.push({ grant_id: grantId, error: 'Grant not found.' });
+        results.push({
+          grant_id: grantId,
+          success: false,
+          vested_amount: null,
+          events_created: 0,
+          shares_vested: '0.000',
+          created_events: [],
+          error: 'Grant not found.',
+        });
+      });
+
+    for (const { grant_id } of grantsResult.rows) {
+      try {
+        const vesting = await vestGrantLocked(
+          grant_id,
+          asOfDate,
+          triggeredBy,
+          runId,
+          dryRun
+        );
+        grantsProcessed++;
+        eventsCreated += vesting.createdEvents.length;
+        let grantSharesVested = 0;
+        vesting.createdEvents.forEach((event) => {
+          grantSharesVested += parseFloat(event.shares_vested);
+        });
+        sharesVested += grantSharesVested;
+        results.push({
+          grant_id,
+          success: true,
+          vested_amount: vesting.vestedAmount,
+          events_created: vesting.createdEvents.length,
+          shares_vested: grantSharesVested.toFixed(3),
+          // Rolled-back events of a dry run have no identity worth returning
+          created_events: vesting.createdEvents.map((event) => ({
+            vesting_id: dryRun ? null : event.vesting_id,
+            vest_date: event.vest_date,
+            shares_vested: parseFloat(event.shares_vested).toFixed(3),
+            pps_snapshot:
+              event.pps_snapshot === null
+                ? null
+                : parseFloat(event.pps_snapshot).toFixed(3),
+          })),
+          error: null,
+        });
+      } catch (error) {
+        logger.error(
+          `Vesting batch ${runId} failed for grant ${grant_id}: ${error.message}`,
+          { stack: error.stack }
+        );
+        failures.push({ grant_id, error: error.message });
+        results.push({
+          grant_id,
+          success: false,
+          vested_amount: null,
+          events_created: 0,
+          shares_vested: '0.000',
+          created_events: [],
+          error: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    logger.error(`Vesting batch ${runId} failed: ${error.message}`, {
+      stack: error.stack,
+    });
+    if (dryRun) throw error;
+    await pool.query(
+      `UPDATE vesting_batch_runs
+       SET status = 'failed', failures = $2, finished_at = NOW()
+       WHERE run_id = $1`,
+      [runId, JSON.stringify([{ grant_id: null, error: error.message }])]
+    );
+    throw error;
+  }
+
+  const status = failures.length > 0 ? 'completed_with_errors' : 'completed';
+  if (dryRun) {
+    logger.info(
+      `Vesting batch dry run for tenant ${tenantId}: ${grantsProcessed} grants would be processed, ${eventsCreated} events created, ${failures.length} failures`
+    );
+    return {
+      run_id: null,
+      tenant_id: tenantId,
+      run_date: asOfDate,
+      trigger,
+      status,
+      grants_processed: grantsProcessed,
+      grants_failed: failures.length,
+      events_created: eventsCreated,
+      shares_vested: sharesVested.toFixed(3),
+      failures: failures.length > 0 ? failures : null,
+      triggered_by: triggeredBy,
+      dry_run: true,
+      results,
+    };
+  }
+
+  // The run summary and its audit entry are written together
+  const client = await pool.connect();
+  let summary;
+  try {
+    await client.query('BEGIN');
+    const summaryResult = await client.query(
+      `UPDATE vesting_batch_runs
+       SET status = $2, grants_processed = $3, grants_failed = $4, events_created = $5,
+           shares_vested = $6, failures = $7, finished_at = NOW()
+       WHERE run_id = $1
+       RETURNING run_id, tenant_id, run_date::text AS run_date, trigger, status, grants_processed,
+         grants_failed, events_created, shares_vested, failures, triggered_by, started_at, finished_at`,
+      [
+        runId,
+        status,
+        grantsProcessed,
+        failures.length,
+        eventsCreated,
+        sharesVested.toFixed(3),
+        failures.length > 0 ? JSON.stringify(failures) : null,
+      ]
+    );
+    summary = summaryResult.rows[0];
+    summary.shares_vested = parseFloat(summary.shares_vested).toFixed(3);
+
+    if (eventsCreated > 0 || failures.length > 0) {
+      await logAuditAction({
+        tenantId,
+        userId: triggeredBy,
+        actionType: 'VESTING_BATCH_RUN',
+        entityType: 'vesting_batch_run',
+        entityId: runId,
+        details: {
+          before: null,
+          after: {
+            runDate: asOfDate,
+            trigger,
+            status,
+            grantsProcessed,
+            grantsFailed: failures.length,
+            eventsCreated,
+            sharesVested: summary.shares_vested,
+          },
+        },
+        dbClient: client,
+      });
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(
+    `Vesting batch ${runId} finished for tenant ${tenantId}: ${grantsProcessed} grants processed, ${eventsCreated} events created, ${failures.length} failures`
+  );
+
+  return { ...summary, dry_run: false, results };
+}
+
+module.exports = {
+  findTenantsDueForScheduledRun,
+  runVestingBatch,
+};
@@ -0,0 +1,161 @@
+/**
+ * Tests for picking the tenants whose scheduled vesting run is due
+ * Runs against the test database, inside the integration test transaction
+ */
+const IntegrationTestBase = require('../__tests__/integration-test-base');
+const {
+  findTenantsDueForScheduledRun,
+  runVestingBatch,
+} = require('./vestingBatch');
+
+const testBase = new IntegrationTestBase();
+
+describe('Vesting Batch', () => {
+  beforeEach(async () => {
+    await testBase.setup();
+  });
+
+  afterEach(async () => {
+    await testBase.teardown();
+  });
+
+  /**
+   * Creates a tenant in the given timezone with its current local hour and date
+   */
+  const createTenant = async (timezone) => {
+    const tenant = await testBase.dbHelper.createTestTenant({ timezone });
+    const localResult = await testBase.query(
+      `SELECT EXTRACT(HOUR FROM NOW() AT TIME ZONE $1)::int AS local_hour,
+              (NOW() AT TIME ZONE $1)::date::text AS local_date`,
+      [timezone]
+    );
+    return { ...tenant, ...localResult.rows[0] };
+  };
+
+  const insertRun = async (tenant, status, overrides = {}) => {
+    const result = await testBase.query(
+      `INSERT INTO vesting_batch_runs (tenant_id, run_date, trigger, status, started_at)
+       VALUES ($1, $2, $3, $4, NOW() - make_interval(mins => $5))
+       RETURNING run_id`,
+      [
+        tenant.tenant_id,
+        overrides.run_date || tenant.local_date,
+        overrides.trigger || 'scheduled',
+        status,
+        overrides.started_minutes_ago || 0,
+      ]
+    );
+    return result.rows[0].run_id;
+  };
+
+  const findDueTenantIds = async (runHour, staleRunMinutes) => {
+    const tenants = await findTenantsDueForScheduledRun(
+      runHour,
+      staleRunMinutes
+    );
+    return tenants.map((tenant) => tenant.tenant_id);
+  };
+
+  describe('findTenantsDueForScheduledRun', () => {
+    it('should only return tenants that have reached the run hour in their timezone', async () => {
+      // Ten hours apart, so exactly one of them has reached the later local hour
+      const east = await createTenant('Etc/GMT-5');
+      const west = await createTenant('Etc/GMT+5');
+      const [ahead, behind] =
+        east.local_hour > west.local_hour ? [east, west] : [west, east];
+
+      const dueTenantIds = await findDueTenantIds(ahead.local_hour);
+
+      expect(dueTenantIds).toContain(ahead.tenant_id);
+      expect(dueTenantIds).not.toContain(behind.tenant_id);
+
+      const due = await findTenantsDueForScheduledRun(ahead.local_hour);
+      expect(due.find((t) => t.tenant_id === ahead.tenant_id)).toEqual({
+        tenant_id: ahead.tenant_id,
+        timezone: ahead.timezone,
+        local_date: ahead.local_date,
+      });
+    });
+
+    it('should retry a day whose scheduled run failed', async () => {
+      const tenant = await createTenant('UTC');
+      await insertRun(tenant, 'failed');
+
+      expect(await findDueTenantIds(0)).toContain(tenant.tenant_id);
+    });
+
+    it('should skip a day whose scheduled run already succeeded', async () => {
+      const completed = await createTenant('UTC');
+      await insertRun(completed, 'completed');
+      const withErrors = await createTenant('UTC');
+      await insertRun(withErrors, 'completed_with_errors');
+
+      const dueTenantIds = await findDueTenantIds(0);
+
+      expect(dueTenantIds).not.toContain(completed.tenant_id);
+      expect(dueTenantIds).not.toContain(withErrors.tenant_id);
+    });
+
+    it('should not count manual runs or runs of other days', async () => {
+      const tenant = await createTenant('UTC');
+      await insertRun(tenant, 'completed', { trigger: 'manual' });
+      await insertRun(tenant, 'completed', { run_date: '2024-01-31' });
+
+      expect(await findDueTenantIds(0)).toContain(tenant.tenant_id);
+    });
+
+    it('should mark a stale running run failed and retry its day', async () => {
+      const stale = await createTenant('UTC');
+      const staleRunId = await insertRun(stale, 'running', {
+        started_minutes_ago: 120,
+      });
+      const inProgress = await createTenant('UTC');
+      const inProgressRunId = await insertRun(inProgress, 'running', {
+        started_minutes_ago: 30,
+      });
+
+      const dueTenantIds = await findDueTenantIds(0, 60);
+
+      expect(dueTenantIds).toContain(stale.tenant_id);
+      expect(dueTenantIds).not.toContain(inProgress.tenant_id);
+
+      const runsResult = await testBase.query(
+        'SELECT run_id, status, failures, finished_at FROM vesting_batch_runs WHERE run_id = ANY($1)',
+        [[staleRunId, inProgressRunId]]
+      );
+      const runs = Object.fromEntries(
+        runsResult.rows.map((run) => [run.run_id, run])
+      );
+      expect(runs[staleRunId].status).toBe('failed');
+      expect(runs[staleRunId].failures).toEqual([
+        { grant_id: null, error: 'The run did not finish within 60 minutes.' },
+      ]);
+      expect(runs[staleRunId].finished_at).not.toBeNull();
+      expect(runs[inProgressRunId].status).toBe('running');
+    });
+  });
+
+  describe('runVestingBatch', () => {
+    it('should refuse a second scheduled run for the same day', async () => {
+      const tenant = await createTenant('UTC');
+      await insertRun(tenant, 'completed');
+
+      await expect(
+        runVestingBatch({ tenantId: tenant.tenant_id, trigger: 'scheduled' })
+      ).rejects.toMatchObject({ status: 409, code: 'CONFLICT' });
+    });
+
+    it('should start a new scheduled run after a failed one', async () => {
+      const tenant = await createTenant('UTC');
+      await insertRun(tenant, 'failed');
+
+      const summary = await runVestingBatch({
+        tenantId: tenant.tenant_id,
+        trigger: 'scheduled',
+      });
+
+      expect(summary.status).toBe('completed');
+      expect(summary.run_date).toBe(tenant.local_date);
+    });
+  });
+});
@@ -0,0 +1,357 @@
+const logger = require('../config/logger');
+
+// Vesting schedule constants from SPECIFICATION.md §2.4 / §4.1
+const TOTAL_VESTING_MONTHS = 48;
+const CLIFF_MONTHS = 12;
+
+/**
+ * Converts a DECIMAL(12,3) value (string or number) to an integer count of
+ * thousandths so tranche arithmetic never touches floating point.
+ *
+ * @param {string|number} value - The decimal value, e.g. '48.000'.
+ * @returns {number} The value in thousandths, e.g. 48000.
+ */
+function toThousandths(value) {
+  const [whole, fraction = ''] = String(value).trim().split('.');
+  const sign = whole.startsWith('-') ? -1 : 1;
+  const units = Math.abs(parseInt(whole, 10) || 0) * 1000;
+  return sign * (units + parseInt(fraction.padEnd(3, '0').slice(0, 3), 10));
+}
+
+/**
+ * Formats an integer count of thousandths as a 3 dp decimal string.
+ *
+ * @param {number} thousandths - The value in thousandths.
+ * @returns {string} The decimal string, e.g. '12.000'.
+ */
+function formatThousandths(thousandths) {
+  const sign = thousandths < 0 ? '-' : '';
+  const abs = Math.abs(thousandths);
+  return `${sign}${Math.floor(abs / 1000)}.${String(abs % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Integer division rounded half to even (Banker's Rounding).
+ *
+ * @param {number} numerator - Non-negative integer numerator.
+ * @param {number} denominator - Positive integer denominator.
+ * @returns {number} The rounded quotient.
+ */
+function roundHalfEven(numerator, denominator) {
+  const quotient = Math.floor(numerator / denominator);
+  const twiceRemainder = 2 * (numerator - quotient * denominator);
+  if (twiceRemainder > denominator) return quotient + 1;
+  if (twiceRemainder < denominator) return quotient;
+  return quotient % 2 === 0 ? quotient : quotient + 1;
+}
+
+/**
+ * Normalizes a DATE value to a 'YYYY-MM-DD' string. The pg driver parses DATE
+ * columns into local-midnight Date objects, so local getters are used for those.
+ *
+ * @param {string|Date} value - The date value.
+ * @returns {string} The date as 'YYYY-MM-DD'.
+ */
+function toDateString(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Adds calendar months to a date applying the month-end and leap-year rules:
+ * the day is clamped to the last day of the target month, so a 31 Jan grant
+ * vests on 28/29 Feb and a 29 Feb grant vests on 28 Feb in non-leap years.
+ *
+ * @param {string|Date} date - The start date.
+ * @param {number} months - Number of months to add.
+ * @returns {string} The resulting date as 'YYYY-MM-DD'.
+ */
+function addMonthsClamped(date, months) {
+  const [year, month, day] = toDateString(date).split('-').map(Number);
+  const monthIndex = month - 1 + months;
+  const targetYear = year + Math.floor(monthIndex / 12);
+  const targetMonth = (monthIndex % 12) + 1;
+  const daysInTargetMonth = new Date(
+    Date.UTC(targetYear, targetMonth, 0)
+  ).getUTCDate();
+  return [
+    targetYear,
+    String(targetMonth).padStart(2, '0'),
+    String(Math.min(day, daysInTargetMonth)).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Builds the full vesting schedule for a grant per SPECIFICATION.md §4.1:
+ * the cliff tranche (12/48 of the grant) unlocks on the 12-month anniversary,
+ * then 1/48 unlocks monthly, and month 48 absorbs the rounding remainder so the
+ * tranches always sum to share_amount. Zero-share tranches are omitted.
+ *
+ * @param {string|Date} grantDate - The grant date.
+ * @param {string|number} shareAmount - The grant's share_amount.
+ * @returns {Array<{month_number: number, vest_date: string, shares_vested: string}>}
+ */
+function buildVestingSchedule(grantDate, shareAmount) {
+  const total = toThousandths(shareAmount);
+  const cliffTranche = roundHalfEven(
+    total * CLIFF_MONTHS,
+    TOTAL_VESTING_MONTHS
+  );
+  const monthlyTranche = roundHalfEven(total, TOTAL_VESTING_MONTHS);
+
+  const schedule = [];
+  let allocated = 0;
+  for (
+    let monthNumber = CLIFF_MONTHS;
+    monthNumber <= TOTAL_VESTING_MONTHS;
+    monthNumber++
+  ) {
+    let tranche;
+    if (monthNumber === TOTAL_VESTING_MONTHS) {
+      tranche = total - allocated;
+    } else {
+      tranche = monthNumber === CLIFF_MONTHS ? cliffTranche : monthlyTranche;
+      // Tiny grants can round up past the total; never allocate more than remains
+      tranche = Math.min(tranche, total - allocated);
+    }
+    allocated += tranche;
+
+    if (tranche > 0) {
+      schedule.push({
+        month_number: monthNumber,
+        vest_date: addMonthsClamped(grantDate, monthNumber),
+        shares_vested: formatThousandths(tranche),
+      });
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Resolves "today" in the tenant's timezone.
+ *
+ * @param {object} db - A pg client or pool.
+ * @param {string} tenantId - The ID of the tenant.
+ * @returns {Promise<string>} The tenant-local date as 'YYYY-MM-DD'.
+ */
+async function getTenantToday(db, tenantId) {
+  const result = await db.query(
+    'SELECT (NOW() AT TIME ZONE timezone)::date::text AS today FROM tenants WHERE tenant_id = $1',
+    [tenantId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Tenant not found with ID: ${tenantId}`);
+  }
+  return result.rows[0].today;
+}
+
+/**
+ * Builds the error raised when a grant changed underneath a vesting run.
+ * The central error handler maps it to a 409 response.
+ *
+ * @param {object} grant - The grant row that was being vested.
+ * @returns {Error} Error with status 409 and code 'VERSION_CONFLICT'.
+ */
+function versionConflictError(grant) {
+  logger.warn(
+    `Version conflict while vesting grant ${grant.grant_id} (expected version ${grant.version})`
+  );
+  const error = new Error(
+    'Grant was modified concurrently. Please retry the vesting calculation.'
+  );
+  error.status = 409;
+  error.code = 'VERSION_CONFLICT';
+  return error;
+}
+
+/**
+ * Creates the vesting events that are due for a grant up to asOfDate and keeps
+ * grants.vested_amount equal to the sum of its events. Existing events are never
+ * recalculated, so calling this repeatedly is idempotent.
+ *
+ * Must be called with a client inside an open transaction. The grant update is
+ * guarded by grants.version; if the version moved on, an error with status 409
+ * and code 'VERSION_CONFLICT' is thrown and the caller should roll back.
+ *
+ * @param {object} client - A pg client with an open transaction.
+ * @param {object} grant - The grant row (grant_id, tenant_id, grant_date, share_amount, status, version).
+ * @param {string} asOfDate - Vest all tranches with vest_date on or before this date ('YYYY-MM-DD').
+ * @param {string|null} userId - The user triggering the calculation (null for the batch job).
+ * @returns {Promise<{createdEvents: object[], vestedAmount: string, version: number}>}
+ */
+async function vestGrant(client, grant, asOfDate, userId) {
+  if (grant.status !== 'active') {
+    // The engine only processes active grants (SPECIFICATION.md §2.4)
+    return {
+      createdEvents: [],
+      vestedAmount: parseFloat(grant.vested_amount).toFixed(3),
+      version: grant.version,
+    };
+  }
+
+  const existingResult = await client.query(
+    'SELECT vest_date::text AS vest_date FROM vesting_events WHERE grant_id = $1',
+    [grant.grant_id]
+  );
+  const existingDates = new Set(
+    existingResult.rows.map((row) => row.vest_date)
+  );
+
+  const dueTranches = buildVestingSchedule(
+    grant.grant_date,
+    grant.share_amount
+  ).filter(
+    (tranche) =>
+      tranche.vest_date <= asOfDate && !existingDates.has(tranche.vest_date)
+  );
+
+  if (dueTranches.length === 0) {
+    return {
+      createdEvents: [],
+      vestedAmount: parseFloat(grant.vested_amount).toFixed(3),
+      version: grant.version,
+    };
+  }
+
+  const createdEvents = [];
+  for (const tranche of dueTranches) {
+    // pps_snapshot uses the same lookup as the current PPS, evaluated on vest_date
+    let eventResult;
+    try {
+      eventResult = await client.query(
+        `
+      INSERT INTO vesting_events (
+        grant_id, tenant_id, vest_date, shares_vested, pps_snapshot, created_by
+      ) VALUES (
+        $1, $2, $3::date, $4,
+        (
+          SELECT price_per_share FROM pps_history
+          WHERE tenant_id = $2 AND effective_date <= $3::date AND deleted_at IS NULL
+          ORDER BY effective_date DESC, created_at DESC
+          LIMIT 1
+        ),
+        $5
+      )
+      RETURNING vesting_id, grant_id, tenant_id, vest_date::text AS vest_date,
+        shares_vested, pps_snapshot, created_by, created_at
+    `,
+        [
+          grant.grant_id,
+          grant.tenant_id,
+          tranche.vest_date,
+          tranche.shares_vested,
+          userId,
+        ]
+      );
+    } catch (error) {
+      // A concurrent calculation already inserted this tranche (uq_vesting_events_grant_vest_date)
+      if (error.code === '23505') {
+        throw versionConflictError(grant);
+      }
+      throw error;
+    }
+    const event = eventResult.rows[0];
+    event.shares_vested = parseFloat(event.shares_vested).toFixed(3);
+    event.pps_snapshot =
+      event.pps_snapshot === null
+        ? null
+        : parseFloat(event.pps_snapshot).toFixed(3);
+    createdEvents.push(event);
+  }
+
+  // Re-derive vested_amount from the events so the two can never drift apart
+  const grantResult = await client.query(
+    `
+    UPDATE grants
+    SET vested_amount = (
+          SELECT COALESCE(SUM(shares_vested), 0) FROM vesting_events WHERE grant_id = $1
+        ),
+        version = version + 1
+    WHERE grant_id = $1 AND version = $2
+    RETURNING vested_amount, version
+  `,
+    [grant.grant_id, grant.version]
+  );
+
+  if (grantResult.rows.length === 0) {
+    throw versionConflictError(grant);
+  }
+
+  return {
+    createdEvents,
+    vestedAmount: parseFloat(grantResult.rows[0].vested_amount).toFixed(3),
+    version: grantResult.rows[0].version,
+  };
+}
+
+/**
+ * Re-evaluates pps_snapshot for the vesting events affected by a PPS change
+ * (SPECIFICATION.md §4.1 rule 8). A PPS row dated D governs vest dates from D
+ * up to the next PPS effective date, so events in
+ * [fromDate, next effective date after throughDate) are re-priced with the
+ * PPS lookup used at vest time. Only events whose snapshot actually changes
+ * are updated.
+ *
+ * Must be called inside the transaction that created, corrected or deleted
+ * the PPS row.
+ *
+ * @param {object} client - A pg client with an open transaction.
+ * @param {string} tenantId - The ID of the tenant.
+ * @param {string} fromDate - First affected vest date ('YYYY-MM-DD').
+ * @param {string} [throughDate] - Latest changed effective date, when a correction moved it ('YYYY-MM-DD').
+ * @returns {Promise<number>} The number of vesting events re-priced.
+ */
+async function repricePpsSnapshots(
+  client,
+  tenantId,
+  fromDate,
+  throughDate = fromDate
+) {
+  const result = await client.query(
+    `
+    WITH window_end AS (
+      SELECT MIN(effective_date) AS next_effective_date
+      FROM pps_history
+      WHERE tenant_id = $1 AND effective_date > $3::date AND deleted_at IS NULL
+    ),
+    repriced AS (
+      SELECT ve.vesting_id,
+        (
+          SELECT price_per_share FROM pps_history
+          WHERE tenant_id = $1 AND effective_date <= ve.vest_date AND deleted_at IS NULL
+          ORDER BY effective_date DESC, created_at DESC
+          LIMIT 1
+        ) AS pps_snapshot
+      FROM vesting_events ve, window_end w
+      WHERE ve.tenant_id = $1
+        AND ve.vest_date >= $2::date
+        AND (w.next_effective_date IS NULL OR ve.vest_date < w.next_effective_date)
+    )
+    UPDATE vesting_events ve
+    SET pps_snapshot = r.pps_snapshot
+    FROM repriced r
+    WHERE ve.vesting_id = r.vesting_id
+      AND ve.pps_snapshot IS DISTINCT FROM r.pps_snapshot
+  `,
+    [tenantId, fromDate, throughDate]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  TOTAL_VESTING_MONTHS,
+  CLIFF_MONTHS,
+  toThousandths,
+  formatThousandths,
+  roundHalfEven,
+  toDateString,
+  addMonthsClamped,
+  buildVestingSchedule,
+  getTenantToday,
+  vestGrant,
+  repricePpsSnapshots,
+};
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the vesting engine schedule calculation
+ * Covers the rules from Section 4.1 / 4.3 of the specification:
+ * - Banker's rounding of tranches
+ * - Month-end and leap-year rules
+ * - Final tranche absorbs rounding so the schedule sums to share_amount
+ */
+const {
+  toThousandths,
+  formatThousandths,
+  roundHalfEven,
+  addMonthsClamped,
+  buildVestingSchedule,
+} = require('./vestingEngine');
+
+const sumSchedule = (schedule) =>
+  schedule.reduce(
+    (sum, tranche) => sum + toThousandths(tranche.shares_vested),
+    0
+  );
+
+describe('Vesting Engine', () => {
+  describe('decimal helpers', () => {
+    it('should convert decimal strings to thousandths and back', () => {
+      expect(toThousandths('48.000')).toBe(48000);
+      expect(toThousandths('0.5')).toBe(500);
+      expect(toThousandths(12)).toBe(12000);
+      expect(formatThousandths(2083)).toBe('2.083');
+      expect(formatThousandths(12000)).toBe('12.000');
+    });
+
+    it('should round half to even', () => {
+      expect(roundHalfEven(5, 2)).toBe(2); // 2.5 -> 2
+      expect(roundHalfEven(7, 2)).toBe(4); // 3.5 -> 4
+      expect(roundHalfEven(11, 4)).toBe(3); // 2.75 -> 3
+      expect(roundHalfEven(9, 4)).toBe(2); // 2.25 -> 2
+    });
+  });
+
+  describe('addMonthsClamped', () => {
+    it('should apply the month-end rule', () => {
+      expect(addMonthsClamped('2025-01-31', 1)).toBe('2025-02-28');
+      expect(addMonthsClamped('2025-01-31', 2)).toBe('2025-03-31');
+      expect(addMonthsClamped('2025-01-31', 3)).toBe('2025-04-30');
+    });
+
+    it('should apply the leap-year rule for Feb 29 grants', () => {
+      expect(addMonthsClamped('2024-02-29', 12)).toBe('2025-02-28');
+      expect(addMonthsClamped('2024-02-29', 48)).toBe('2028-02-29');
+    });
+  });
+
+  describe('buildVestingSchedule', () => {
+    it('should unlock 12/48 at the cliff and 1/48 monthly afterwards', () => {
+      const schedule = buildVestingSchedule('2024-01-15', '48.000');
+
+      expect(schedule.length).toBe(37); // Cliff + months 13..48
+      expect(schedule[0]).toEqual({
+        month_number: 12,
+        vest_date: '2025-01-15',
+        shares_vested: '12.000',
+      });
+      expect(schedule[1].vest_date).toBe('2025-02-15');
+      expect(schedule[1].shares_vested).toBe('1.000');
+      expect(schedule[36].vest_date).toBe('2028-01-15');
+    });
+
+    it('should adjust the final tranche so the schedule sums to share_amount', () => {
+      const schedule = buildVestingSchedule('2024-01-15', '100.000');
+
+      expect(schedule[0].shares_vested).toBe('25.000');
+      expect(schedule[1].shares_vested).toBe('2.083');
+      expect(schedule[36].shares_vested).toBe('2.095');
+      expect(sumSchedule(schedule)).toBe(100000);
+    });
+
+    it('should never allocate more than share_amount for tiny grants', () => {
+      const schedule = buildVestingSchedule('2024-01-15', '0.030');
+
+      expect(sumSchedule(schedule)).toBe(30);
+      schedule.forEach((tranche) => {
+        expect(toThousandths(tranche.shares_vested)).toBeGreaterThan(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+require('dotenv').config({ path: '../.env' }); // Load environment variables from root .env file
+
+const { pool } = require('./config/db');
+const logger = require('./config/logger');
+const {
+  findTenantsDueForScheduledRun,
+  runVestingBatch,
+} = require('./utils/vestingBatch');
+const { notifyScheduledPpsEffective } = require('./utils/ppsSchedule');
+const { isValidDate } = require('./utils/dates');
+
+// Daily vesting job (SPECIFICATION.md §2.4): runs at 02:00 in each tenant's timezone
+const RUN_HOUR = parseInt(process.env.VESTING_BATCH_HOUR || '2', 10);
+const POLL_INTERVAL_MS = parseInt(
+  process.env.VESTING_BATCH_POLL_INTERVAL_MS || '60000',
+  10
+);
+// A scheduled run still running after this long was left behind by a stopped worker and is retried
+const STALE_RUN_MINUTES = parseInt(
+  process.env.VESTING_BATCH_STALE_RUN_MINUTES || '360',
+  10
+);
+
+/**
+ * Parses the worker's command line:
+ *   node src/worker.js                          Run the scheduler until stopped
+ *   node src/worker.js --once                   Run the scheduled runs that are due now, then exit
+ *   node src/worker.js --tenant <id> [--date YYYY-MM-DD]
+ *                                               Run on demand for one tenant (e.g. a backfill), then exit
+ *   node src/worker.js --date YYYY-MM-DD        Run on demand for every tenant, then exit
+ */
+function parseArgs(argv) {
+  const args = { once: false, tenantId: null, date: null };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+    if (flag === '--once') args.once = true;
+    else if (flag === '--tenant') args.tenantId = value();
+    else if (flag === '--date') args.date = value();
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (args.date !== null && !isValidDate(args.date)) {
+    throw new Error('--date must be a valid date (YYYY-MM-DD).');
+  }
+  return args;
+}
+
+/**
+ * Starts the scheduled run for every tenant that has reached RUN_HOUR locally
+ * and has not been processed for its local date yet. A scheduled PPS in
+ * effect on that date is reported (PPS_EFFECTIVE) before the vesting run,
+ * including one that took effect on a day the worker missed.
+ */
+async function runScheduledTick() {
+  const tenants = await findTenantsDueForScheduledRun(
+    RUN_HOUR,
+    STALE_RUN_MINUTES
+  );
+  for (const tenant of tenants) {
+    try {
+      await notifyScheduledPpsEffective(
+        pool,
+        tenant.tenant_id,
+        tenant.local_date
+      );
+    } catch (error) {
+      // The vesting run does not depend on the notification
+      logger.error(
+        `PPS notification failed for tenant ${tenant.tenant_id}: ${error.message}`
+      );
+    }
+    try {
+      await runVestingBatch({
+        tenantId: tenant.tenant_id,
+        runDate: tenant.local_date,
+        trigger: 'scheduled',
+      });
+    } catch (error) {
+      if (error.code === 'CONFLICT') {
+        // Another worker started the run for this tenant-day first
+        logger.info(error.message);
+        continue;
+      }
+      // Recorded as a failed run; picked up again on the next tick
+      logger.error(
+        `Scheduled vesting batch failed for tenant ${tenant.tenant_id}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Runs the batch on demand for one tenant, or for every tenant when none is given.
+ */
+async function runOnDemand(tenantId, date) {
+  let tenantIds = [tenantId];
+  if (!tenantId) {
+    const result = await pool.query(
+      'SELECT tenant_id FROM tenants WHERE deleted_at IS NULL ORDER BY tenant_id'
+    );
+    tenantIds = result.rows.map((row) => row.tenant_id);
+  }
+  let failed = false;
+  for (const id of tenantIds) {
+    try {
+      const summary = await runVestingBatch({
+        tenantId: id,
+        runDate: date,
+        trigger: 'manual',
+      });
+      // Per-grant results are left out of the log line
+      logger.info(
+        `Vesting batch summary: ${JSON.stringify({ ...summary, results: undefined })}`
+      );
+    } catch (error) {
+      logger.error(`Vesting batch failed for tenant ${id}: ${error.message}`);
+      failed = true;
+    }
+  }
+  return failed;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.tenantId || args.date) {
+    const failed = await runOnDemand(args.tenantId, args.date);
+    await pool.end();
+    process.exitCode = failed ? 1 : 0;
+    return;
+  }
+
+  if (args.once) {
+    await runScheduledTick();
+    await pool.end();
+    return;
+  }
+
+  logger.info(
+    `Vesting worker started: daily run at ${String(RUN_HOUR).padStart(2, '0')}:00 tenant time, polling every ${POLL_INTERVAL_MS} ms`
+  );
+  let currentTick = null;
+  const tick = () => {
+    if (currentTick) return; // A long run must not overlap the next poll
+    currentTick = runScheduledTick()
+      .catch((error) => {
+        logger.error(`Vesting worker tick failed: ${error.message}`, {
+          stack: error.stack,
+        });
+      })
+      .finally(() => {
+        currentTick = null;
+      });
+  };
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+
+  const shutdown = async (signal) => {
+    logger.info(`Vesting worker received ${signal}, shutting down`);
+    clearInterval(timer);
+    await currentTick; // Let the grant in progress commit before closing the pool
+    await pool.end();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error(`Vesting worker failed to start: ${error.message}`, {
+      stack: error.stack,
+    });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  runScheduledTick,
+};
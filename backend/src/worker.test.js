@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the vesting worker's command line and scheduled tick
+ */
+jest.mock('./config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('./config/db', () => ({
+  pool: {
+    query: jest.fn(),
+    end: jest.fn(),
+  },
+}));
+
+jest.mock('./utils/vestingBatch', () => ({
+  findTenantsDueForScheduledRun: jest.fn(),
+  runVestingBatch: jest.fn(),
+}));
+
+jest.mock('./utils/ppsSchedule', () => ({
+  notifyScheduledPpsEffective: jest.fn(),
+}));
+
+const { pool } = require('./config/db');
+const logger = require('./config/logger');
+const {
+  findTenantsDueForScheduledRun,
+  runVestingBatch,
+} = require('./utils/vestingBatch');
+const { notifyScheduledPpsEffective } = require('./utils/ppsSchedule');
+const { parseArgs, runScheduledTick } = require('./worker');
+
+describe('Vesting Worker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseArgs', () => {
+    it('should run the scheduler without arguments', () => {
+      expect(parseArgs([])).toEqual({
+        once: false,
+        tenantId: null,
+        date: null,
+      });
+    });
+
+    it('should parse --once, --tenant and --date', () => {
+      expect(parseArgs(['--once'])).toEqual({
+        once: true,
+        tenantId: null,
+        date: null,
+      });
+      expect(parseArgs(['--tenant', 'tenant-1', '--date=2024-02-29'])).toEqual({
+        once: false,
+        tenantId: 'tenant-1',
+        date: '2024-02-29',
+      });
+    });
+
+    it('should reject a --date that is not a valid date', () => {
+      ['2024-13-01', '2023-02-29', '2024-2-1', 'today'].forEach((date) => {
+        expect(() => parseArgs(['--date', date])).toThrow(
+          '--date must be a valid date (YYYY-MM-DD).'
+        );
+      });
+      expect(() => parseArgs(['--date'])).toThrow(
+        '--date must be a valid date (YYYY-MM-DD).'
+      );
+    });
+
+    it('should reject unknown arguments', () => {
+      expect(() => parseArgs(['--dry-run'])).toThrow(
+        'Unknown argument: --dry-run'
+      );
+    });
+  });
+
+  describe('runScheduledTick', () => {
+    const dueTenants = [
+      { tenant_id: 'tenant-1', timezone: 'UTC', local_date: '2025-03-31' },
+      {
+        tenant_id: 'tenant-2',
+        timezone: 'Asia/Tokyo',
+        local_date: '2025-04-01',
+      },
+    ];
+
+    it('should notify and run the batch for each due tenant on its local date', async () => {
+      findTenantsDueForScheduledRun.mockResolvedValue(dueTenants);
+      runVestingBatch.mockResolvedValue({ status: 'completed' });
+
+      await runScheduledTick();
+
+      expect(findTenantsDueForScheduledRun).toHaveBeenCalledWith(2, 360);
+      dueTenants.forEach((tenant) => {
+        expect(notifyScheduledPpsEffective).toHaveBeenCalledWith(
+          pool,
+          tenant.tenant_id,
+          tenant.local_date
+        );
+        expect(runVestingBatch).toHaveBeenCalledWith({
+          tenantId: tenant.tenant_id,
+          runDate: tenant.local_date,
+          trigger: 'scheduled',
+        });
+      });
+    });
+
+    it('should go on with the other tenants when a run or notification fails', async () => {
+      findTenantsDueForScheduledRun.mockResolvedValue(dueTenants);
+      notifyScheduledPpsEffective.mockRejectedValueOnce(
+        new Error('notification failed')
+      );
+      runVestingBatch
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce({ status: 'completed' });
+
+      await expect(runScheduledTick()).resolves.toBeUndefined();
+
+      expect(runVestingBatch).toHaveBeenCalledTimes(2);
+      expect(logger.error).toHaveBeenCalledWith(
+        'PPS notification failed for tenant tenant-1: notification failed'
+      );
+      expect(logger.error).toHaveBeenCalledWith(
+        'Scheduled vesting batch failed for tenant tenant-1: connection lost'
+      );
+    });
+
+    it('should not report a run another worker started first as a failure', async () => {
+      findTenantsDueForScheduledRun.mockResolvedValue([dueTenants[0]]);
+      runVestingBatch.mockRejectedValueOnce(
+        Object.assign(new Error('already started'), {
+          status: 409,
+          code: 'CONFLICT',
+        })
+      );
+
+      await runScheduledTick();
+
+      expect(logger.info).toHaveBeenCalledWith('already started');
+      expect(logger.error).not.toHaveBeenCalled();
+    });
+  });
+});
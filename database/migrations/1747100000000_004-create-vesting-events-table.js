@@ -0,0 +1,28 @@
+/**
+ * Migration to create the vesting_events table for Stage 4 - Vesting Engine.
+ * One row per vest date per grant; grants.vested_amount is kept equal to the
+ * sum of shares_vested by the vesting engine (backend/src/utils/vestingEngine.js).
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('vesting_events', (table) => {
+    table.uuid('vesting_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('grant_id').notNullable().references('grant_id').inTable('grants').onDelete('CASCADE'); // Child rows follow the grant
+    table.uuid('tenant_id').notNullable().references('tenant_id').inTable('tenants').onDelete('CASCADE');
+    table.date('vest_date').notNullable(); // Interpreted in tenant timezone
+    table.decimal('shares_vested', 12, 3).notNullable();
+    table.decimal('pps_snapshot', 12, 3).nullable(); // PPS effective on vest_date, NULL if no PPS exists yet
+    table.uuid('created_by').nullable().references('user_id').inTable('user_accounts').onDelete('SET NULL'); // NULL when created by the batch job
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    // A grant can only vest once per vest date; this backs up the engine's idempotency
+    table.unique(['grant_id', 'vest_date'], { indexName: 'uq_vesting_events_grant_vest_date' });
+    table.index(['tenant_id', 'vest_date'], 'idx_vesting_events_date'); // Matches spec
+  });
+
+  await knex.raw('ALTER TABLE vesting_events ADD CONSTRAINT chk_shares_vested_positive CHECK (shares_vested > 0)');
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('vesting_events');
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration to create the vesting_batch_runs table for the daily vesting job (SPECIFICATION.md §2.4).
+ * One row per batch run per tenant, recording what the worker (backend/src/worker.js) did.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('vesting_batch_runs', (table) => {
+    table.uuid('run_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('tenant_id').notNullable().references('tenant_id').inTable('tenants').onDelete('CASCADE');
+    table.date('run_date').notNullable(); // Tenant-local date the grants were vested up to
+    table.text('trigger').notNullable(); // CHECK constraint added below
+    table.text('status').notNullable().defaultTo('running'); // CHECK constraint added below
+    table.integer('grants_processed').notNullable().defaultTo(0);
+    table.integer('grants_failed').notNullable().defaultTo(0);
+    table.integer('events_created').notNullable().defaultTo(0);
+    table.decimal('shares_vested', 12, 3).notNullable().defaultTo(0.000);
+    table.jsonb('failures').nullable(); // [{ grant_id, error }]
+    table.uuid('triggered_by').nullable().references('user_id').inTable('user_accounts').onDelete('SET NULL'); // NULL for the scheduler
+    table.timestamp('started_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('finished_at').nullable();
+
+    table.index(['tenant_id', 'run_date'], 'idx_vesting_batch_runs_tenant_date');
+  });
+
+  await knex.raw("ALTER TABLE vesting_batch_runs ADD CONSTRAINT chk_vesting_batch_runs_trigger CHECK (trigger IN ('scheduled', 'manual'))");
+  await knex.raw("ALTER TABLE vesting_batch_runs ADD CONSTRAINT chk_vesting_batch_runs_status CHECK (status IN ('running', 'completed', 'completed_with_errors', 'failed'))");
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('vesting_batch_runs');
+};
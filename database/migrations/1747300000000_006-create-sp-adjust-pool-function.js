@@ -0,0 +1,276 @@
+/**
+ * Migration to add sp_adjust_pool(), the single stored function every pool change goes through
+ * (SPECIFICATION.md §4.2): grant creation, termination, top-ups and reductions.
+ *
+ * Pool metrics are computed by func_pool_metrics():
+ *   Granted   = Σ share_amount of all non-deleted grants
+ *   Returned  = Σ unvested_shares_returned of inactive grants
+ *   Available = TotalPool - Granted + Returned
+ * Terminated grants stay in Granted and give back only their unvested part through Returned, so
+ * terminating a grant on day one restores Available exactly (SPECIFICATION.md §12, step 6).
+ *
+ * func_adjust_pool_v3() is kept for pool events and now delegates to sp_adjust_pool().
+ */
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_pool_metrics(p_pool_id UUID)
+    RETURNS TABLE (
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE sql
+    STABLE
+    AS $$
+      SELECT
+        ep.total_pool,
+        g.granted,
+        g.returned,
+        ep.total_pool - g.granted + g.returned
+      FROM equity_pools ep
+      CROSS JOIN LATERAL (
+        SELECT
+          COALESCE(SUM(gr.share_amount), 0)::DECIMAL(12,3) AS granted,
+          COALESCE(SUM(gr.unvested_shares_returned) FILTER (WHERE gr.status = 'inactive'), 0)::DECIMAL(12,3) AS returned
+        FROM grants gr
+        WHERE gr.tenant_id = ep.tenant_id AND gr.deleted_at IS NULL
+      ) g
+      WHERE ep.pool_id = p_pool_id;
+    $$;
+  `);
+
+  // Operations:
+  //   initial / top_up / reduction - applies the signed amount to total_pool and records a pool event
+  //                                  ('initial' only records the event: the amount is already the pool's initial_amount)
+  //   grant / termination          - called after the grant row was inserted / terminated in the same transaction;
+  //                                  the grant must match p_amount (share_amount / unvested_shares_returned)
+  // The pool row is locked first and Available is re-checked after the change, so it can never go negative.
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION sp_adjust_pool(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_operation VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_user_id UUID,
+      p_grant_id UUID DEFAULT NULL
+    )
+    RETURNS TABLE (
+      event_id UUID,
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE plpgsql
+    AS $$
+    #variable_conflict use_column
+    DECLARE
+      v_amount DECIMAL(12,3);
+      v_total_pool DECIMAL(12,3);
+      v_grant grants%ROWTYPE;
+      v_event_id UUID;
+      v_metrics RECORD;
+    BEGIN
+      IF current_setting('transaction_isolation') <> 'serializable' THEN
+        RAISE EXCEPTION 'sp_adjust_pool must be called within a SERIALIZABLE transaction. Current: %', current_setting('transaction_isolation');
+      END IF;
+
+      BEGIN
+        v_amount := CAST(p_amount AS DECIMAL(12,3));
+      EXCEPTION
+        WHEN invalid_text_representation THEN
+          RAISE EXCEPTION 'Invalid amount format: %. Expected text representation of a number.', p_amount;
+        WHEN numeric_value_out_of_range THEN
+          RAISE EXCEPTION 'Amount % is out of range for DECIMAL(12,3).', p_amount;
+      END;
+
+      IF NOT (p_operation IN ('initial', 'top_up', 'reduction', 'grant', 'termination')) THEN
+        RAISE EXCEPTION 'Invalid pool operation: %', p_operation;
+      END IF;
+
+      IF (p_operation IN ('initial', 'top_up', 'grant') AND v_amount <= 0)
+         OR (p_operation = 'reduction' AND v_amount >= 0)
+         OR (p_operation = 'termination' AND v_amount < 0) THEN
+        RAISE EXCEPTION 'Invalid amount % for pool operation %', v_amount, p_operation;
+      END IF;
+
+      -- Lock the pool row first so all adjustments of a pool are serialized
+      SELECT ep.total_pool INTO v_total_pool
+      FROM equity_pools ep
+      WHERE ep.pool_id = p_pool_id AND ep.tenant_id = p_tenant_id AND ep.deleted_at IS NULL
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Pool not found with ID: % for tenant: %', p_pool_id, p_tenant_id;
+      END IF;
+
+      IF p_operation IN ('grant', 'termination') THEN
+        SELECT * INTO v_grant
+        FROM grants gr
+        WHERE gr.grant_id = p_grant_id AND gr.tenant_id = p_tenant_id AND gr.deleted_at IS NULL;
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Grant not found with ID: % for tenant: %', p_grant_id, p_tenant_id;
+        END IF;
+
+        IF p_operation = 'grant' AND (v_grant.status <> 'active' OR v_grant.share_amount <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an active grant of % shares', p_grant_id, v_amount;
+        END IF;
+
+        IF p_operation = 'termination' AND (v_grant.status <> 'inactive' OR v_grant.unvested_shares_returned <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an inactive grant returning % shares', p_grant_id, v_amount;
+        END IF;
+      ELSE
+        IF p_operation = 'initial' AND EXISTS (
+          SELECT 1 FROM pool_events pe WHERE pe.pool_id = p_pool_id AND pe.event_type = 'initial'
+        ) THEN
+          RAISE EXCEPTION 'Pool % already has an initial event', p_pool_id;
+        END IF;
+
+        IF p_operation <> 'initial' THEN
+          IF (v_total_pool + v_amount) < 0 THEN
+            RAISE EXCEPTION 'Pool total cannot be negative after event. Current total: %, Change: %, Resulting total: %',
+                            v_total_pool, v_amount, (v_total_pool + v_amount);
+          END IF;
+
+          UPDATE equity_pools
+          SET total_pool = total_pool + v_amount
+          WHERE pool_id = p_pool_id AND tenant_id = p_tenant_id AND deleted_at IS NULL;
+        END IF;
+
+        INSERT INTO pool_events (
+          pool_id, tenant_id, amount, event_type, effective_date, notes, created_by
+        ) VALUES (
+          p_pool_id, p_tenant_id, v_amount, p_operation, p_effective_date, p_notes, p_user_id
+        ) RETURNING event_id INTO v_event_id;
+      END IF;
+
+      SELECT * INTO v_metrics FROM func_pool_metrics(p_pool_id);
+
+      IF v_metrics.available_shares < 0 THEN
+        IF p_operation = 'grant' THEN
+          RAISE EXCEPTION 'Insufficient available shares in pool. Available: %, Requested: %',
+                          v_metrics.available_shares + v_amount, v_amount;
+        END IF;
+        RAISE EXCEPTION 'Cannot reduce pool by % shares as only % shares are available. Resulting available: %',
+                        ABS(v_amount), v_metrics.available_shares - v_amount, v_metrics.available_shares;
+      END IF;
+
+      RETURN QUERY SELECT v_event_id, v_metrics.total_pool, v_metrics.granted_shares,
+                          v_metrics.returned_shares, v_metrics.available_shares;
+    END;
+    $$;
+  `);
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_adjust_pool_v3(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_event_type VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_created_by UUID
+    )
+    RETURNS pool_events
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      v_event_id UUID;
+      v_created_event pool_events%ROWTYPE;
+    BEGIN
+      -- Grant and termination adjustments must name their grant; use sp_adjust_pool directly
+      IF NOT (p_event_type IN ('initial', 'top_up', 'reduction')) THEN
+        RAISE EXCEPTION 'Invalid event type: %', p_event_type;
+      END IF;
+
+      SELECT a.event_id INTO v_event_id
+      FROM sp_adjust_pool(p_pool_id, p_tenant_id, p_event_type, p_amount, p_effective_date, p_notes, p_created_by) a;
+
+      SELECT * INTO v_created_event FROM pool_events WHERE event_id = v_event_id;
+      RETURN v_created_event;
+    END;
+    $$;
+  `);
+};
+
+exports.down = async function(knex) {
+  // Restore the stand-alone func_adjust_pool_v3 from migration 002
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_adjust_pool_v3(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_event_type VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_created_by UUID
+    )
+    RETURNS pool_events
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      v_amount_for_insert DECIMAL(12,3);
+      v_total_pool_before_event DECIMAL(12,3);
+      v_available_before_event DECIMAL(12,3);
+      v_created_event pool_events%ROWTYPE;
+    BEGIN
+      IF current_setting('transaction_isolation') <> 'serializable' THEN
+        RAISE EXCEPTION 'sf_adjust_pool must be called within a SERIALIZABLE transaction. Current: %', current_setting('transaction_isolation');
+      END IF;
+
+      BEGIN
+        v_amount_for_insert := CAST(p_amount AS DECIMAL(12,3));
+      EXCEPTION
+        WHEN invalid_text_representation THEN
+          RAISE EXCEPTION 'Invalid amount format: %s. Expected text representation of a number.', p_amount;
+        WHEN numeric_value_out_of_range THEN
+          RAISE EXCEPTION 'Amount %s is out of range for DECIMAL(12,3).', p_amount;
+      END;
+
+      IF NOT (p_event_type IN ('initial', 'top_up', 'reduction')) THEN
+        RAISE EXCEPTION 'Invalid event type: %', p_event_type;
+      END IF;
+
+      SELECT ep.total_pool INTO v_total_pool_before_event
+      FROM equity_pools ep
+      WHERE ep.pool_id = p_pool_id AND ep.tenant_id = p_tenant_id AND ep.deleted_at IS NULL
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Pool not found with ID: % for tenant: %', p_pool_id, p_tenant_id;
+      END IF;
+
+      v_available_before_event := v_total_pool_before_event;
+
+      IF p_event_type = 'reduction' AND ABS(v_amount_for_insert) > v_available_before_event THEN
+        RAISE EXCEPTION 'Cannot reduce pool by % shares as only % shares are available (current total_pool). Attempted reduction: %, Available: %',
+                        ABS(v_amount_for_insert), v_available_before_event, v_amount_for_insert, v_available_before_event;
+      END IF;
+
+      IF (v_total_pool_before_event + v_amount_for_insert) < 0 THEN
+         RAISE EXCEPTION 'Pool total cannot be negative after event. Current total: %, Change: %, Resulting total: %',
+                        v_total_pool_before_event, v_amount_for_insert, (v_total_pool_before_event + v_amount_for_insert);
+      END IF;
+
+      UPDATE equity_pools
+      SET total_pool = total_pool + v_amount_for_insert
+      WHERE pool_id = p_pool_id AND tenant_id = p_tenant_id AND deleted_at IS NULL;
+
+      INSERT INTO pool_events (
+        pool_id, tenant_id, amount, event_type, effective_date, notes, created_by
+      ) VALUES (
+        p_pool_id, p_tenant_id, v_amount_for_insert, p_event_type, p_effective_date, p_notes, p_created_by
+      ) RETURNING * INTO v_created_event;
+
+      RETURN v_created_event;
+    END;
+    $$;
+  `);
+  await knex.raw('DROP FUNCTION IF EXISTS sp_adjust_pool(UUID, UUID, VARCHAR, TEXT, DATE, TEXT, UUID, UUID)');
+  await knex.raw('DROP FUNCTION IF EXISTS func_pool_metrics(UUID)');
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration to add func_pool_metrics_as_of(), which reconstructs a pool's metrics at a historical
+ * date from pool_events and grants, using the same definitions as func_pool_metrics():
+ *   TotalPool = initial_amount + Σ top_up/reduction amounts with effective_date <= as_of
+ *   Granted   = Σ share_amount of grants with grant_date <= as_of, not deleted by as_of
+ *   Returned  = Σ unvested_shares_returned of grants terminated on or before as_of
+ * Dates of timestamp columns (created_at, deleted_at) are taken in the tenant's timezone.
+ */
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_pool_metrics_as_of(p_pool_id UUID, p_as_of DATE)
+    RETURNS TABLE (
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE sql
+    STABLE
+    AS $$
+      WITH pool_as_of AS (
+        SELECT
+          ep.pool_id,
+          ep.tenant_id,
+          t.timezone,
+          -- The pool exists from its initial event (or creation date if it has none)
+          COALESCE(
+            (SELECT MIN(pe.effective_date) FROM pool_events pe WHERE pe.pool_id = ep.pool_id AND pe.event_type = 'initial'),
+            (ep.created_at AT TIME ZONE t.timezone)::date
+          ) <= p_as_of AS existed,
+          ep.initial_amount
+        FROM equity_pools ep
+        JOIN tenants t ON t.tenant_id = ep.tenant_id
+        WHERE ep.pool_id = p_pool_id
+      ),
+      totals AS (
+        SELECT
+          CASE WHEN pa.existed THEN
+            pa.initial_amount + COALESCE((
+              SELECT SUM(pe.amount) FROM pool_events pe
+              WHERE pe.pool_id = pa.pool_id AND pe.event_type <> 'initial' AND pe.effective_date <= p_as_of
+            ), 0)
+          ELSE 0 END::DECIMAL(12,3) AS total,
+          COALESCE((
+            SELECT SUM(gr.share_amount) FROM grants gr
+            WHERE gr.tenant_id = pa.tenant_id AND gr.grant_date <= p_as_of
+              AND (gr.deleted_at IS NULL OR (gr.deleted_at AT TIME ZONE pa.timezone)::date > p_as_of)
+          ), 0)::DECIMAL(12,3) AS granted,
+          COALESCE((
+            SELECT SUM(gr.unvested_shares_returned) FROM grants gr
+            WHERE gr.tenant_id = pa.tenant_id AND gr.status = 'inactive' AND gr.termination_date <= p_as_of
+              AND (gr.deleted_at IS NULL OR (gr.deleted_at AT TIME ZONE pa.timezone)::date > p_as_of)
+          ), 0)::DECIMAL(12,3) AS returned
+        FROM pool_as_of pa
+      )
+      SELECT total, granted, returned, total - granted + returned FROM totals;
+    $$;
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP FUNCTION IF EXISTS func_pool_metrics_as_of(UUID, DATE)');
+};
@@ -0,0 +1,149 @@
+/**
+ * Migration for editing and deleting grants (PATCH / DELETE /api/grants/:grant_id):
+ * - grants.notes: free-text notes that can be edited at any time
+ * - sp_adjust_pool() gains a 'grant_delete' operation, called after an un-vested grant was soft-deleted
+ *   in the same transaction; its shares leave Granted and become Available again.
+ *
+ * A share_amount change of an un-vested grant reuses the 'grant' operation, which re-checks the updated
+ * grant row against Available.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('grants', (table) => {
+    table.text('notes').nullable();
+  });
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION sp_adjust_pool(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_operation VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_user_id UUID,
+      p_grant_id UUID DEFAULT NULL
+    )
+    RETURNS TABLE (
+      event_id UUID,
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE plpgsql
+    AS $$
+    #variable_conflict use_column
+    DECLARE
+      v_amount DECIMAL(12,3);
+      v_total_pool DECIMAL(12,3);
+      v_grant grants%ROWTYPE;
+      v_event_id UUID;
+      v_metrics RECORD;
+    BEGIN
+      IF current_setting('transaction_isolation') <> 'serializable' THEN
+        RAISE EXCEPTION 'sp_adjust_pool must be called within a SERIALIZABLE transaction. Current: %', current_setting('transaction_isolation');
+      END IF;
+
+      BEGIN
+        v_amount := CAST(p_amount AS DECIMAL(12,3));
+      EXCEPTION
+        WHEN invalid_text_representation THEN
+          RAISE EXCEPTION 'Invalid amount format: %. Expected text representation of a number.', p_amount;
+        WHEN numeric_value_out_of_range THEN
+          RAISE EXCEPTION 'Amount % is out of range for DECIMAL(12,3).', p_amount;
+      END;
+
+      IF NOT (p_operation IN ('initial', 'top_up', 'reduction', 'grant', 'termination', 'grant_delete')) THEN
+        RAISE EXCEPTION 'Invalid pool operation: %', p_operation;
+      END IF;
+
+      IF (p_operation IN ('initial', 'top_up', 'grant', 'grant_delete') AND v_amount <= 0)
+         OR (p_operation = 'reduction' AND v_amount >= 0)
+         OR (p_operation = 'termination' AND v_amount < 0) THEN
+        RAISE EXCEPTION 'Invalid amount % for pool operation %', v_amount, p_operation;
+      END IF;
+
+      -- Lock the pool row first so all adjustments of a pool are serialized
+      SELECT ep.total_pool INTO v_total_pool
+      FROM equity_pools ep
+      WHERE ep.pool_id = p_pool_id AND ep.tenant_id = p_tenant_id AND ep.deleted_at IS NULL
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Pool not found with ID: % for tenant: %', p_pool_id, p_tenant_id;
+      END IF;
+
+      IF p_operation IN ('grant', 'termination', 'grant_delete') THEN
+        -- Only 'grant_delete' expects the grant to be soft-deleted already
+        SELECT * INTO v_grant
+        FROM grants gr
+        WHERE gr.grant_id = p_grant_id AND gr.tenant_id = p_tenant_id
+          AND (gr.deleted_at IS NULL) = (p_operation <> 'grant_delete');
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Grant not found with ID: % for tenant: %', p_grant_id, p_tenant_id;
+        END IF;
+
+        IF p_operation = 'grant' AND (v_grant.status <> 'active' OR v_grant.share_amount <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an active grant of % shares', p_grant_id, v_amount;
+        END IF;
+
+        IF p_operation = 'termination' AND (v_grant.status <> 'inactive' OR v_grant.unvested_shares_returned <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an inactive grant returning % shares', p_grant_id, v_amount;
+        END IF;
+
+        IF p_operation = 'grant_delete' AND (v_grant.status <> 'active' OR v_grant.vested_amount <> 0 OR v_grant.share_amount <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected a deleted, un-vested grant of % shares', p_grant_id, v_amount;
+        END IF;
+      ELSE
+        IF p_operation = 'initial' AND EXISTS (
+          SELECT 1 FROM pool_events pe WHERE pe.pool_id = p_pool_id AND pe.event_type = 'initial'
+        ) THEN
+          RAISE EXCEPTION 'Pool % already has an initial event', p_pool_id;
+        END IF;
+
+        IF p_operation <> 'initial' THEN
+          IF (v_total_pool + v_amount) < 0 THEN
+            RAISE EXCEPTION 'Pool total cannot be negative after event. Current total: %, Change: %, Resulting total: %',
+                            v_total_pool, v_amount, (v_total_pool + v_amount);
+          END IF;
+
+          UPDATE equity_pools
+          SET total_pool = total_pool + v_amount
+          WHERE pool_id = p_pool_id AND tenant_id = p_tenant_id AND deleted_at IS NULL;
+        END IF;
+
+        INSERT INTO pool_events (
+          pool_id, tenant_id, amount, event_type, effective_date, notes, created_by
+        ) VALUES (
+          p_pool_id, p_tenant_id, v_amount, p_operation, p_effective_date, p_notes, p_user_id
+        ) RETURNING event_id INTO v_event_id;
+      END IF;
+
+      SELECT * INTO v_metrics FROM func_pool_metrics(p_pool_id);
+
+      IF v_metrics.available_shares < 0 THEN
+        IF p_operation = 'grant' THEN
+          RAISE EXCEPTION 'Insufficient available shares in pool. Available: %, Requested: %',
+                          v_metrics.available_shares + v_amount, v_amount;
+        END IF;
+        RAISE EXCEPTION 'Cannot reduce pool by % shares as only % shares are available. Resulting available: %',
+                        ABS(v_amount), v_metrics.available_shares - v_amount, v_metrics.available_shares;
+      END IF;
+
+      RETURN QUERY SELECT v_event_id, v_metrics.total_pool, v_metrics.granted_shares,
+                          v_metrics.returned_shares, v_metrics.available_shares;
+    END;
+    $$;
+  `);
+};
+
+exports.down = async function(knex) {
+  // Restore sp_adjust_pool() (and the functions created alongside it) from migration 006
+  await require('./1747300000000_006-create-sp-adjust-pool-function').up(knex);
+
+  await knex.schema.alterTable('grants', (table) => {
+    table.dropColumn('notes');
+  });
+};
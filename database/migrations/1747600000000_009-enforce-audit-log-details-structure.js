@@ -0,0 +1,36 @@
+/**
+ * Migration to enforce the audit_logs.details structure: every entry records the state of the entity
+ * before and after the change as { before, after }, each an object or null (null for creations,
+ * deletions and actions that do not change an entity). Additional keys (e.g. the request payload or
+ * affected rows) may sit next to them.
+ *
+ * Entries written before this migration are brought into that shape: an existing before/after object
+ * is kept, anything else becomes null.
+ */
+
+// details->'key' is SQL NULL when the key is missing and JSON null when it is present but null
+const DETAILS_STRUCTURE = `
+  details->'before' IS NOT NULL AND details->'after' IS NOT NULL AND
+  jsonb_typeof(details->'before') IN ('object', 'null') AND
+  jsonb_typeof(details->'after') IN ('object', 'null')
+`;
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    UPDATE audit_logs
+    SET details = CASE WHEN jsonb_typeof(details) = 'object' THEN details ELSE jsonb_build_object('value', details) END
+      || jsonb_build_object(
+        'before', CASE WHEN jsonb_typeof(details->'before') = 'object' THEN details->'before' ELSE 'null'::jsonb END,
+        'after', CASE WHEN jsonb_typeof(details->'after') = 'object' THEN details->'after' ELSE 'null'::jsonb END
+      )
+    WHERE NOT (${DETAILS_STRUCTURE})
+  `);
+
+  await knex.raw(`ALTER TABLE audit_logs ALTER COLUMN details SET DEFAULT '{"before": null, "after": null}'::jsonb`);
+  await knex.raw(`ALTER TABLE audit_logs ADD CONSTRAINT chk_audit_log_details_structure CHECK (${DETAILS_STRUCTURE})`);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS chk_audit_log_details_structure');
+  await knex.raw(`ALTER TABLE audit_logs ALTER COLUMN details SET DEFAULT '{}'::jsonb`);
+};
@@ -0,0 +1,116 @@
+/**
+ * Migration to make audit_logs tamper-evident with a hash chain per tenant:
+ * - chain_seq: position of the entry in its tenant's chain (1, 2, 3, ...)
+ * - prev_hash: row_hash of the previous entry in the chain (NULL for the first)
+ * - row_hash:  SHA-256 of the entry's content and prev_hash, see func_audit_log_hash()
+ *
+ * The chain is maintained by a BEFORE INSERT trigger, so every entry is chained no matter how it is
+ * written. audit_log_chain_heads holds the last position and hash of each tenant's chain; updating it
+ * serializes concurrent inserts of a tenant (a conflicting SERIALIZABLE transaction fails with a
+ * serialization error and is retried) and lets verification detect entries removed from the end.
+ *
+ * Editing any chained column, or deleting or reordering entries, breaks the chain at that entry, which
+ * GET /api/audit-logs/verify reports. Existing entries are chained in created_at order.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('audit_log_chain_heads', (table) => {
+    table.uuid('tenant_id').primary().references('tenant_id').inTable('tenants').onDelete('CASCADE');
+    table.bigInteger('last_seq').notNullable().defaultTo(0);
+    table.string('last_hash', 64).nullable();
+  });
+
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.bigInteger('chain_seq').nullable();
+    table.string('prev_hash', 64).nullable();
+    table.string('row_hash', 64).nullable();
+  });
+
+  // jsonb renders with a canonical key order and created_at is rendered in UTC, so the hash does not
+  // depend on the session's settings
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_audit_log_hash(p_log audit_logs)
+    RETURNS VARCHAR(64)
+    LANGUAGE sql
+    STABLE
+    AS $$
+      SELECT encode(sha256(convert_to(jsonb_build_array(
+        p_log.chain_seq,
+        p_log.log_id,
+        p_log.tenant_id,
+        p_log.user_id,
+        p_log.action_type,
+        p_log.entity_type,
+        p_log.entity_id,
+        p_log.details,
+        to_char(p_log.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"'),
+        p_log.prev_hash
+      )::text, 'UTF8')), 'hex');
+    $$;
+  `);
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_audit_log_chain()
+    RETURNS TRIGGER
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      INSERT INTO audit_log_chain_heads (tenant_id) VALUES (NEW.tenant_id) ON CONFLICT (tenant_id) DO NOTHING;
+
+      -- The row lock on the chain head is held until commit, so each tenant's chain grows one entry at a time
+      UPDATE audit_log_chain_heads
+      SET last_seq = last_seq + 1
+      WHERE tenant_id = NEW.tenant_id
+      RETURNING last_seq, last_hash INTO NEW.chain_seq, NEW.prev_hash;
+
+      NEW.row_hash := func_audit_log_hash(NEW);
+
+      UPDATE audit_log_chain_heads SET last_hash = NEW.row_hash WHERE tenant_id = NEW.tenant_id;
+      RETURN NEW;
+    END;
+    $$;
+  `);
+
+  // Chain the existing entries
+  await knex.raw(`
+    DO $$
+    DECLARE
+      v_log audit_logs;
+    BEGIN
+      FOR v_log IN SELECT * FROM audit_logs ORDER BY tenant_id, created_at, log_id LOOP
+        INSERT INTO audit_log_chain_heads (tenant_id) VALUES (v_log.tenant_id) ON CONFLICT (tenant_id) DO NOTHING;
+        UPDATE audit_log_chain_heads
+        SET last_seq = last_seq + 1
+        WHERE tenant_id = v_log.tenant_id
+        RETURNING last_seq, last_hash INTO v_log.chain_seq, v_log.prev_hash;
+        v_log.row_hash := func_audit_log_hash(v_log);
+        UPDATE audit_logs SET chain_seq = v_log.chain_seq, prev_hash = v_log.prev_hash, row_hash = v_log.row_hash
+        WHERE log_id = v_log.log_id;
+        UPDATE audit_log_chain_heads SET last_hash = v_log.row_hash WHERE tenant_id = v_log.tenant_id;
+      END LOOP;
+    END;
+    $$;
+  `);
+
+  await knex.raw('ALTER TABLE audit_logs ALTER COLUMN chain_seq SET NOT NULL, ALTER COLUMN row_hash SET NOT NULL');
+  await knex.raw('ALTER TABLE audit_logs ADD CONSTRAINT uq_audit_logs_tenant_chain_seq UNIQUE (tenant_id, chain_seq)');
+
+  await knex.raw(`
+    CREATE TRIGGER trg_audit_logs_chain
+    BEFORE INSERT ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION func_audit_log_chain();
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS trg_audit_logs_chain ON audit_logs');
+  await knex.raw('DROP FUNCTION IF EXISTS func_audit_log_chain()');
+  await knex.raw('DROP FUNCTION IF EXISTS func_audit_log_hash(audit_logs)');
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.dropUnique(['tenant_id', 'chain_seq'], 'uq_audit_logs_tenant_chain_seq');
+    table.dropColumn('chain_seq');
+    table.dropColumn('prev_hash');
+    table.dropColumn('row_hash');
+  });
+  await knex.schema.dropTableIfExists('audit_log_chain_heads');
+};
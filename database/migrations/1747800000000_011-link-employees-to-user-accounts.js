@@ -0,0 +1,37 @@
+/**
+ * Migration to link employees to their user accounts explicitly instead of matching them by email:
+ * - employees.user_id: the user account of the employee (nullable, at most one active employee per user)
+ * - employees.user_link_locked: set once an admin links or unlinks the employee, so the automatic
+ *   linking on login (syncUser) never overrides an admin's decision
+ *
+ * Existing employees are linked to the active user account with the same email in their tenant.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('employees', (table) => {
+    table.uuid('user_id').nullable().references('user_id').inTable('user_accounts').onDelete('SET NULL');
+    table.boolean('user_link_locked').notNullable().defaultTo(false);
+  });
+
+  await knex.raw(`
+    CREATE UNIQUE INDEX idx_employees_user_id_unique
+    ON employees (user_id)
+    WHERE user_id IS NOT NULL AND deleted_at IS NULL
+  `);
+
+  await knex.raw(`
+    UPDATE employees e
+    SET user_id = u.user_id
+    FROM user_accounts u
+    WHERE u.tenant_id = e.tenant_id AND u.email = e.email
+      AND u.deleted_at IS NULL AND e.deleted_at IS NULL
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_employees_user_id_unique');
+  await knex.schema.alterTable('employees', (table) => {
+    table.dropColumn('user_id');
+    table.dropColumn('user_link_locked');
+  });
+};
@@ -0,0 +1,284 @@
+/**
+ * Migration for multiple equity pools per tenant (e.g. "2025 ESOP", "Advisor pool"):
+ * - equity_pools.name: required, unique per tenant among non-deleted pools (case-insensitive)
+ * - equity_pools.share_class: the class of shares the pool issues, 'common' by default
+ * - grants.pool_id: the pool a grant draws its shares from. Existing grants are assigned to their
+ *   tenant's pool, which is the one they were created against.
+ *
+ * func_pool_metrics() and func_pool_metrics_as_of() now count the grants of the pool instead of all
+ * grants of the tenant, and sp_adjust_pool() rejects grant adjustments of a grant from another pool.
+ */
+
+/**
+ * sp_adjust_pool() as of migration 008, optionally checking that the grant belongs to p_pool_id.
+ *
+ * @param {boolean} checkGrantPool - Whether grant operations require gr.pool_id = p_pool_id.
+ * @returns {string} The CREATE OR REPLACE FUNCTION statement.
+ */
+function spAdjustPoolSql(checkGrantPool) {
+  return `
+    CREATE OR REPLACE FUNCTION sp_adjust_pool(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_operation VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_user_id UUID,
+      p_grant_id UUID DEFAULT NULL
+    )
+    RETURNS TABLE (
+      event_id UUID,
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE plpgsql
+    AS $$
+    #variable_conflict use_column
+    DECLARE
+      v_amount DECIMAL(12,3);
+      v_total_pool DECIMAL(12,3);
+      v_grant grants%ROWTYPE;
+      v_event_id UUID;
+      v_metrics RECORD;
+    BEGIN
+      IF current_setting('transaction_isolation') <> 'serializable' THEN
+        RAISE EXCEPTION 'sp_adjust_pool must be called within a SERIALIZABLE transaction. Current: %', current_setting('transaction_isolation');
+      END IF;
+
+      BEGIN
+        v_amount := CAST(p_amount AS DECIMAL(12,3));
+      EXCEPTION
+        WHEN invalid_text_representation THEN
+          RAISE EXCEPTION 'Invalid amount format: %. Expected text representation of a number.', p_amount;
+        WHEN numeric_value_out_of_range THEN
+          RAISE EXCEPTION 'Amount % is out of range for DECIMAL(12,3).', p_amount;
+      END;
+
+      IF NOT (p_operation IN ('initial', 'top_up', 'reduction', 'grant', 'termination', 'grant_delete')) THEN
+        RAISE EXCEPTION 'Invalid pool operation: %', p_operation;
+      END IF;
+
+      IF (p_operation IN ('initial', 'top_up', 'grant', 'grant_delete') AND v_amount <= 0)
+         OR (p_operation = 'reduction' AND v_amount >= 0)
+         OR (p_operation = 'termination' AND v_amount < 0) THEN
+        RAISE EXCEPTION 'Invalid amount % for pool operation %', v_amount, p_operation;
+      END IF;
+
+      -- Lock the pool row first so all adjustments of a pool are serialized
+      SELECT ep.total_pool INTO v_total_pool
+      FROM equity_pools ep
+      WHERE ep.pool_id = p_pool_id AND ep.tenant_id = p_tenant_id AND ep.deleted_at IS NULL
+      FOR UPDATE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Pool not found with ID: % for tenant: %', p_pool_id, p_tenant_id;
+      END IF;
+
+      IF p_operation IN ('grant', 'termination', 'grant_delete') THEN
+        -- Only 'grant_delete' expects the grant to be soft-deleted already
+        SELECT * INTO v_grant
+        FROM grants gr
+        WHERE gr.grant_id = p_grant_id AND gr.tenant_id = p_tenant_id
+          AND (gr.deleted_at IS NULL) = (p_operation <> 'grant_delete');
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Grant not found with ID: % for tenant: %', p_grant_id, p_tenant_id;
+        END IF;
+${checkGrantPool ? `
+        IF v_grant.pool_id <> p_pool_id THEN
+          RAISE EXCEPTION 'Grant % belongs to pool %, not to pool %', p_grant_id, v_grant.pool_id, p_pool_id;
+        END IF;
+` : ''}
+        IF p_operation = 'grant' AND (v_grant.status <> 'active' OR v_grant.share_amount <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an active grant of % shares', p_grant_id, v_amount;
+        END IF;
+
+        IF p_operation = 'termination' AND (v_grant.status <> 'inactive' OR v_grant.unvested_shares_returned <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected an inactive grant returning % shares', p_grant_id, v_amount;
+        END IF;
+
+        IF p_operation = 'grant_delete' AND (v_grant.status <> 'active' OR v_grant.vested_amount <> 0 OR v_grant.share_amount <> v_amount) THEN
+          RAISE EXCEPTION 'Grant % does not match the pool adjustment: expected a deleted, un-vested grant of % shares', p_grant_id, v_amount;
+        END IF;
+      ELSE
+        IF p_operation = 'initial' AND EXISTS (
+          SELECT 1 FROM pool_events pe WHERE pe.pool_id = p_pool_id AND pe.event_type = 'initial'
+        ) THEN
+          RAISE EXCEPTION 'Pool % already has an initial event', p_pool_id;
+        END IF;
+
+        IF p_operation <> 'initial' THEN
+          IF (v_total_pool + v_amount) < 0 THEN
+            RAISE EXCEPTION 'Pool total cannot be negative after event. Current total: %, Change: %, Resulting total: %',
+                            v_total_pool, v_amount, (v_total_pool + v_amount);
+          END IF;
+
+          UPDATE equity_pools
+          SET total_pool = total_pool + v_amount
+          WHERE pool_id = p_pool_id AND tenant_id = p_tenant_id AND deleted_at IS NULL;
+        END IF;
+
+        INSERT INTO pool_events (
+          pool_id, tenant_id, amount, event_type, effective_date, notes, created_by
+        ) VALUES (
+          p_pool_id, p_tenant_id, v_amount, p_operation, p_effective_date, p_notes, p_user_id
+        ) RETURNING event_id INTO v_event_id;
+      END IF;
+
+      SELECT * INTO v_metrics FROM func_pool_metrics(p_pool_id);
+
+      IF v_metrics.available_shares < 0 THEN
+        IF p_operation = 'grant' THEN
+          RAISE EXCEPTION 'Insufficient available shares in pool. Available: %, Requested: %',
+                          v_metrics.available_shares + v_amount, v_amount;
+        END IF;
+        RAISE EXCEPTION 'Cannot reduce pool by % shares as only % shares are available. Resulting available: %',
+                        ABS(v_amount), v_metrics.available_shares - v_amount, v_metrics.available_shares;
+      END IF;
+
+      RETURN QUERY SELECT v_event_id, v_metrics.total_pool, v_metrics.granted_shares,
+                          v_metrics.returned_shares, v_metrics.available_shares;
+    END;
+    $$;
+  `;
+}
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('equity_pools', (table) => {
+    table.string('name', 100).nullable();
+    table.string('share_class', 50).notNullable().defaultTo('common');
+  });
+
+  // A tenant had a single pool so far; any extra pools are numbered to keep names unique
+  await knex.raw(`
+    UPDATE equity_pools ep
+    SET name = CASE WHEN numbered.position = 1 THEN 'Equity Pool' ELSE 'Equity Pool ' || numbered.position END
+    FROM (
+      SELECT pool_id, ROW_NUMBER() OVER (PARTITION BY tenant_id ORDER BY created_at, pool_id) AS position
+      FROM equity_pools
+    ) numbered
+    WHERE numbered.pool_id = ep.pool_id
+  `);
+  await knex.raw('ALTER TABLE equity_pools ALTER COLUMN name SET NOT NULL');
+  await knex.raw(`
+    CREATE UNIQUE INDEX idx_equity_pools_tenant_name_unique
+    ON equity_pools (tenant_id, LOWER(name))
+    WHERE deleted_at IS NULL
+  `);
+
+  await knex.schema.alterTable('grants', (table) => {
+    table.uuid('pool_id').nullable().references('pool_id').inTable('equity_pools').onDelete('RESTRICT');
+    table.index('pool_id', 'idx_grants_pool_id');
+  });
+
+  // Grants were always created against the tenant's (first) pool
+  await knex.raw(`
+    UPDATE grants g
+    SET pool_id = (
+      SELECT ep.pool_id FROM equity_pools ep
+      WHERE ep.tenant_id = g.tenant_id
+      ORDER BY ep.deleted_at IS NOT NULL, ep.created_at, ep.pool_id
+      LIMIT 1
+    )
+  `);
+  await knex.raw('ALTER TABLE grants ALTER COLUMN pool_id SET NOT NULL');
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_pool_metrics(p_pool_id UUID)
+    RETURNS TABLE (
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE sql
+    STABLE
+    AS $$
+      SELECT
+        ep.total_pool,
+        g.granted,
+        g.returned,
+        ep.total_pool - g.granted + g.returned
+      FROM equity_pools ep
+      CROSS JOIN LATERAL (
+        SELECT
+          COALESCE(SUM(gr.share_amount), 0)::DECIMAL(12,3) AS granted,
+          COALESCE(SUM(gr.unvested_shares_returned) FILTER (WHERE gr.status = 'inactive'), 0)::DECIMAL(12,3) AS returned
+        FROM grants gr
+        WHERE gr.pool_id = ep.pool_id AND gr.deleted_at IS NULL
+      ) g
+      WHERE ep.pool_id = p_pool_id;
+    $$;
+  `);
+
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_pool_metrics_as_of(p_pool_id UUID, p_as_of DATE)
+    RETURNS TABLE (
+      total_pool DECIMAL(12,3),
+      granted_shares DECIMAL(12,3),
+      returned_shares DECIMAL(12,3),
+      available_shares DECIMAL(12,3)
+    )
+    LANGUAGE sql
+    STABLE
+    AS $$
+      WITH pool_as_of AS (
+        SELECT
+          ep.pool_id,
+          t.timezone,
+          -- The pool exists from its initial event (or creation date if it has none)
+          COALESCE(
+            (SELECT MIN(pe.effective_date) FROM pool_events pe WHERE pe.pool_id = ep.pool_id AND pe.event_type = 'initial'),
+            (ep.created_at AT TIME ZONE t.timezone)::date
+          ) <= p_as_of AS existed,
+          ep.initial_amount
+        FROM equity_pools ep
+        JOIN tenants t ON t.tenant_id = ep.tenant_id
+        WHERE ep.pool_id = p_pool_id
+      ),
+      totals AS (
+        SELECT
+          CASE WHEN pa.existed THEN
+            pa.initial_amount + COALESCE((
+              SELECT SUM(pe.amount) FROM pool_events pe
+              WHERE pe.pool_id = pa.pool_id AND pe.event_type <> 'initial' AND pe.effective_date <= p_as_of
+            ), 0)
+          ELSE 0 END::DECIMAL(12,3) AS total,
+          COALESCE((
+            SELECT SUM(gr.share_amount) FROM grants gr
+            WHERE gr.pool_id = pa.pool_id AND gr.grant_date <= p_as_of
+              AND (gr.deleted_at IS NULL OR (gr.deleted_at AT TIME ZONE pa.timezone)::date > p_as_of)
+          ), 0)::DECIMAL(12,3) AS granted,
+          COALESCE((
+            SELECT SUM(gr.unvested_shares_returned) FROM grants gr
+            WHERE gr.pool_id = pa.pool_id AND gr.status = 'inactive' AND gr.termination_date <= p_as_of
+              AND (gr.deleted_at IS NULL OR (gr.deleted_at AT TIME ZONE pa.timezone)::date > p_as_of)
+          ), 0)::DECIMAL(12,3) AS returned
+        FROM pool_as_of pa
+      )
+      SELECT total, granted, returned, total - granted + returned FROM totals;
+    $$;
+  `);
+
+  await knex.raw(spAdjustPoolSql(true));
+};
+
+exports.down = async function(knex) {
+  // Restore the tenant-wide metrics functions from migrations 006 and 007, then sp_adjust_pool() from 008
+  await require('./1747300000000_006-create-sp-adjust-pool-function').up(knex);
+  await require('./1747400000000_007-create-pool-metrics-as-of-function').up(knex);
+  await knex.raw(spAdjustPoolSql(false));
+
+  await knex.schema.alterTable('grants', (table) => {
+    table.dropIndex('pool_id', 'idx_grants_pool_id');
+    table.dropColumn('pool_id');
+  });
+  await knex.raw('DROP INDEX IF EXISTS idx_equity_pools_tenant_name_unique');
+  await knex.schema.alterTable('equity_pools', (table) => {
+    table.dropColumn('name');
+    table.dropColumn('share_class');
+  });
+};
@@ -0,0 +1,134 @@
+/**
+ * Migration for reversing mistaken pool events (POST /api/pools/:pool_id/events/:event_id/reverse):
+ * - pool_events.reverses_event_id links a compensating event to the top-up or reduction it reverses.
+ *   It is unique, so an event can be reversed at most once.
+ * - func_adjust_pool_v3() gains an optional p_reverses_event_id. The compensating event must be the exact
+ *   opposite of the original (a reduction of a top-up's amount or vice versa) and still goes through
+ *   sp_adjust_pool(), so reversing a top-up can never make Available negative.
+ *
+ * Initial events and reversals themselves cannot be reversed.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('pool_events', (table) => {
+    table.uuid('reverses_event_id').nullable().references('event_id').inTable('pool_events');
+  });
+  await knex.raw(`
+    CREATE UNIQUE INDEX idx_pool_events_reverses_event_id_unique
+    ON pool_events (reverses_event_id)
+    WHERE reverses_event_id IS NOT NULL
+  `);
+
+  // A new parameter changes the signature, so the old function is replaced rather than overloaded
+  await knex.raw('DROP FUNCTION IF EXISTS func_adjust_pool_v3(UUID, UUID, VARCHAR, TEXT, DATE, TEXT, UUID)');
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_adjust_pool_v3(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_event_type VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_created_by UUID,
+      p_reverses_event_id UUID DEFAULT NULL
+    )
+    RETURNS pool_events
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      v_event_id UUID;
+      v_original pool_events%ROWTYPE;
+      v_reversed_by UUID;
+      v_created_event pool_events%ROWTYPE;
+    BEGIN
+      -- Grant and termination adjustments must name their grant; use sp_adjust_pool directly
+      IF NOT (p_event_type IN ('initial', 'top_up', 'reduction')) THEN
+        RAISE EXCEPTION 'Invalid event type: %', p_event_type;
+      END IF;
+
+      IF p_reverses_event_id IS NOT NULL THEN
+        SELECT * INTO v_original
+        FROM pool_events pe
+        WHERE pe.event_id = p_reverses_event_id AND pe.pool_id = p_pool_id AND pe.tenant_id = p_tenant_id
+        FOR UPDATE;
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Pool event not found with ID: % in pool: %', p_reverses_event_id, p_pool_id;
+        END IF;
+
+        IF v_original.event_type = 'initial' THEN
+          RAISE EXCEPTION 'Pool event % is an initial event and cannot be reversed', p_reverses_event_id;
+        END IF;
+
+        IF v_original.reverses_event_id IS NOT NULL THEN
+          RAISE EXCEPTION 'Pool event % is a reversal and cannot be reversed', p_reverses_event_id;
+        END IF;
+
+        SELECT pe.event_id INTO v_reversed_by
+        FROM pool_events pe
+        WHERE pe.reverses_event_id = p_reverses_event_id;
+
+        IF FOUND THEN
+          RAISE EXCEPTION 'Pool event % has already been reversed by event %', p_reverses_event_id, v_reversed_by;
+        END IF;
+
+        IF p_event_type <> (CASE WHEN v_original.event_type = 'top_up' THEN 'reduction' ELSE 'top_up' END)
+           OR CAST(p_amount AS DECIMAL(12,3)) <> -v_original.amount THEN
+          RAISE EXCEPTION 'Invalid reversal of pool event %: expected a % of %', p_reverses_event_id,
+                          CASE WHEN v_original.event_type = 'top_up' THEN 'reduction' ELSE 'top_up' END, -v_original.amount;
+        END IF;
+      END IF;
+
+      SELECT a.event_id INTO v_event_id
+      FROM sp_adjust_pool(p_pool_id, p_tenant_id, p_event_type, p_amount, p_effective_date, p_notes, p_created_by) a;
+
+      -- Linked in the transaction that creates the event, before anyone else can see it
+      IF p_reverses_event_id IS NOT NULL THEN
+        UPDATE pool_events SET reverses_event_id = p_reverses_event_id WHERE event_id = v_event_id;
+      END IF;
+
+      SELECT * INTO v_created_event FROM pool_events WHERE event_id = v_event_id;
+      RETURN v_created_event;
+    END;
+    $$;
+  `);
+};
+
+exports.down = async function(knex) {
+  // Restore func_adjust_pool_v3() as created by migration 006
+  await knex.raw('DROP FUNCTION IF EXISTS func_adjust_pool_v3(UUID, UUID, VARCHAR, TEXT, DATE, TEXT, UUID, UUID)');
+  await knex.raw('DROP INDEX IF EXISTS idx_pool_events_reverses_event_id_unique');
+  await knex.schema.alterTable('pool_events', (table) => {
+    table.dropColumn('reverses_event_id');
+  });
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION func_adjust_pool_v3(
+      p_pool_id UUID,
+      p_tenant_id UUID,
+      p_event_type VARCHAR,
+      p_amount TEXT,
+      p_effective_date DATE,
+      p_notes TEXT,
+      p_created_by UUID
+    )
+    RETURNS pool_events
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      v_event_id UUID;
+      v_created_event pool_events%ROWTYPE;
+    BEGIN
+      -- Grant and termination adjustments must name their grant; use sp_adjust_pool directly
+      IF NOT (p_event_type IN ('initial', 'top_up', 'reduction')) THEN
+        RAISE EXCEPTION 'Invalid event type: %', p_event_type;
+      END IF;
+
+      SELECT a.event_id INTO v_event_id
+      FROM sp_adjust_pool(p_pool_id, p_tenant_id, p_event_type, p_amount, p_effective_date, p_notes, p_created_by) a;
+
+      SELECT * INTO v_created_event FROM pool_events WHERE event_id = v_event_id;
+      RETURN v_created_event;
+    END;
+    $$;
+  `);
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration allowing a single scheduled vesting batch run per tenant-local date:
+ * two workers polling at the same time could both find a tenant due and start the run twice.
+ * Failed runs are left out of the index, as they are retried with a new run on the next poll.
+ *
+ * A run left 'running' by a stopped worker would otherwise block its tenant-day forever;
+ * findTenantsDueForScheduledRun() (backend/src/utils/vestingBatch.js) marks it failed once it is stale.
+ */
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    CREATE UNIQUE INDEX idx_vesting_batch_runs_scheduled_unique
+    ON vesting_batch_runs (tenant_id, run_date)
+    WHERE trigger = 'scheduled' AND status <> 'failed'
+  `);
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_vesting_batch_runs_scheduled_unique');
+};
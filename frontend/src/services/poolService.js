@@ -7,25 +7,29 @@ import { isApiEnabled, getMockData } from '../config/apiConfig';
  */
 const poolService = {
   /**
-   * Get the current equity pool for the tenant
-   * @returns {Promise} Promise with pool data
+   * Get the tenant's equity pools, each with its metrics, and the totals across them
+   * @param {string} asOfDate - Optional date (YYYY-MM-DD) to compute the metrics as of (default: today)
+   * @returns {Promise} Promise with { success, data: { items, totals, as_of_date } }
    */
-  getPool: async () => {
+  getPools: async (asOfDate) => {
     try {
-      const response = await api.get('/pools');
-      console.log('Pool response:', response); // Should always be strict contract
-      
-      // Strict backend contract: always { success: true, data: {...} } or { success: false, error: {...} }
-      if (response.success && response.data) {
+      const params = new URLSearchParams();
+      if (asOfDate) {
+        params.append('as_of_date', asOfDate);
+      }
+      const query = params.toString();
+
+      // The api client unwraps the { success: true, data } envelope
+      const data = extractApiResponse(await api.get(query ? `/pools?${query}` : '/pools'), null);
+      if (data && Array.isArray(data.items)) {
         return {
           success: true,
-          data: response.data
+          data
         };
       }
-      // If error, pass it along
       return {
         success: false,
-        error: response.error || { code: 'NO_DATA', message: 'No pool data available' }
+        error: { code: 'NO_DATA', message: 'No pool data available' }
       };
     } catch (error) {
       console.error('Error fetching pool data:', error);
@@ -85,7 +85,7 @@ const ppsService = {
   },
 
   /**
-   * Update an existing PPS entry
+   * Correct an existing PPS entry; only the fields provided are changed
    * @param {string} ppsId - The ID of the PPS entry to update
    * @param {Object} ppsData - The PPS data to update
    * @param {string} ppsData.effective_date - New effective date (YYYY-MM-DD)
@@ -94,7 +94,7 @@ const ppsService = {
    */
   updatePPS: async (ppsId, ppsData) => {
     try {
-      const response = await api.put(`/pps/${ppsId}`, ppsData);
+      const response = await api.patch(`/pps/${ppsId}`, ppsData);
       return extractApiResponse(response, null);
     } catch (error) {
       console.error('Error updating PPS record:', error);